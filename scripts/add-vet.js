@@ -0,0 +1,61 @@
+// Create or reset a vet portal account in DATA_DIR/vets.json.
+// Usage: npm run add-vet -- <username> ["Display Name"] [--admin]
+// The password is read from VET_PASSWORD, or prompted for. Admins can also
+// manage running AI agents (/api/admin/agents).
+
+const path = require("path");
+const readline = require("readline");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const { createVetAccounts } = require("./lib/vet-accounts");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../data");
+
+function promptPassword(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  // Don't echo what's typed
+  rl._writeToOutput = (s) => {
+    if (s.startsWith(question)) process.stdout.write(s);
+  };
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    }),
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const role = args.includes("--admin") ? "admin" : "vet";
+  const [username, name] = args.filter((arg) => arg !== "--admin");
+  if (!username) {
+    console.error(
+      'Usage: npm run add-vet -- <username> ["Display Name"] [--admin]',
+    );
+    process.exit(1);
+  }
+
+  const password =
+    process.env.VET_PASSWORD || (await promptPassword("Password: "));
+  if (password.length < 8) {
+    console.error("Password must be at least 8 characters");
+    process.exit(1);
+  }
+
+  const accounts = createVetAccounts({
+    file: path.join(DATA_DIR, "vets.json"),
+  });
+  const vet = await accounts.add({ username, name, password, role });
+  console.log(`Saved ${vet.role} account '${vet.username}' (${vet.name})`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// JSON-on-disk log of Conversational AI agent events.
+// Agora's notification webhook reports what each agent did (joined, left,
+// errors, the conversation history). Events are kept here together with the
+// booking and channel each agent was started for, so the vet pages can show
+// them later. Writes use a temp file + rename, like the booking store.
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_EVENTS = 5000;
+const MAX_AGENTS = 1000;
+
+function createAgentEventStore({
+  file,
+  maxEvents = MAX_EVENTS,
+  maxAgents = MAX_AGENTS,
+}) {
+  let { events, agents } = load();
+  const noticeIds = new Set(events.map((e) => e.noticeId).filter(Boolean));
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return {
+        events: Array.isArray(parsed.events) ? parsed.events : [],
+        agents:
+          parsed.agents && typeof parsed.agents === "object"
+            ? parsed.agents
+            : {},
+      };
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          "Could not read agent event store, starting empty:",
+          err.message,
+        );
+      }
+      return { events: [], agents: {} };
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ events, agents }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Remember which booking and channel an agent was started for
+  function linkAgent(agentId, { bookingId = null, channel, profile }) {
+    agents[agentId] = {
+      bookingId,
+      channel,
+      profile,
+      startedAt: new Date().toISOString(),
+    };
+    const ids = Object.keys(agents);
+    ids.slice(0, Math.max(0, ids.length - maxAgents)).forEach((id) => {
+      delete agents[id];
+    });
+    persist();
+  }
+
+  function getAgent(agentId) {
+    return Object.prototype.hasOwnProperty.call(agents, agentId)
+      ? agents[agentId]
+      : null;
+  }
+
+  // Store an event; returns null when its notice was already recorded
+  function record(event) {
+    if (event.noticeId && noticeIds.has(event.noticeId)) return null;
+
+    const stored = { ...event, receivedAt: new Date().toISOString() };
+    events.push(stored);
+    if (stored.noticeId) noticeIds.add(stored.noticeId);
+    if (events.length > maxEvents) {
+      events.splice(0, events.length - maxEvents).forEach((e) => {
+        noticeIds.delete(e.noticeId);
+      });
+    }
+    persist();
+    return stored;
+  }
+
+  // Oldest first, filtered by any of bookingId, channel and agentId
+  function list({ bookingId, channel, agentId } = {}) {
+    return events
+      .filter((e) => !bookingId || e.bookingId === bookingId)
+      .filter((e) => !channel || e.channel === channel)
+      .filter((e) => !agentId || e.agentId === agentId)
+      .sort((a, b) => (a.notifyMs || 0) - (b.notifyMs || 0));
+  }
+
+  return { linkAgent, getAgent, record, list };
+}
+
+module.exports = { createAgentEventStore };
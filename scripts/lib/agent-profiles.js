@@ -0,0 +1,212 @@
+// Named Conversational AI agent profiles.
+// Profiles are JSON files in config/agent-profiles (the file name is the
+// profile name), validated against config/agent-profile.schema.json when the
+// server starts. The browser asks for a profile by name; the server fills in
+// vendor keys from the environment and builds the full Agora join request,
+// so no secret ever reaches the page. A profile may name a questionnaire
+// (config/questionnaires) whose questions fill the prompt's {{questions}},
+// {{firstQuestion}} and {{closing}} placeholders.
+
+const fs = require("fs");
+const path = require("path");
+const { validateSchema } = require("./json-schema");
+const { requireEnv } = require("./env");
+const { validateTtsConfig, buildTtsBlock } = require("./tts-providers");
+const { validateLlmConfig, buildAgentLlmBlock } = require("./llm-providers");
+const { createQuestionnaires } = require("./questionnaires");
+
+const AGENT_UID = "10001";
+const AVATAR_UID = "10002";
+const MAX_VARIABLE_LENGTH = 100;
+
+const DEFAULT_DIR = path.join(__dirname, "../../config/agent-profiles");
+const DEFAULT_SCHEMA_FILE = path.join(
+  __dirname,
+  "../../config/agent-profile.schema.json",
+);
+
+function profileError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Only the variables a profile declares are accepted, as short plain strings
+function resolveVariables(profile, variables = {}) {
+  const resolved = {};
+  for (const [key, fallback] of Object.entries(profile.variables || {})) {
+    const value = variables[key];
+    resolved[key] =
+      typeof value === "string" || typeof value === "number"
+        ? String(value)
+            .replace(/\s+/g, " ")
+            .trim()
+            .slice(0, MAX_VARIABLE_LENGTH) || fallback
+        : fallback;
+  }
+  return resolved;
+}
+
+function render(template, vars) {
+  return []
+    .concat(template || "")
+    .join("\n")
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => (key in vars ? vars[key] : ""));
+}
+
+/**
+ * Read and validate every profile in `dir`. Throws one error listing all
+ * problems so a bad config file stops the server at startup.
+ */
+function loadProfiles(dir, schema, questionnaires) {
+  const profiles = {};
+  const problems = [];
+
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  for (const file of files) {
+    const name = path.basename(file, ".json");
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+      continue;
+    }
+    const errors = validateSchema(profile, schema);
+    if (!errors.length) {
+      errors.push(
+        ...validateLlmConfig(profile.llm),
+        ...validateTtsConfig(profile.tts),
+      );
+      if (profile.questionnaire && !questionnaires.get(profile.questionnaire)) {
+        errors.push(
+          `$.questionnaire: unknown questionnaire ${profile.questionnaire}`,
+        );
+      }
+    }
+    if (errors.length) {
+      problems.push(...errors.map((e) => `${file}: ${e}`));
+      continue;
+    }
+    profiles[name] = profile;
+  }
+
+  if (problems.length) {
+    throw profileError(
+      `Invalid agent profiles:\n  ${problems.join("\n  ")}`,
+      "INVALID_PROFILE",
+    );
+  }
+  return profiles;
+}
+
+function createAgentProfiles({
+  dir = DEFAULT_DIR,
+  schemaFile = DEFAULT_SCHEMA_FILE,
+  questionnaires = createQuestionnaires(),
+} = {}) {
+  const schema = JSON.parse(fs.readFileSync(schemaFile, "utf-8"));
+  const profiles = loadProfiles(dir, schema, questionnaires);
+
+  function get(name) {
+    return Object.prototype.hasOwnProperty.call(profiles, name)
+      ? profiles[name]
+      : null;
+  }
+
+  function list() {
+    return Object.entries(profiles).map(([name, p]) => ({
+      name,
+      description: p.description || "",
+    }));
+  }
+
+  /**
+   * Build the Agora join request body for a profile.
+   * `createToken(uid)` returns an RTC token for the channel, or null when the
+   * project has no app certificate.
+   */
+  function buildJoinRequest(
+    profileName,
+    { channel, uid, variables, createToken = () => null, env = process.env },
+  ) {
+    const profile = get(profileName);
+    if (!profile) {
+      throw profileError(
+        `Unknown agent profile: ${profileName}`,
+        "UNKNOWN_PROFILE",
+      );
+    }
+
+    const vars = resolveVariables(profile, variables);
+    if (profile.questionnaire) {
+      const { questions, closing } = questionnaires.forPet(
+        profile.questionnaire,
+        vars,
+      );
+      vars.questions = questionnaires.buildPrompt(profile.questionnaire, vars);
+      vars.firstQuestion = questions[0]?.text || "";
+      vars.closing = closing;
+    }
+    const { llm, tts, avatar } = profile;
+
+    const properties = {
+      channel,
+      agent_rtc_uid: AGENT_UID,
+      remote_rtc_uids: [uid === undefined || uid === null ? "*" : String(uid)],
+      idle_timeout: profile.idle_timeout,
+      advanced_features: {
+        enable_aivad: true,
+        enable_mllm: false,
+        enable_rtm: false,
+      },
+      asr: { language: "en-US", ...profile.asr },
+      llm: {
+        ...buildAgentLlmBlock(llm, env),
+        system_messages: [
+          { role: "system", content: render(llm.system_prompt, vars) },
+        ],
+        greeting_message: render(llm.greeting, vars),
+        failure_message: render(llm.failure_message, vars),
+      },
+      tts: buildTtsBlock(tts, env),
+      avatar: avatar
+        ? {
+            vendor: avatar.vendor,
+            enable: true,
+            params: {
+              api_key: requireEnv(env, "AVATAR_AKOOL_KEY"),
+              agora_uid: AVATAR_UID,
+              agora_token: createToken(AVATAR_UID) || undefined,
+              avatar_id: avatar.avatar_id,
+            },
+          }
+        : { vendor: "akool", enable: false, params: {} },
+      parameters: {
+        silence_config: { action: "think", ...profile.silence_config },
+      },
+    };
+
+    const token = createToken(AGENT_UID);
+    if (token) properties.token = token;
+    if (llm.max_idle_time) {
+      properties.llm.max_idle_time = llm.max_idle_time;
+      properties.llm.enable_greeting = true;
+    }
+    if (profile.transcript) {
+      // Send user/agent transcription turns to the page as RTC stream messages
+      properties.parameters.data_channel = "datastream";
+      properties.parameters.transcript = {
+        enable: true,
+        protocol_version: "v2",
+        enable_words: false,
+      };
+    }
+
+    return { name: channel, properties };
+  }
+
+  return { get, list, buildJoinRequest };
+}
+
+module.exports = { AGENT_UID, AVATAR_UID, createAgentProfiles };
@@ -0,0 +1,248 @@
+// Registry of the Conversational AI agents this server has started.
+// An agent keeps running (and billing) until it is told to leave or hits its
+// idle_timeout, and pages can't reliably stop theirs when they close. Every
+// agent we start is recorded here, persisted like the booking store so a
+// restart doesn't forget them, and a background reaper stops agents whose
+// channel has been empty, or that have shown no activity, for too long.
+//
+// Activity is the start itself, page heartbeats and webhook notifications.
+// Heartbeats arrive every few seconds per agent, so touches are written out
+// at most once per `touchPersistMs` rather than on every call.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_EMPTY_MS = 60 * 1000;
+const DEFAULT_IDLE_MS = 10 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_TOUCH_PERSIST_MS = 5 * 1000;
+
+/**
+ * `stopAgent(agentId)` asks Agora to remove an agent. `channelUsers(channel)`
+ * resolves to the UIDs currently in a channel; `ignoreUids` (the agents' own
+ * UIDs) don't count as someone being there.
+ */
+function createAgentSessionRegistry({
+  file,
+  stopAgent,
+  channelUsers,
+  ignoreUids = [],
+  emptyMs = DEFAULT_EMPTY_MS,
+  idleMs = DEFAULT_IDLE_MS,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  touchPersistMs = DEFAULT_TOUCH_PERSIST_MS,
+  now = Date.now,
+}) {
+  let agents = load();
+  let timer = null;
+  let persistTimer = null;
+  let reaping = false;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return Array.isArray(parsed.agents) ? parsed.agents : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          "Could not read agent sessions, starting empty:",
+          err.message,
+        );
+      }
+      return [];
+    }
+  }
+
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ agents }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Write soon, folding in whatever else changes until then
+  function persistSoon() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persist, touchPersistMs);
+    persistTimer.unref();
+  }
+
+  function get(agentId) {
+    return agents.find((a) => a.agentId === agentId) || null;
+  }
+
+  function list({ channel } = {}) {
+    return agents.filter((a) => !channel || a.channel === channel);
+  }
+
+  function register({
+    agentId,
+    channel,
+    profile,
+    bookingId = null,
+    owner,
+    systemMessages = [],
+  }) {
+    const at = new Date(now()).toISOString();
+    agents = agents.filter((a) => a.agentId !== agentId);
+    const session = {
+      agentId,
+      channel,
+      profile,
+      bookingId,
+      owner,
+      systemMessages,
+      startedAt: at,
+      lastActivityAt: at,
+      emptySince: null,
+    };
+    agents.push(session);
+    persist();
+    return session;
+  }
+
+  // Record what changed on a running agent (e.g. its prompt or voice)
+  function update(agentId, changes) {
+    const session = get(agentId);
+    if (!session) return null;
+    Object.assign(session, changes, {
+      lastActivityAt: new Date(now()).toISOString(),
+    });
+    persist();
+    return session;
+  }
+
+  // Record activity; returns false for agents we aren't tracking
+  function touch(agentId) {
+    const session = get(agentId);
+    if (!session) return false;
+    session.lastActivityAt = new Date(now()).toISOString();
+    persistSoon();
+    return true;
+  }
+
+  function remove(agentId) {
+    const session = get(agentId);
+    if (!session) return null;
+    agents = agents.filter((a) => a !== session);
+    persist();
+    return session;
+  }
+
+  /**
+   * Stop an agent and forget it. An agent Agora no longer knows about
+   * (AGORA_NOT_FOUND) counts as stopped. Works for agents we aren't tracking,
+   * too.
+   */
+  async function stop(agentId, reason) {
+    const session = get(agentId);
+    try {
+      await stopAgent(agentId);
+    } catch (err) {
+      if (err.code !== "AGORA_NOT_FOUND") throw err;
+    }
+    remove(agentId);
+    console.log(
+      `Stopped agent ${agentId}` +
+        (session ? ` in ${session.channel}` : "") +
+        (reason ? ` (${reason})` : ""),
+    );
+    return session;
+  }
+
+  // Decide which agents to stop, checking each channel at most once
+  async function findReapable() {
+    const reapable = [];
+    const occupied = new Map();
+
+    for (const session of agents) {
+      if (now() - Date.parse(session.lastActivityAt) > idleMs) {
+        reapable.push({ session, reason: "idle" });
+        continue;
+      }
+
+      if (!occupied.has(session.channel)) {
+        try {
+          const uids = await channelUsers(session.channel);
+          occupied.set(
+            session.channel,
+            uids.some((uid) => !ignoreUids.includes(String(uid))),
+          );
+        } catch (err) {
+          console.error(
+            `Could not check channel ${session.channel}:`,
+            err.message,
+          );
+          occupied.set(session.channel, true);
+        }
+      }
+
+      if (occupied.get(session.channel)) {
+        session.emptySince = null;
+      } else {
+        session.emptySince =
+          session.emptySince || new Date(now()).toISOString();
+        if (now() - Date.parse(session.emptySince) > emptyMs) {
+          reapable.push({ session, reason: "channel empty" });
+        }
+      }
+    }
+    return reapable;
+  }
+
+  // One reaper pass; resolves to the agents that were stopped
+  async function reap() {
+    if (reaping) return [];
+    reaping = true;
+    try {
+      const stopped = [];
+      for (const { session, reason } of await findReapable()) {
+        try {
+          await stop(session.agentId, reason);
+          stopped.push(session);
+        } catch (err) {
+          console.error(
+            `Could not stop agent ${session.agentId}:`,
+            err.message,
+          );
+        }
+      }
+      if (agents.length) persist();
+      return stopped;
+    } finally {
+      reaping = false;
+    }
+  }
+
+  function startReaper() {
+    if (timer) return;
+    timer = setInterval(() => {
+      reap().catch((err) => console.error("Agent reaper failed:", err.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  // Stops the reaper and writes out any pending touches
+  function stopReaper() {
+    clearInterval(timer);
+    timer = null;
+    if (persistTimer) persist();
+  }
+
+  return {
+    get,
+    list,
+    register,
+    update,
+    touch,
+    remove,
+    stop,
+    reap,
+    startReaper,
+    stopReaper,
+  };
+}
+
+module.exports = { createAgentSessionRegistry };
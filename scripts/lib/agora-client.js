@@ -0,0 +1,363 @@
+// Server-side client for Agora's Conversational AI, Cloud Recording and
+// channel REST APIs.
+// Every call uses the project's REST key/secret (Basic auth) and a timeout.
+// Reads (GET) are retried with exponential backoff on 429, 5xx and network
+// errors. POSTs start agents and recordings, so they are only retried when
+// Agora provably didn't act on them: a 429, or a connection that was never
+// made. A timeout or 5xx may have started something already.
+// Failures are thrown as errors with a stable `code` (see AGORA_ERRORS) and
+// the HTTP `status` the proxy routes should answer with, so the browser gets
+// the same error shape whichever call failed.
+
+const axios = require("axios");
+
+const DEFAULT_API_BASE = "https://api.agora.io";
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_MIN_DELAY_MS = 300;
+const DEFAULT_MAX_DELAY_MS = 5000;
+// How long to wait for a conflicting agent to leave before joining again
+const CONFLICT_SETTLE_MS = 1500;
+
+// code -> HTTP status for the proxy routes
+const AGORA_ERRORS = {
+  AGORA_NOT_CONFIGURED: 500,
+  AGORA_BAD_REQUEST: 400,
+  AGORA_UNAUTHORIZED: 502,
+  AGORA_NOT_FOUND: 404,
+  AGORA_CONFLICT: 409,
+  AGORA_RATE_LIMITED: 429,
+  AGORA_UNAVAILABLE: 502,
+  AGORA_UNREACHABLE: 502,
+  AGORA_TIMEOUT: 504,
+};
+
+function agoraError(code, message, { agoraStatus, details, cause } = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = AGORA_ERRORS[code];
+  err.agoraStatus = agoraStatus;
+  err.details = details;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+// Socket errors raised before the request could be sent
+const CONNECT_ERRORS = [
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+];
+
+function isRetryable(err, method) {
+  if (err.code === "AGORA_RATE_LIMITED") return true;
+  if (method.toUpperCase() !== "GET") {
+    return err.code === "AGORA_UNREACHABLE" && err.notSent;
+  }
+  return ["AGORA_UNAVAILABLE", "AGORA_UNREACHABLE", "AGORA_TIMEOUT"].includes(
+    err.code,
+  );
+}
+
+function codeForStatus(status) {
+  if (status === 401 || status === 403) return "AGORA_UNAUTHORIZED";
+  if (status === 404) return "AGORA_NOT_FOUND";
+  if (status === 409) return "AGORA_CONFLICT";
+  if (status === 429) return "AGORA_RATE_LIMITED";
+  if (status >= 500) return "AGORA_UNAVAILABLE";
+  return "AGORA_BAD_REQUEST";
+}
+
+// Map an axios failure onto one of AGORA_ERRORS
+function normalizeError(err, what) {
+  if (!err.response) {
+    const timedOut = err.code === "ECONNABORTED" || err.code === "ETIMEDOUT";
+    const error = agoraError(
+      timedOut ? "AGORA_TIMEOUT" : "AGORA_UNREACHABLE",
+      `${what}: ${timedOut ? "Agora did not respond in time" : err.message}`,
+      { cause: err },
+    );
+    error.notSent = CONNECT_ERRORS.includes(err.code);
+    return error;
+  }
+
+  const { status, data } = err.response;
+  const reason = data?.detail || data?.message || data?.reason;
+  return agoraError(
+    codeForStatus(status),
+    `${what}: ${reason || `Agora responded with HTTP ${status}`}`,
+    { agoraStatus: status, details: data, cause: err },
+  );
+}
+
+// Body for a failed proxy call: { error, code, details }
+function agoraErrorBody(err) {
+  return err.code in AGORA_ERRORS
+    ? { error: err.message, code: err.code, details: err.details }
+    : { error: String(err.message) };
+}
+
+// Answer a failed proxy call with the error's status and body
+function sendAgoraError(res, err, label) {
+  console.error(`${label}:`, err.details || err.message);
+  return res.status(err.status || 500).json(agoraErrorBody(err));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Options default to AGORA_APPID, AGORA_REST_KEY, AGORA_REST_SECRET,
+ * AGORA_REST_TIMEOUT_MS and AGORA_REST_RETRIES from `env`.
+ */
+function createAgoraClient({
+  env = process.env,
+  appId = env.AGORA_APPID,
+  restKey = env.AGORA_REST_KEY,
+  restSecret = env.AGORA_REST_SECRET,
+  apiBase = DEFAULT_API_BASE,
+  timeoutMs = Number(env.AGORA_REST_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  retries = env.AGORA_REST_RETRIES
+    ? Number(env.AGORA_REST_RETRIES)
+    : DEFAULT_RETRIES,
+  minDelayMs = DEFAULT_MIN_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  conflictSettleMs = CONFLICT_SETTLE_MS,
+  wait = sleep,
+} = {}) {
+  const convoAiBase = () =>
+    `${apiBase}/api/conversational-ai-agent/v2/projects/${appId}`;
+  const recordingBase = () => `${apiBase}/v1/apps/${appId}/cloud_recording`;
+
+  function isConfigured() {
+    return Boolean(appId && restKey && restSecret);
+  }
+
+  // Backoff before retry `attempt` (0-based), honouring Retry-After
+  function retryDelay(err, attempt) {
+    const retryAfter = Number(err.cause?.response?.headers?.["retry-after"]);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+    const base = Math.min(maxDelayMs, minDelayMs * 2 ** attempt);
+    return base / 2 + Math.random() * (base / 2);
+  }
+
+  async function request(what, { method = "GET", url, data, params }) {
+    if (!isConfigured()) {
+      throw agoraError(
+        "AGORA_NOT_CONFIGURED",
+        "Server misconfigured: missing Agora credentials",
+      );
+    }
+    const auth = Buffer.from(`${restKey}:${restSecret}`).toString("base64");
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.request({
+          method,
+          url,
+          data,
+          params,
+          timeout: timeoutMs,
+          headers: {
+            Authorization: `Basic ${auth}`,
+            "Content-Type": "application/json",
+          },
+        });
+        return response.data;
+      } catch (err) {
+        const error = normalizeError(err, what);
+        if (!isRetryable(error, method) || attempt >= retries) throw error;
+        const delay = retryDelay(error, attempt);
+        console.warn(
+          `${error.message} - retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`,
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  function join(body) {
+    return request("Start agent", {
+      method: "POST",
+      url: `${convoAiBase()}/join`,
+      data: body,
+    });
+  }
+
+  function leave(agentId) {
+    return request("Stop agent", {
+      method: "POST",
+      url: `${convoAiBase()}/agents/${encodeURIComponent(agentId)}/leave`,
+      data: {},
+    });
+  }
+
+  function getAgent(agentId) {
+    return request("Get agent status", {
+      url: `${convoAiBase()}/agents/${encodeURIComponent(agentId)}`,
+    });
+  }
+
+  // Change a running agent's properties, e.g. `llm.system_messages` or `tts`
+  function update(agentId, properties) {
+    return request("Update agent", {
+      method: "POST",
+      url: `${convoAiBase()}/agents/${encodeURIComponent(agentId)}/update`,
+      data: { properties },
+    });
+  }
+
+  // Make the agent say `text`; priority is INTERRUPT, APPEND or IGNORE
+  function speak(
+    agentId,
+    { text, priority = "INTERRUPT", interruptable = true },
+  ) {
+    return request("Agent speak", {
+      method: "POST",
+      url: `${convoAiBase()}/agents/${encodeURIComponent(agentId)}/speak`,
+      data: { text, priority, interruptable },
+    });
+  }
+
+  // Stop the agent mid-sentence
+  function interrupt(agentId) {
+    return request("Interrupt agent", {
+      method: "POST",
+      url: `${convoAiBase()}/agents/${encodeURIComponent(agentId)}/interrupt`,
+      data: {},
+    });
+  }
+
+  // Running agents (state 2) unless another state is given
+  async function listAgents({ channel, state = 2 } = {}) {
+    const data = await request("List agents", {
+      url: `${convoAiBase()}/agents`,
+      params: { channel, state },
+    });
+    const agents = data?.data?.list || data?.agents || [];
+    return agents.filter(
+      (a) => !channel || !a.channel || a.channel === channel,
+    );
+  }
+
+  // UIDs currently in an RTC channel (channel management API)
+  async function channelUsers(channel) {
+    const data = await request("Query channel users", {
+      url: `${apiBase}/dev/v1/channel/user/${appId}/${encodeURIComponent(channel)}`,
+    });
+    const info = data?.data || {};
+    if (!info.channel_exist) return [];
+    return (
+      info.users || [...(info.broadcasters || []), ...(info.audience || [])]
+    );
+  }
+
+  // Cloud Recording: reserve a recorder for `channel`; resolves to the
+  // resourceId, which start() must use within five minutes
+  async function acquireRecording({ channel, uid }) {
+    const data = await request("Acquire recording", {
+      method: "POST",
+      url: `${recordingBase()}/acquire`,
+      data: {
+        cname: channel,
+        uid: String(uid),
+        clientRequest: { resourceExpiredHour: 24, scene: 0 },
+      },
+    });
+    return data.resourceId;
+  }
+
+  // Start recording; `clientRequest` holds the token, recording, file and
+  // storage config. Resolves to { resourceId, sid }.
+  function startRecording({ resourceId, mode, channel, uid, clientRequest }) {
+    return request("Start recording", {
+      method: "POST",
+      url: `${recordingBase()}/resourceid/${encodeURIComponent(resourceId)}/mode/${mode}/start`,
+      data: { cname: channel, uid: String(uid), clientRequest },
+    });
+  }
+
+  // { resourceId, sid, serverResponse: { status, fileList, ... } }
+  function queryRecording({ resourceId, sid, mode }) {
+    return request("Query recording", {
+      url: `${recordingBase()}/resourceid/${encodeURIComponent(resourceId)}/sid/${encodeURIComponent(sid)}/mode/${mode}/query`,
+    });
+  }
+
+  // Stop recording; the response lists the files uploaded to storage
+  function stopRecording({ resourceId, sid, mode, channel, uid }) {
+    return request("Stop recording", {
+      method: "POST",
+      url: `${recordingBase()}/resourceid/${encodeURIComponent(resourceId)}/sid/${encodeURIComponent(sid)}/mode/${mode}/stop`,
+      data: {
+        cname: channel,
+        uid: String(uid),
+        clientRequest: { async_stop: false },
+      },
+    });
+  }
+
+  /**
+   * Join an agent. When Agora reports one already running under the same
+   * name (409) and `canReplace(agentId)` allows it, that agent is stopped
+   * and the join is tried once more; otherwise the conflict is thrown.
+   * `onReplaced(agentId)` is called for the agent that was stopped.
+   */
+  async function startAgent(
+    body,
+    { onReplaced, canReplace = () => true } = {},
+  ) {
+    try {
+      return await join(body);
+    } catch (err) {
+      if (err.code !== "AGORA_CONFLICT") throw err;
+
+      const candidates = err.details?.agent_id
+        ? [err.details.agent_id]
+        : (await listAgents({ channel: body.properties?.channel })).map(
+            (a) => a.agent_id,
+          );
+      const existing = candidates.find((agentId) => canReplace(agentId));
+      if (!existing) throw err;
+
+      console.log(
+        `Agent ${existing} already running for ${body.name}; replacing it`,
+      );
+      try {
+        await leave(existing);
+      } catch (leaveErr) {
+        if (leaveErr.code !== "AGORA_NOT_FOUND") throw leaveErr;
+      }
+      if (onReplaced) onReplaced(existing);
+      await wait(conflictSettleMs);
+      return join(body);
+    }
+  }
+
+  return {
+    isConfigured,
+    join,
+    leave,
+    getAgent,
+    update,
+    speak,
+    interrupt,
+    listAgents,
+    channelUsers,
+    startAgent,
+    acquireRecording,
+    startRecording,
+    queryRecording,
+    stopRecording,
+  };
+}
+
+module.exports = {
+  createAgoraClient,
+  agoraErrorBody,
+  sendAgoraError,
+  AGORA_ERRORS,
+};
@@ -0,0 +1,272 @@
+// JSON-on-disk booking store.
+// Bookings are kept in memory and flushed to a single JSON file after every
+// change. Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated store behind. A booking for a roster slot
+// (`slotStart`) is only created while no other live booking holds that slot;
+// the check and the insert run without yielding, so two owners can't both get
+// it. Client-supplied fields are checked here (INVALID_BOOKING) and the triage
+// summary is always stored as lines of text (scripts/lib/triage-summary.js).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { triageSummaryLines } = require("./triage-summary");
+
+const BOOKING_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "triaged",
+  "calling",
+  "awaiting-summary",
+  "summary-ready",
+  "cancelled",
+];
+
+// Fields a client may change after the booking has been created
+const MUTABLE_FIELDS = [
+  "status",
+  "notes",
+  "petInfo",
+  "triageSummary",
+  "triageUrgency",
+  "questionnaire",
+  "triageResponses",
+  "transcript",
+  "consultSummary",
+  "callAnalysis",
+];
+
+// Bookings in these statuses no longer hold their slot
+const RELEASED_STATUSES = ["declined", "cancelled"];
+
+// Fields only the server sets, e.g. from vendor webhooks
+const SERVER_FIELDS = [
+  "agentActivity",
+  "emergency",
+  "recording",
+  "conversation",
+  "soapNote",
+];
+
+const AVAILABILITIES = ["now", "later"];
+
+// Longest value accepted for each free-text field
+const TEXT_LIMITS = {
+  vetId: 100,
+  vetName: 200,
+  date: 40,
+  time: 40,
+  notes: 2000,
+  // Room for a signed SOAP note: four sections of up to 10000 characters
+  consultSummary: 50000,
+};
+
+// Fields holding a JSON object (or null)
+const OBJECT_FIELDS = [
+  "petInfo",
+  "contact",
+  "triageUrgency",
+  "questionnaire",
+  "callAnalysis",
+];
+
+// Fields holding a list (or null)
+const LIST_FIELDS = ["triageResponses", "transcript"];
+
+function invalidBooking(message) {
+  const err = new Error(message);
+  err.code = "INVALID_BOOKING";
+  return err;
+}
+
+// Throws INVALID_BOOKING for the first client field of the wrong type
+function checkFields(data) {
+  Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+    const value = data[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== "string" || value.length > limit) {
+      throw invalidBooking(
+        `${field} must be text of at most ${limit} characters`,
+      );
+    }
+  });
+  OBJECT_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== "object" || Array.isArray(value)) {
+      throw invalidBooking(`${field} must be an object`);
+    }
+  });
+  LIST_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      throw invalidBooking(`${field} must be a list`);
+    }
+  });
+  const summary = data.triageSummary;
+  if (
+    summary !== undefined &&
+    summary !== null &&
+    typeof summary !== "object"
+  ) {
+    throw invalidBooking("triageSummary must be a list of lines or an object");
+  }
+  if (
+    data.availability !== undefined &&
+    !AVAILABILITIES.includes(data.availability)
+  ) {
+    throw invalidBooking(
+      `availability must be one of ${AVAILABILITIES.join(", ")}`,
+    );
+  }
+}
+
+function createBookingStore({ file }) {
+  let bookings = load();
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return Array.isArray(parsed.bookings) ? parsed.bookings : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          "Could not read booking store, starting empty:",
+          err.message,
+        );
+      }
+      return [];
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ bookings }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function list({ status, vetId } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    return bookings
+      .filter((b) => !statuses || statuses.includes(b.status))
+      .filter((b) => !vetId || b.vetId === vetId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function get(id) {
+    return bookings.find((b) => b.id === id) || null;
+  }
+
+  // The live booking holding a vet's slot, if any
+  function findBySlot(vetId, slotStart) {
+    return (
+      bookings.find(
+        (b) =>
+          b.vetId === vetId &&
+          b.slotStart === slotStart &&
+          !RELEASED_STATUSES.includes(b.status),
+      ) || null
+    );
+  }
+
+  // Throws INVALID_BOOKING for malformed fields and SLOT_TAKEN when
+  // `data.slotStart` is already booked with the vet
+  function create(data) {
+    checkFields(data);
+    if (data.slotStart && findBySlot(data.vetId, data.slotStart)) {
+      const err = new Error("That time has just been booked by someone else");
+      err.code = "SLOT_TAKEN";
+      throw err;
+    }
+    const now = new Date().toISOString();
+    const booking = {
+      // Owners reach their booking by its id alone, so it must not be guessable
+      id: `booking-${crypto.randomUUID()}`,
+      vetId: data.vetId || null,
+      vetName: data.vetName || null,
+      availability: data.availability || "now",
+      date: data.date || null,
+      time: data.time || null,
+      slotStart: data.slotStart || null,
+      notes: data.notes || "",
+      status: "pending",
+      petInfo: data.petInfo || null,
+      contact: data.contact || null,
+      triageSummary: triageSummaryLines(data.triageSummary),
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+    };
+    bookings.push(booking);
+    persist();
+    return booking;
+  }
+
+  // Apply `changes` to a booking. When `expectedVersion` is given and no
+  // longer matches, nothing is written and a VERSION_CONFLICT error carrying
+  // the current booking is thrown so the caller can merge and retry.
+  // Malformed changes throw INVALID_BOOKING. Server code changing server
+  // fields along with them passes those in `serverChanges`, so both are
+  // written together.
+  function update(id, changes, expectedVersion, serverChanges = {}) {
+    const booking = get(id);
+    if (!booking) return null;
+    checkFields(changes);
+    if (
+      changes.status !== undefined &&
+      !BOOKING_STATUSES.includes(changes.status)
+    ) {
+      throw invalidBooking(`Unknown status "${changes.status}"`);
+    }
+
+    if (
+      expectedVersion !== undefined &&
+      Number(expectedVersion) !== booking.version
+    ) {
+      const err = new Error("Booking was modified by someone else");
+      err.code = "VERSION_CONFLICT";
+      err.current = booking;
+      throw err;
+    }
+
+    const normalized =
+      changes.triageSummary === undefined
+        ? changes
+        : {
+            ...changes,
+            triageSummary: triageSummaryLines(changes.triageSummary),
+          };
+    const merged = {};
+    MUTABLE_FIELDS.forEach((field) => (merged[field] = normalized[field]));
+    SERVER_FIELDS.forEach((field) => (merged[field] = serverChanges[field]));
+    return apply(booking, merged, [...MUTABLE_FIELDS, ...SERVER_FIELDS]);
+  }
+
+  // Set server-managed fields; never reachable from a client PATCH
+  function updateServerFields(id, changes) {
+    const booking = get(id);
+    if (!booking) return null;
+    return apply(booking, changes, SERVER_FIELDS);
+  }
+
+  function apply(booking, changes, fields) {
+    fields.forEach((field) => {
+      if (changes[field] !== undefined) booking[field] = changes[field];
+    });
+    booking.updatedAt = new Date().toISOString();
+    booking.version += 1;
+    persist();
+    return booking;
+  }
+
+  return { list, get, findBySlot, create, update, updateServerFields };
+}
+
+module.exports = {
+  createBookingStore,
+  BOOKING_STATUSES,
+  RELEASED_STATUSES,
+  MUTABLE_FIELDS,
+};
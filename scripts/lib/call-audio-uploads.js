@@ -0,0 +1,328 @@
+// Resumable uploads of call recordings.
+// The browser declares an upload ({ bookingId, fileName, contentType, size,
+// sha256, speaker, callStartedAt, offsetMs }) and sends the file in chunks,
+// each at the byte offset the server reports and with its own SHA-256. A
+// chunk is written at its offset in DIR/<id>.part, so an interrupted upload
+// resumes from `offset` after a reload or a server restart. complete() checks
+// the whole file against the declared SHA-256 and renames it to
+// DIR/<id><ext>. Upload records are kept in a JSON file written like the
+// booking store (temp file, then rename).
+// A booking has at most one unfinished upload at a time, and all unfinished
+// uploads together may reserve at most `maxPendingBytes` of disk.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SPEAKERS } = require("./conversation");
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MAX_PENDING_BYTES = 1024 * 1024 * 1024;
+// Unfinished uploads are dropped after a day
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const EXTENSIONS = {
+  "audio/webm": ".webm",
+  "audio/ogg": ".ogg",
+  "audio/mp4": ".m4a",
+  "audio/mpeg": ".mp3",
+  "audio/wav": ".wav",
+};
+
+function uploadError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// "audio/webm;codecs=opus" -> "audio/webm"
+function baseType(contentType) {
+  return String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+}
+
+function createCallAudioUploads({
+  file,
+  dir,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxPendingBytes = DEFAULT_MAX_PENDING_BYTES,
+  now = Date.now,
+}) {
+  let uploads = load();
+  // Uploads with a chunk being written, so two requests can't race
+  const busy = new Set();
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return Array.isArray(parsed.uploads) ? parsed.uploads : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Could not read call audio uploads:", err.message);
+      }
+      return [];
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ uploads }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  const partFile = (upload) => path.join(dir, `${upload.id}.part`);
+
+  // Where a completed upload's audio is
+  function filePath(upload) {
+    return path.join(dir, upload.storedAs);
+  }
+
+  function get(id) {
+    return uploads.find((u) => u.id === id) || null;
+  }
+
+  function requireUpload(id) {
+    const upload = get(id);
+    if (!upload) throw uploadError("Upload not found", "UPLOAD_NOT_FOUND");
+    return upload;
+  }
+
+  function touch(upload, changes) {
+    Object.assign(upload, changes, {
+      updatedAt: new Date(now()).toISOString(),
+    });
+    persist();
+    return upload;
+  }
+
+  function pruneExpired() {
+    const cutoff = now() - UPLOAD_TTL_MS;
+    const expired = uploads.filter(
+      (u) => u.status === "uploading" && Date.parse(u.updatedAt) < cutoff,
+    );
+    if (!expired.length) return;
+    expired.forEach((u) => fs.rmSync(partFile(u), { force: true }));
+    uploads = uploads.filter((u) => !expired.includes(u));
+    persist();
+  }
+
+  /**
+   * Declare an upload. `speaker` (owner or vet) is whose side of the call the
+   * recording holds, if only one; it starts `offsetMs` after `callStartedAt`.
+   * Throws INVALID_UPLOAD or UPLOAD_TOO_LARGE for a bad declaration,
+   * UPLOAD_IN_PROGRESS while another file for the booking is unfinished and
+   * PENDING_UPLOADS_FULL when there is no room for it yet. Declaring the
+   * booking's unfinished file again returns that upload to resume.
+   */
+  function create({
+    bookingId,
+    fileName,
+    contentType,
+    size,
+    sha256: digest,
+    speaker = null,
+    callStartedAt = null,
+    offsetMs = 0,
+  }) {
+    const type = baseType(contentType);
+    if (!EXTENSIONS[type]) {
+      throw uploadError(
+        `contentType must be one of ${Object.keys(EXTENSIONS).join(", ")}`,
+        "INVALID_UPLOAD",
+      );
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError("size must be a positive integer", "INVALID_UPLOAD");
+    }
+    if (size > maxBytes) {
+      throw uploadError(
+        `Recordings can be at most ${Math.round(maxBytes / 1048576)} MB`,
+        "UPLOAD_TOO_LARGE",
+      );
+    }
+    if (!/^[0-9a-f]{64}$/i.test(String(digest || ""))) {
+      throw uploadError(
+        "sha256 must be the file's hex SHA-256",
+        "INVALID_UPLOAD",
+      );
+    }
+
+    if (speaker !== null && !SPEAKERS.includes(speaker)) {
+      throw uploadError(
+        `speaker must be one of ${SPEAKERS.join(", ")}`,
+        "INVALID_UPLOAD",
+      );
+    }
+    if (callStartedAt !== null && Number.isNaN(Date.parse(callStartedAt))) {
+      throw uploadError("callStartedAt must be a date", "INVALID_UPLOAD");
+    }
+    if (!Number.isInteger(offsetMs) || offsetMs < 0) {
+      throw uploadError(
+        "offsetMs must be a non-negative integer",
+        "INVALID_UPLOAD",
+      );
+    }
+
+    pruneExpired();
+    const pending = uploads.filter((u) => u.status === "uploading");
+    const active = pending.find((u) => u.bookingId === bookingId);
+    if (active) {
+      if (active.sha256 === digest.toLowerCase() && active.size === size) {
+        return active;
+      }
+      throw uploadError(
+        "Another recording for this booking is still uploading",
+        "UPLOAD_IN_PROGRESS",
+      );
+    }
+    const reserved = pending.reduce((sum, u) => sum + u.size, 0);
+    if (reserved + size > maxPendingBytes) {
+      throw uploadError(
+        "Too many recordings are uploading; try again later",
+        "PENDING_UPLOADS_FULL",
+      );
+    }
+
+    const at = new Date(now()).toISOString();
+    const upload = {
+      id: `upload-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      bookingId,
+      fileName: path.basename(String(fileName || `call${EXTENSIONS[type]}`)),
+      contentType: type,
+      size,
+      sha256: digest.toLowerCase(),
+      speaker,
+      callStartedAt: callStartedAt && new Date(callStartedAt).toISOString(),
+      offsetMs,
+      offset: 0,
+      status: "uploading",
+      storedAs: null,
+      createdAt: at,
+      updatedAt: at,
+    };
+    uploads.push(upload);
+    persist();
+    return upload;
+  }
+
+  /**
+   * Write `chunk` at `offset`. Throws OFFSET_MISMATCH (with the server's
+   * `offset`) when the browser is out of step, CHECKSUM_MISMATCH when the
+   * chunk doesn't match `chunkSha256`, and UPLOAD_BUSY while another chunk
+   * for the same upload is being written.
+   */
+  async function writeChunk(id, { offset, chunk, chunkSha256 }) {
+    const upload = requireUpload(id);
+    if (upload.status !== "uploading") {
+      throw uploadError("Upload is already complete", "UPLOAD_COMPLETE");
+    }
+    if (offset !== upload.offset) {
+      throw uploadError(
+        `Expected the chunk at offset ${upload.offset}`,
+        "OFFSET_MISMATCH",
+        { offset: upload.offset },
+      );
+    }
+    if (!chunk.length || offset + chunk.length > upload.size) {
+      throw uploadError(
+        "Chunk is empty or runs past the declared size",
+        "INVALID_UPLOAD",
+      );
+    }
+    if (sha256(chunk) !== String(chunkSha256 || "").toLowerCase()) {
+      throw uploadError(
+        "Chunk does not match its checksum",
+        "CHECKSUM_MISMATCH",
+      );
+    }
+    if (busy.has(id)) {
+      throw uploadError("Another chunk is being written", "UPLOAD_BUSY", {
+        offset: upload.offset,
+      });
+    }
+
+    busy.add(id);
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const handle = await fs.promises.open(
+        partFile(upload),
+        offset === 0 ? "w" : "r+",
+      );
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+      return touch(upload, { offset: offset + chunk.length });
+    } finally {
+      busy.delete(id);
+    }
+  }
+
+  /**
+   * Check the assembled file against the declared SHA-256 and keep it. On a
+   * mismatch the upload starts over from offset 0 (CHECKSUM_MISMATCH).
+   */
+  async function complete(id) {
+    const upload = requireUpload(id);
+    if (upload.status === "complete") return upload;
+    if (upload.offset !== upload.size) {
+      throw uploadError(
+        `Only ${upload.offset} of ${upload.size} bytes were received`,
+        "INCOMPLETE_UPLOAD",
+        { offset: upload.offset },
+      );
+    }
+
+    if (busy.has(id)) {
+      throw uploadError("The upload is still being written", "UPLOAD_BUSY", {
+        offset: upload.offset,
+      });
+    }
+
+    busy.add(id);
+    try {
+      const part = partFile(upload);
+      // Drop anything a crashed earlier attempt wrote past the end
+      await fs.promises.truncate(part, upload.size);
+      if ((await hashFile(part)) !== upload.sha256) {
+        touch(upload, { offset: 0 });
+        throw uploadError(
+          "The uploaded file does not match its checksum; upload it again",
+          "CHECKSUM_MISMATCH",
+          { offset: 0 },
+        );
+      }
+
+      const storedAs = `${upload.id}${EXTENSIONS[upload.contentType]}`;
+      await fs.promises.rename(part, path.join(dir, storedAs));
+      return touch(upload, {
+        status: "complete",
+        storedAs,
+        completedAt: new Date(now()).toISOString(),
+      });
+    } finally {
+      busy.delete(id);
+    }
+  }
+
+  return { create, get, writeChunk, complete, filePath };
+}
+
+module.exports = { createCallAudioUploads };
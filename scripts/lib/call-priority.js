@@ -0,0 +1,175 @@
+// Priority scoring for the vet call queue.
+// A call's score adds up points for its triage urgency, red flags raised
+// during the triage, how long the owner has waited and risk factors of the
+// pet (species that hide illness, very young or senior animals). Waiting
+// earns points at the same rate for every call, so a low-urgency call
+// eventually overtakes newer urgent ones instead of waiting forever. The
+// points for waiting are capped below those for an emergency, so no amount of
+// waiting outranks a live red flag.
+
+const { triageSummaryUrgency } = require("./triage-summary");
+
+const DEFAULT_PRIORITY_POLICY = {
+  // Points for the triage urgency level; `unknown` when there is no triage yet
+  urgency: { High: 60, Medium: 30, Low: 10, unknown: 20 },
+  // Red flags detected live during the triage (see scripts/lib/red-flags.js).
+  // More than maxWaitingPoints plus the High-Low gap, so a Low emergency
+  // stays ahead of any High call however long it has waited.
+  emergency: 120,
+  // Aging: a Low call waiting 100 minutes scores like a fresh High one
+  pointsPerMinuteWaiting: 0.5,
+  maxWaitingPoints: 60,
+  // Prey species hide signs of illness until they are seriously unwell
+  speciesRisk: { rabbit: 10, "guinea-pig": 10, hamster: 10, bird: 10 },
+  young: { underMonths: 6, points: 10 },
+  senior: { fromYears: { cat: 12, default: 10 }, points: 10 },
+};
+
+const URGENCY_LEVELS = ["High", "Medium", "Low"];
+
+// "3 years", "6 months", "8 weeks", "2" -> age in years, or null
+function parseAgeYears(age) {
+  const match = String(age || "").match(
+    /(\d+(?:\.\d+)?)\s*(y|yr|yrs|years?|m|mo|months?|w|wk|weeks?)?\b/i,
+  );
+  if (!match) return null;
+  const value = Number(match[1]);
+  const unit = (match[2] || "y").toLowerCase();
+  if (unit.startsWith("w")) return value / 52;
+  if (unit.startsWith("m")) return value / 12;
+  return value;
+}
+
+function speciesKey(petInfo) {
+  return String(petInfo?.type || petInfo?.typeName || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+function normalizeUrgency(level) {
+  const value = String(level || "").trim();
+  return (
+    URGENCY_LEVELS.find((l) => l.toLowerCase() === value.toLowerCase()) || null
+  );
+}
+
+/**
+ * Score one call. `call` is { urgencyLevel, emergency, waitingSince,
+ * petInfo }, where `waitingSince` is an ISO date or epoch milliseconds.
+ * Returns { score, urgencyLevel, reason, factors: [{ label, points }] }.
+ */
+function scoreCall(
+  call,
+  { now = Date.now(), policy = DEFAULT_PRIORITY_POLICY } = {},
+) {
+  const factors = [];
+  const urgencyLevel = normalizeUrgency(call.urgencyLevel);
+  factors.push({
+    label: urgencyLevel ? `${urgencyLevel} urgency` : "Not triaged yet",
+    points: policy.urgency[urgencyLevel || "unknown"],
+  });
+
+  if (call.emergency?.flags?.length) {
+    factors.push({
+      label: `Emergency: ${call.emergency.flags.map((f) => f.label).join(", ")}`,
+      points: policy.emergency,
+    });
+  }
+
+  const since = new Date(call.waitingSince).getTime();
+  const minutes = Number.isFinite(since)
+    ? Math.max(0, Math.floor((now - since) / 60000))
+    : 0;
+  if (minutes > 0) {
+    factors.push({
+      label: `Waiting ${minutes} min`,
+      points: Math.min(
+        minutes * policy.pointsPerMinuteWaiting,
+        policy.maxWaitingPoints ?? Infinity,
+      ),
+    });
+  }
+
+  const species = speciesKey(call.petInfo);
+  if (policy.speciesRisk[species]) {
+    factors.push({
+      label: `${call.petInfo.typeName || species} (hides illness)`,
+      points: policy.speciesRisk[species],
+    });
+  }
+
+  const years = parseAgeYears(call.petInfo?.age);
+  if (years !== null && years * 12 < policy.young.underMonths) {
+    factors.push({ label: "Very young", points: policy.young.points });
+  } else if (years !== null) {
+    const seniorFrom =
+      policy.senior.fromYears[species] ?? policy.senior.fromYears.default;
+    if (years >= seniorFrom) {
+      factors.push({ label: "Senior", points: policy.senior.points });
+    }
+  }
+
+  const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+  const reason = factors
+    .map((f) => `${f.label} (+${Math.round(f.points)})`)
+    .join(", ");
+  return { score, urgencyLevel, reason, factors };
+}
+
+/**
+ * Sort calls by score, highest first, attaching each call's `priority`.
+ * `toCall(item)` maps an item (e.g. a booking) onto scoreCall()'s input.
+ * Ties go to whoever has waited longest.
+ */
+function prioritize(items, toCall, options = {}) {
+  return items
+    .map((item) => {
+      const call = toCall(item);
+      return {
+        item: { ...item, priority: scoreCall(call, options) },
+        since: new Date(call.waitingSince).getTime() || 0,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.item.priority.score - a.item.priority.score || a.since - b.since,
+    )
+    .map(({ item }) => item);
+}
+
+// The urgency level saved with a booking's triage, or null before triage
+function bookingUrgency(booking) {
+  if (booking.triageUrgency?.level) return booking.triageUrgency.level;
+  // Older bookings only have the summary: "Urgency: High - reason" lines, or
+  // the triage page's { urgencyLevel, ... } object
+  return triageSummaryUrgency(booking.triageSummary);
+}
+
+// When a booking started waiting: an on-demand call from when it was made, a
+// scheduled one from its slot (booking days ahead doesn't count as waiting)
+function bookingWaitingSince(booking) {
+  const created = new Date(booking.createdAt).getTime();
+  const slot = new Date(booking.slotStart).getTime();
+  return booking.slotStart && slot > created
+    ? booking.slotStart
+    : booking.createdAt;
+}
+
+// scoreCall() input for a booking
+function bookingToCall(booking) {
+  return {
+    urgencyLevel: bookingUrgency(booking),
+    emergency: booking.emergency,
+    waitingSince: bookingWaitingSince(booking),
+    petInfo: booking.petInfo,
+  };
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_POLICY,
+  parseAgeYears,
+  scoreCall,
+  prioritize,
+  bookingToCall,
+};
@@ -0,0 +1,320 @@
+// Server-side recording of vet calls with Agora Cloud Recording.
+// A recorder joins the call channel (the booking id) as RECORDER_UID, mixes
+// everyone's audio and uploads the files straight to object storage: any
+// S3-compatible store such as MinIO (vendor 11 with an endpoint), or one of
+// Agora's built-in vendors. What was recorded is kept on the booking as the
+// server-set `recording`:
+//   { status, mode, uid, channel, resourceId, sid, acquiredAt, startedAt,
+//     stoppedAt, storage: { vendor, bucket, prefix }, files, error }
+// where status is acquired, recording, stopped or failed and `files` lists
+// the uploaded files of every segment. Recording follows the booking: it
+// starts when the booking moves to `calling` and stops when it leaves it.
+// Changes are published as `booking.recording`.
+
+const RECORDER_UID = "30000";
+const RECORDING_MODE = "mix";
+// Agora drops an acquired resource that is not started within five minutes
+const ACQUIRE_TTL_MS = 5 * 60 * 1000;
+// Recorder leaves a channel nobody has spoken in for this long
+const MAX_IDLE_SECONDS = 120;
+// Lifetime for the recorder's RTC token, so long calls keep recording
+const RECORDER_TOKEN_SECONDS = 24 * 60 * 60;
+const S3_COMPATIBLE_VENDOR = 11;
+
+function recordingError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Storage settings from RECORDING_BUCKET, RECORDING_ACCESS_KEY,
+ * RECORDING_SECRET_KEY, RECORDING_ENDPOINT (S3-compatible stores),
+ * RECORDING_VENDOR (default 11), RECORDING_REGION (default 0) and
+ * RECORDING_PREFIX (default "recordings"). Null when no bucket is set.
+ */
+function recordingStorageFromEnv(env = process.env) {
+  if (!env.RECORDING_BUCKET) return null;
+  const vendor = env.RECORDING_VENDOR
+    ? Number(env.RECORDING_VENDOR)
+    : S3_COMPATIBLE_VENDOR;
+  if (!env.RECORDING_ACCESS_KEY || !env.RECORDING_SECRET_KEY) {
+    throw recordingError(
+      "RECORDING_ACCESS_KEY and RECORDING_SECRET_KEY are required with RECORDING_BUCKET",
+      "RECORDING_CONFIG",
+    );
+  }
+  if (vendor === S3_COMPATIBLE_VENDOR && !env.RECORDING_ENDPOINT) {
+    throw recordingError(
+      "RECORDING_ENDPOINT is required for an S3-compatible store",
+      "RECORDING_CONFIG",
+    );
+  }
+  return {
+    vendor,
+    region: env.RECORDING_REGION ? Number(env.RECORDING_REGION) : 0,
+    bucket: env.RECORDING_BUCKET,
+    accessKey: env.RECORDING_ACCESS_KEY,
+    secretKey: env.RECORDING_SECRET_KEY,
+    endpoint: env.RECORDING_ENDPOINT || null,
+    prefix: env.RECORDING_PREFIX || "recordings",
+  };
+}
+
+// Agora only allows letters and digits in each part of the file name prefix
+function prefixParts(...parts) {
+  return parts
+    .map((part) => String(part).replace(/[^A-Za-z0-9]/g, ""))
+    .filter(Boolean);
+}
+
+// stop/query list files as an array, or as one string in older modes
+function normalizeFiles(fileList) {
+  if (!fileList) return [];
+  if (typeof fileList === "string") return [{ fileName: fileList }];
+  return fileList.map((f) => ({
+    fileName: f.fileName || f.filename,
+    trackType: f.trackType || null,
+    uid: f.uid || null,
+    sliceStartTime: f.sliceStartTime || null,
+  }));
+}
+
+function createCallRecorder({
+  agora,
+  bookingStore,
+  events,
+  storage,
+  // (channel, uid) -> RTC token, or null when the project has no certificate
+  createToken = () => null,
+  uid = RECORDER_UID,
+  mode = RECORDING_MODE,
+  now = Date.now,
+}) {
+  let unsubscribe = null;
+  // bookingId -> the start() still in flight for it, so a call that ends
+  // before its recorder is up still gets stopped
+  const pendingStarts = new Map();
+
+  function isEnabled() {
+    return Boolean(storage && agora.isConfigured());
+  }
+
+  function requireBooking(bookingId) {
+    const booking = bookingStore.get(bookingId);
+    if (!booking) {
+      throw recordingError("Booking not found", "BOOKING_NOT_FOUND");
+    }
+    return booking;
+  }
+
+  function requireEnabled() {
+    if (!isEnabled()) {
+      throw recordingError(
+        "Cloud recording is not configured on this server",
+        "RECORDING_NOT_CONFIGURED",
+      );
+    }
+  }
+
+  function save(booking, changes) {
+    const recording = { ...booking.recording, ...changes };
+    const updated = bookingStore.updateServerFields(booking.id, { recording });
+    if (events) {
+      events.publish("booking.recording", { booking: updated, recording });
+    }
+    return recording;
+  }
+
+  function storageConfig(bookingId) {
+    const config = {
+      vendor: storage.vendor,
+      region: storage.region,
+      bucket: storage.bucket,
+      accessKey: storage.accessKey,
+      secretKey: storage.secretKey,
+      fileNamePrefix: prefixParts(storage.prefix, bookingId),
+    };
+    if (storage.endpoint) {
+      config.extensionParams = { endpoint: storage.endpoint };
+    }
+    return config;
+  }
+
+  // Reserve a recorder for the booking's call, reusing a fresh reservation
+  async function acquire(bookingId) {
+    requireEnabled();
+    const booking = requireBooking(bookingId);
+    const current = booking.recording;
+    if (current?.status === "recording") return current;
+    if (
+      current?.status === "acquired" &&
+      now() - Date.parse(current.acquiredAt) < ACQUIRE_TTL_MS
+    ) {
+      return current;
+    }
+
+    const resourceId = await agora.acquireRecording({
+      channel: booking.id,
+      uid,
+    });
+    return save(booking, {
+      status: "acquired",
+      mode,
+      uid,
+      channel: booking.id,
+      resourceId,
+      sid: null,
+      acquiredAt: new Date(now()).toISOString(),
+      files: current?.files || [],
+      error: null,
+    });
+  }
+
+  // Start recording the call; does nothing when it is already recording
+  async function start(bookingId) {
+    const acquired = await acquire(bookingId);
+    if (acquired.status === "recording") return acquired;
+
+    const booking = requireBooking(bookingId);
+    try {
+      const { sid } = await agora.startRecording({
+        resourceId: acquired.resourceId,
+        mode,
+        channel: booking.id,
+        uid,
+        clientRequest: {
+          token: createToken(booking.id, uid) || undefined,
+          recordingConfig: {
+            channelType: 0,
+            streamTypes: 0,
+            audioProfile: 1,
+            maxIdleTime: MAX_IDLE_SECONDS,
+          },
+          recordingFileConfig: { avFileType: ["hls"] },
+          storageConfig: storageConfig(booking.id),
+        },
+      });
+      return save(booking, {
+        status: "recording",
+        sid,
+        startedAt: new Date(now()).toISOString(),
+        stoppedAt: null,
+        storage: {
+          vendor: storage.vendor,
+          bucket: storage.bucket,
+          prefix: prefixParts(storage.prefix, booking.id).join("/"),
+        },
+      });
+    } catch (err) {
+      save(booking, { status: "failed", error: err.message });
+      throw err;
+    }
+  }
+
+  // Agora's view of a running recording: { recording, status, files }
+  async function query(bookingId) {
+    requireEnabled();
+    const booking = requireBooking(bookingId);
+    const recording = booking.recording;
+    if (recording?.status !== "recording") {
+      return { recording: recording || null, status: null, files: [] };
+    }
+    const data = await agora.queryRecording({
+      resourceId: recording.resourceId,
+      sid: recording.sid,
+      mode: recording.mode,
+    });
+    return {
+      recording,
+      status: data.serverResponse?.status ?? null,
+      files: normalizeFiles(data.serverResponse?.fileList),
+    };
+  }
+
+  /**
+   * Stop recording and add the uploaded files to the booking. A recorder that
+   * already left on its own (idle timeout) answers 404, which counts as
+   * stopped.
+   */
+  async function stop(bookingId) {
+    requireEnabled();
+    const booking = requireBooking(bookingId);
+    const recording = booking.recording;
+    if (recording?.status !== "recording") return recording || null;
+
+    let files = [];
+    try {
+      const data = await agora.stopRecording({
+        resourceId: recording.resourceId,
+        sid: recording.sid,
+        mode: recording.mode,
+        channel: recording.channel,
+        uid: recording.uid,
+      });
+      files = normalizeFiles(data.serverResponse?.fileList);
+    } catch (err) {
+      if (err.code !== "AGORA_NOT_FOUND") {
+        save(booking, { error: err.message });
+        throw err;
+      }
+    }
+    return save(booking, {
+      status: "stopped",
+      stoppedAt: new Date(now()).toISOString(),
+      files: [...(recording.files || []), ...files],
+      error: null,
+    });
+  }
+
+  function handleEvent({ type, data }) {
+    const booking = data?.booking;
+    if (!booking || !isEnabled()) return;
+    if (type === "booking.calling") {
+      const starting = start(booking.id)
+        .catch((err) =>
+          console.error(
+            `Recording of ${booking.id} did not start:`,
+            err.message,
+          ),
+        )
+        .finally(() => {
+          if (pendingStarts.get(booking.id) === starting) {
+            pendingStarts.delete(booking.id);
+          }
+        });
+      pendingStarts.set(booking.id, starting);
+    } else if (
+      data.previousStatus === "calling" &&
+      booking.status !== "calling"
+    ) {
+      const starting = pendingStarts.get(booking.id) || Promise.resolve();
+      starting
+        .then(() => stop(booking.id))
+        .catch((err) =>
+          console.error(
+            `Recording of ${booking.id} did not stop:`,
+            err.message,
+          ),
+        );
+    }
+  }
+
+  // Record every call while its booking is `calling`
+  function listen() {
+    unsubscribe = events.subscribe(handleEvent);
+    return () => {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    };
+  }
+
+  return { isEnabled, acquire, start, query, stop, listen };
+}
+
+module.exports = {
+  createCallRecorder,
+  recordingStorageFromEnv,
+  RECORDER_UID,
+  RECORDER_TOKEN_SECONDS,
+};
@@ -0,0 +1,57 @@
+// Speaker-labelled consultation transcripts.
+// The owner's browser records each side of the call separately (the owner's
+// microphone and the vet's RTC track), so every uploaded recording belongs to
+// one speaker and starts `offsetMs` into the call. Its transcribed segments
+// become turns on the call's timeline:
+//   { speaker, start, end, text, callStartedAt, uploadId, audioStart }
+// `start`/`end` are seconds from the start of the call, `audioStart` is where
+// the turn begins in the upload's own audio (for playback). A transcriber that
+// diarizes mixed audio can set `speaker` on each segment itself.
+
+const SPEAKERS = ["owner", "vet"];
+const SPEAKER_LABELS = { owner: "Owner", vet: "Vet" };
+
+const round = (seconds) => Math.round(seconds * 100) / 100;
+
+// Turns for one transcribed upload
+function toTurns(upload, segments) {
+  const offset = (upload.offsetMs || 0) / 1000;
+  return segments
+    .filter((s) => s.text)
+    .map((s) => ({
+      speaker: s.speaker || upload.speaker || null,
+      start: round(offset + s.start),
+      end: round(offset + s.end),
+      text: s.text,
+      callStartedAt: upload.callStartedAt || null,
+      uploadId: upload.id,
+      audioStart: round(s.start),
+    }));
+}
+
+function turnTime(turn) {
+  return (Date.parse(turn.callStartedAt) || 0) + turn.start * 1000;
+}
+
+// `existing` and `added` turns in call order; re-adding an upload replaces it
+function mergeTurns(existing, added) {
+  const uploads = new Set(added.map((t) => t.uploadId));
+  return [...existing.filter((t) => !uploads.has(t.uploadId)), ...added].sort(
+    (a, b) => turnTime(a) - turnTime(b),
+  );
+}
+
+// "Owner: ...\nVet: ..." for prompts and plain-text views
+function conversationText(turns) {
+  return turns
+    .map((t) => `${SPEAKER_LABELS[t.speaker] || "Speaker"}: ${t.text}`)
+    .join("\n");
+}
+
+module.exports = {
+  toTurns,
+  mergeTurns,
+  conversationText,
+  SPEAKERS,
+  SPEAKER_LABELS,
+};
@@ -0,0 +1,41 @@
+// Helpers for reading vendor secrets from the server environment
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function missingSecretError(name) {
+  const err = new Error(`Server misconfigured: ${name} is not set`);
+  err.code = "MISSING_SECRET";
+  return err;
+}
+
+// Value of the first of `names` that is set; throws naming the first one
+function requireEnv(env, ...names) {
+  const name = names.find((n) => env[n]);
+  if (!name) throw missingSecretError(names[0]);
+  return env[name];
+}
+
+/**
+ * A secret that must stay the same across restarts: env[name] when set,
+ * otherwise one generated on first use and kept in `file` (readable by the
+ * server's user only).
+ */
+function persistentSecret(env, name, file) {
+  if (env[name]) return env[name];
+  try {
+    const stored = fs.readFileSync(file, "utf-8").trim();
+    if (stored) return stored;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${secret}\n`, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return secret;
+}
+
+module.exports = { requireEnv, persistentSecret };
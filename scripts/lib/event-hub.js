@@ -0,0 +1,39 @@
+// In-process publish/subscribe hub for server-sent events.
+// Keeps a short history so clients reconnecting with Last-Event-ID can catch
+// up on what they missed.
+
+const HISTORY_SIZE = 200;
+
+function createEventHub() {
+  const subscribers = new Set();
+  const history = [];
+  let lastId = 0;
+
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data, at: new Date().toISOString() };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+    subscribers.forEach((fn) => {
+      try {
+        fn(event);
+      } catch (err) {
+        console.error("Event subscriber failed:", err.message);
+      }
+    });
+    return event;
+  }
+
+  // Returns an unsubscribe function
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  function since(id) {
+    return history.filter((e) => e.id > Number(id));
+  }
+
+  return { publish, subscribe, since };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,124 @@
+// RFC 5545 iCalendar output for booked consultations: a single booking as an
+// .ics file for the owner, and every booking of a vet as a feed their calendar
+// app subscribes to.
+// Events carry the booking's version as SEQUENCE, so calendar apps replace an
+// event they already have when the booking changes.
+
+const PRODID = "-//VetAI Triage//Vet Bookings//EN";
+const UID_DOMAIN = "vetai-triage";
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// 20260105T140000Z
+function formatUtc(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+function eventStatus(bookingStatus) {
+  if (bookingStatus === "pending") return "TENTATIVE";
+  if (bookingStatus === "declined" || bookingStatus === "cancelled") {
+    return "CANCELLED";
+  }
+  return "CONFIRMED";
+}
+
+/**
+ * Calendar event for a booking. Scheduled bookings start at their slot;
+ * "now" bookings at the time they were made.
+ * `joinUrl` is the page to open for the call.
+ */
+function bookingToEvent(
+  booking,
+  { joinUrl, durationMinutes = DEFAULT_DURATION_MINUTES } = {},
+) {
+  const start = Date.parse(booking.slotStart || booking.createdAt);
+  const pet = booking.petInfo || {};
+  const petName = pet.name || "your pet";
+  const petType = pet.typeName || pet.type;
+  const description = [
+    `Video consultation with ${booking.vetName}.`,
+    `Pet: ${petName}${petType ? ` (${petType}${pet.age ? `, ${pet.age}` : ""})` : ""}`,
+    booking.notes ? `Notes: ${booking.notes}` : null,
+    joinUrl ? `Join: ${joinUrl}` : null,
+  ].filter(Boolean);
+
+  return {
+    uid: `${booking.id}@${UID_DOMAIN}`,
+    sequence: booking.version || 0,
+    stamp: Date.parse(booking.updatedAt || booking.createdAt),
+    start,
+    end: start + durationMinutes * 60000,
+    summary: `Vet consultation: ${petName} with ${booking.vetName}`,
+    description: description.join("\n"),
+    location: joinUrl || "",
+    url: joinUrl || "",
+    status: eventStatus(booking.status),
+  };
+}
+
+/**
+ * iCalendar text for `events` (see bookingToEvent()), with CRLF line endings.
+ * `name` is shown by calendar apps for subscribed feeds.
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence}`,
+      `DTSTAMP:${formatUtc(event.stamp)}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `STATUS:${event.status}`,
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { bookingToEvent, buildCalendar, escapeText, foldLine };
@@ -0,0 +1,83 @@
+// Minimal JSON Schema validator for the config files in config/.
+// Supports the subset those schemas use: type (string or array), enum,
+// required, properties, additionalProperties (false or a schema), items,
+// minimum, maximum and minLength.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Returns a list of "path: problem" strings; empty when the value is valid
+function validateSchema(value, schema, path = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (
+    typeof value === "string" &&
+    schema.minLength !== undefined &&
+    value.length < schema.minLength
+  ) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)),
+    );
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(child, properties[key], `${path}.${key}`),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: unknown property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            child,
+            schema.additionalProperties,
+            `${path}.${key}`,
+          ),
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,183 @@
+// LLM vendors for agent joins and server-side analysis.
+// Every supported vendor speaks the OpenAI Chat Completions protocol, so an
+// entry only has to say where the endpoint is, which environment variables
+// hold its key and which model to use by default.
+//
+// An LLM config looks like { vendor, model, temperature, max_tokens } plus
+// `url` for openai-compatible endpoints and `region` for Bedrock. It comes
+// from an agent profile's `llm` block or from <PREFIX>_* environment
+// variables (see llmConfigFromEnv).
+
+const axios = require("axios");
+const { requireEnv } = require("./env");
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const LLM_PROVIDERS = {
+  groq: {
+    keyEnv: ["GROQ_KEY", "GROQ_API_KEY"],
+    defaultModel: "llama-3.3-70b-versatile",
+    url: () => "https://api.groq.com/openai/v1/chat/completions",
+  },
+
+  openai: {
+    keyEnv: ["OPENAI_KEY", "OPENAI_API_KEY"],
+    defaultModel: "gpt-4o-mini",
+    url: () => "https://api.openai.com/v1/chat/completions",
+  },
+
+  // Amazon Bedrock's OpenAI-compatible runtime endpoint, authenticated with a
+  // Bedrock API key (bearer token)
+  bedrock: {
+    keyEnv: ["LLM_AWS_BEDROCK_KEY"],
+    defaultModel: "openai.gpt-oss-120b-1:0",
+    options: ["region"],
+    url: (config, env) => {
+      const region = config.region || env.LLM_AWS_BEDROCK_REGION || "us-west-2";
+      return `https://bedrock-runtime.${region}.amazonaws.com/openai/v1/chat/completions`;
+    },
+  },
+
+  // Any other Chat Completions server, e.g. Ollama or vLLM. The key is
+  // optional. Agent joins need a URL that Agora's cloud can reach.
+  "openai-compatible": {
+    keyEnv: ["LLM_OPENAI_COMPATIBLE_KEY"],
+    keyOptional: true,
+    defaultModel: "llama3.1",
+    options: ["url"],
+    url: (config, env) =>
+      config.url ||
+      env.LLM_OPENAI_COMPATIBLE_URL ||
+      "http://localhost:11434/v1/chat/completions",
+  },
+};
+
+const VENDOR_OPTIONS = ["url", "region"];
+
+function getLlmProvider(vendor) {
+  return Object.prototype.hasOwnProperty.call(LLM_PROVIDERS, vendor)
+    ? LLM_PROVIDERS[vendor]
+    : null;
+}
+
+function providerFor(config) {
+  const provider = getLlmProvider(config && config.vendor);
+  if (!provider) {
+    throw new Error(`Unknown LLM vendor: ${config && config.vendor}`);
+  }
+  return provider;
+}
+
+// Returns a list of problems with an LLM config; empty when valid
+function validateLlmConfig(llm, path = "$.llm") {
+  const provider = getLlmProvider(llm && llm.vendor);
+  if (!provider) {
+    return [
+      `${path}.vendor: must be one of ${Object.keys(LLM_PROVIDERS).join(", ")}`,
+    ];
+  }
+  return VENDOR_OPTIONS.filter(
+    (key) => llm[key] !== undefined && !(provider.options || []).includes(key),
+  ).map((key) => `${path}.${key}: not supported by ${llm.vendor}`);
+}
+
+function findKey(config, provider, env) {
+  return config.apiKey || provider.keyEnv.map((n) => env[n]).find(Boolean);
+}
+
+// Whether a key is available, so callers can fall back before trying
+function hasLlmCredentials(config, env = process.env) {
+  const provider = getLlmProvider(config && config.vendor);
+  return Boolean(
+    provider && (provider.keyOptional || findKey(config, provider, env)),
+  );
+}
+
+/**
+ * Resolve a config to { url, apiKey, model, temperature, maxTokens }.
+ * Throws MISSING_SECRET when the vendor needs a key that isn't set.
+ */
+function resolveLlm(config, env = process.env) {
+  const provider = providerFor(config);
+  const apiKey =
+    findKey(config, provider, env) ||
+    (provider.keyOptional ? null : requireEnv(env, ...provider.keyEnv));
+  return {
+    url: provider.url(config, env),
+    apiKey,
+    model: config.model || provider.defaultModel,
+    temperature: config.temperature,
+    maxTokens: config.max_tokens,
+  };
+}
+
+/**
+ * The connection part of an Agora join request's `llm` object. The caller
+ * adds system_messages, greeting and the other agent settings.
+ */
+function buildAgentLlmBlock(config, env = process.env) {
+  const llm = resolveLlm(config, env);
+  const params = { model: llm.model };
+  if (llm.temperature !== undefined) params.temperature = llm.temperature;
+  if (llm.maxTokens !== undefined) params.max_tokens = llm.maxTokens;
+  return { url: llm.url, api_key: llm.apiKey || "", params };
+}
+
+/**
+ * Send a chat completion and resolve to the reply text. The config's
+ * temperature and max_tokens win over the per-call defaults.
+ */
+async function chatCompletion(
+  config,
+  { messages, temperature, maxTokens, json = false },
+  env = process.env,
+) {
+  const llm = resolveLlm(config, env);
+  const body = {
+    model: llm.model,
+    messages,
+    temperature: llm.temperature ?? temperature,
+    max_tokens: llm.maxTokens ?? maxTokens,
+  };
+  if (json) body.response_format = { type: "json_object" };
+
+  const headers = { "Content-Type": "application/json" };
+  if (llm.apiKey) headers.Authorization = `Bearer ${llm.apiKey}`;
+
+  const response = await axios.post(llm.url, body, {
+    headers,
+    timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+  });
+  return response.data?.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Read an LLM config from <prefix>_VENDOR, _MODEL, _URL, _KEY, _TEMPERATURE
+ * and _TIMEOUT_MS. A _URL without a _VENDOR means an openai-compatible
+ * endpoint; otherwise the vendor defaults to Groq.
+ */
+function llmConfigFromEnv(prefix, env = process.env) {
+  const read = (name) => env[`${prefix}_${name}`] || undefined;
+  const config = {
+    vendor: read("VENDOR") || (read("URL") ? "openai-compatible" : "groq"),
+    model: read("MODEL"),
+    url: read("URL"),
+    apiKey: read("KEY"),
+    temperature: read("TEMPERATURE") ? Number(read("TEMPERATURE")) : undefined,
+    timeoutMs: Number(read("TIMEOUT_MS")) || DEFAULT_TIMEOUT_MS,
+  };
+  return Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== undefined),
+  );
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  getLlmProvider,
+  validateLlmConfig,
+  hasLlmCredentials,
+  resolveLlm,
+  buildAgentLlmBlock,
+  chatCompletion,
+  llmConfigFromEnv,
+};
@@ -0,0 +1,103 @@
+// Notification templates, one JSON file per language in config/notifications
+// (the file name is the language code), validated against
+// config/notification-templates.schema.json when the server starts.
+
+const fs = require("fs");
+const path = require("path");
+const { validateSchema } = require("./json-schema");
+
+const DEFAULT_DIR = path.join(__dirname, "../../config/notifications");
+const DEFAULT_SCHEMA_FILE = path.join(
+  __dirname,
+  "../../config/notification-templates.schema.json",
+);
+const DEFAULT_LANGUAGE = "en";
+
+function templateError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function fill(template, vars) {
+  return String(template || "").replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    vars[key] === undefined ? "" : vars[key],
+  );
+}
+
+function loadTemplates(dir, schema) {
+  const languages = {};
+  const problems = [];
+
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  for (const file of files) {
+    let templates;
+    try {
+      templates = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+      continue;
+    }
+    const errors = validateSchema(templates, schema);
+    if (errors.length) {
+      problems.push(...errors.map((e) => `${file}: ${e}`));
+      continue;
+    }
+    languages[path.basename(file, ".json").toLowerCase()] = templates;
+  }
+
+  if (!languages[DEFAULT_LANGUAGE]) {
+    problems.push(`${DEFAULT_LANGUAGE}.json: the default language is missing`);
+  }
+  if (problems.length) {
+    throw templateError(
+      `Invalid notification templates:\n  ${problems.join("\n  ")}`,
+      "INVALID_NOTIFICATION_TEMPLATES",
+    );
+  }
+  return languages;
+}
+
+function createNotificationTemplates({
+  dir = DEFAULT_DIR,
+  schemaFile = DEFAULT_SCHEMA_FILE,
+} = {}) {
+  const schema = JSON.parse(fs.readFileSync(schemaFile, "utf-8"));
+  const languages = loadTemplates(dir, schema);
+
+  // "es-MX" uses es.json, unknown languages the default
+  function resolveLanguage(language) {
+    const tag = String(language || "").toLowerCase();
+    if (languages[tag]) return tag;
+    const base = tag.split("-")[0];
+    return languages[base] ? base : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * { language, subject, text } of the `type` notification in the owner's
+   * language. `vars` fills {{placeholders}}; a missing petName becomes the
+   * language's "your pet", and `when: null` its wording for "now" bookings.
+   */
+  function render(type, language, vars = {}) {
+    const resolved = resolveLanguage(language);
+    const { strings, templates } = languages[resolved];
+    const values = {
+      ...vars,
+      petName: vars.petName || strings.yourPet,
+      when: vars.when || strings.now,
+    };
+    return {
+      language: resolved,
+      subject: fill(templates[type].subject, values),
+      text: fill(templates[type].text, values),
+    };
+  }
+
+  return {
+    languages: () => Object.keys(languages),
+    resolveLanguage,
+    render,
+  };
+}
+
+module.exports = { createNotificationTemplates, DEFAULT_LANGUAGE };
@@ -0,0 +1,301 @@
+// Owner notifications: booking confirmation, a reminder shortly before a
+// scheduled consultation, vet accepted and summary ready.
+// Booking events from the event hub queue notification jobs; a scheduler sends
+// each job when it is due through every configured transport
+// (scripts/lib/notify-transports.js), in the owner's language
+// (scripts/lib/notification-templates.js). Jobs are kept in
+// DATA_DIR/notifications.json, so reminders survive a restart and nothing is
+// sent twice. A failed delivery is retried with backoff on the transports that
+// failed only.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { RELEASED_STATUSES } = require("./booking-store");
+
+const NOTIFICATION_TYPES = [
+  "booking-confirmed",
+  "reminder",
+  "vet-accepted",
+  "summary-ready",
+];
+const DEFAULT_REMINDER_MINUTES = 15;
+const DEFAULT_POLL_MS = 30000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60000;
+// Finished jobs are forgotten after this long
+const KEEP_FINISHED_MS = 30 * 24 * 60 * 60 * 1000;
+
+// "Monday, January 5 at 9:00 AM EST" in the owner's language and time zone
+function formatWhen(slotStart, language, timeZone) {
+  if (!slotStart) return null;
+  const options = {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  };
+  try {
+    return new Intl.DateTimeFormat(language, {
+      ...options,
+      timeZone: timeZone || "UTC",
+    }).format(new Date(slotStart));
+  } catch (err) {
+    // Unknown time zone from the browser
+    return new Intl.DateTimeFormat(language, {
+      ...options,
+      timeZone: "UTC",
+    }).format(new Date(slotStart));
+  }
+}
+
+function createNotifier({
+  file,
+  templates,
+  transports,
+  bookingStore,
+  baseUrl,
+  reminderMinutes = DEFAULT_REMINDER_MINUTES,
+  pollMs = DEFAULT_POLL_MS,
+  now = Date.now,
+}) {
+  let jobs = load();
+  let timer = null;
+  let unsubscribe = null;
+  let running = null;
+  let next = null;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return Array.isArray(parsed.jobs) ? parsed.jobs : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Could not read notifications file:", err.message);
+      }
+      return [];
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ jobs }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Queue a notification unless the booking already has one of this type
+  function enqueue(type, bookingId, dueAt = now()) {
+    const existing = jobs.find(
+      (j) =>
+        j.type === type &&
+        j.bookingId === bookingId &&
+        j.status !== "cancelled",
+    );
+    if (existing) return existing;
+    const job = {
+      id: `notification-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`,
+      type,
+      bookingId,
+      dueAt: new Date(dueAt).toISOString(),
+      status: "scheduled",
+      attempts: 0,
+      delivered: [],
+      createdAt: new Date(now()).toISOString(),
+    };
+    jobs.push(job);
+    persist();
+    return job;
+  }
+
+  function cancel(type, bookingId) {
+    let changed = false;
+    jobs.forEach((job) => {
+      if (
+        job.type === type &&
+        job.bookingId === bookingId &&
+        job.status === "scheduled"
+      ) {
+        job.status = "cancelled";
+        changed = true;
+      }
+    });
+    if (changed) persist();
+  }
+
+  function scheduleReminder(booking) {
+    if (!booking.slotStart) return;
+    const dueAt = Date.parse(booking.slotStart) - reminderMinutes * 60000;
+    // Booked less than `reminderMinutes` ahead: the confirmation is enough
+    if (dueAt <= now()) return;
+    enqueue("reminder", booking.id, dueAt);
+  }
+
+  function handleEvent({ type, data }) {
+    const booking = data?.booking;
+    if (!booking) return;
+    switch (type) {
+      case "booking.created":
+        enqueue("booking-confirmed", booking.id);
+        scheduleReminder(booking);
+        break;
+      case "booking.accepted":
+        enqueue("vet-accepted", booking.id);
+        break;
+      case "booking.summary-ready":
+        enqueue("summary-ready", booking.id);
+        break;
+      case "booking.declined":
+      case "booking.cancelled":
+        cancel("reminder", booking.id);
+        break;
+      default:
+        return;
+    }
+    kick();
+  }
+
+  function buildMessage(job, booking) {
+    const contact = booking.contact || {};
+    const language = templates.resolveLanguage(contact.language);
+    const id = encodeURIComponent(booking.id);
+    const { subject, text } = templates.render(job.type, language, {
+      petName: booking.petInfo?.name,
+      vetName: booking.vetName,
+      when: formatWhen(booking.slotStart, language, contact.timeZone),
+      bookingUrl: `${baseUrl}/vet/waiting-room.html?bookingId=${id}`,
+      calendarUrl: `${baseUrl}/api/bookings/${id}/calendar.ics`,
+    });
+    return {
+      id: job.id,
+      type: job.type,
+      bookingId: booking.id,
+      to: contact.email || null,
+      language,
+      subject,
+      text,
+      booking: {
+        id: booking.id,
+        vetId: booking.vetId,
+        vetName: booking.vetName,
+        status: booking.status,
+        slotStart: booking.slotStart || null,
+        petName: booking.petInfo?.name || null,
+      },
+    };
+  }
+
+  async function deliver(job) {
+    const booking = bookingStore.get(job.bookingId);
+    if (
+      !booking ||
+      (job.type === "reminder" && RELEASED_STATUSES.includes(booking.status))
+    ) {
+      job.status = "cancelled";
+      return;
+    }
+
+    const message = buildMessage(job, booking);
+    const failures = [];
+    for (const transport of transports) {
+      if (job.delivered.includes(transport.name)) continue;
+      try {
+        await transport.send(message);
+        job.delivered.push(transport.name);
+      } catch (err) {
+        failures.push(`${transport.name}: ${err.message}`);
+      }
+    }
+
+    job.attempts += 1;
+    if (!failures.length) {
+      job.status = "sent";
+      job.sentAt = new Date(now()).toISOString();
+      delete job.error;
+      return;
+    }
+    job.error = failures.join("; ");
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.status = "failed";
+      console.error(`Notification ${job.id} failed for good:`, job.error);
+    } else {
+      const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      job.dueAt = new Date(now() + delay).toISOString();
+      console.error(`Notification ${job.id} will be retried:`, job.error);
+    }
+  }
+
+  async function run() {
+    const due = jobs.filter(
+      (j) => j.status === "scheduled" && Date.parse(j.dueAt) <= now(),
+    );
+    for (const job of due) {
+      await deliver(job);
+      persist();
+    }
+
+    const cutoff = now() - KEEP_FINISHED_MS;
+    const kept = jobs.filter(
+      (j) => j.status === "scheduled" || Date.parse(j.createdAt) > cutoff,
+    );
+    if (kept.length !== jobs.length) {
+      jobs = kept;
+      persist();
+    }
+  }
+
+  /**
+   * Send every job that is due. Passes never overlap: a call made while one
+   * is running resolves when the pass after it is done.
+   */
+  function tick() {
+    if (!running) {
+      running = run().finally(() => {
+        running = null;
+      });
+      return running;
+    }
+    if (!next) {
+      next = running
+        .catch(() => {})
+        .then(() => {
+          next = null;
+          return tick();
+        });
+    }
+    return next;
+  }
+
+  function kick() {
+    tick().catch((err) => console.error("Notification run failed:", err));
+  }
+
+  // Listen for booking events and send due jobs every `pollMs`
+  function start(events) {
+    unsubscribe = events.subscribe(handleEvent);
+    timer = setInterval(kick, pollMs);
+    timer.unref();
+    kick();
+  }
+
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    clearInterval(timer);
+    unsubscribe = null;
+    timer = null;
+  }
+
+  // Jobs, newest first, optionally for one booking
+  function list({ bookingId } = {}) {
+    return jobs
+      .filter((j) => !bookingId || j.bookingId === bookingId)
+      .map((j) => ({ ...j }))
+      .reverse();
+  }
+
+  return { start, stop, tick, enqueue, list };
+}
+
+module.exports = { createNotifier, NOTIFICATION_TYPES };
@@ -0,0 +1,159 @@
+// Delivery channels for owner notifications (see scripts/lib/notifier.js).
+// A transport is { name, send(message) } where `message` is
+// { id, type, bookingId, to, language, subject, text, booking }; `to` is the
+// owner's email address or null. send() resolves to { skipped: true } when the
+// transport can't deliver this message (e.g. email without an address) and
+// rejects when delivery failed and should be retried.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { sendMail } = require("./smtp-client");
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function transportError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Prints notifications to the server log (local development)
+function createConsoleTransport({ log = console.log } = {}) {
+  return {
+    name: "console",
+    async send(message) {
+      log(
+        `Notification ${message.type} for ${message.bookingId} to ${message.to || "(no email)"} [${message.language}]: ${message.subject}\n${message.text}`,
+      );
+    },
+  };
+}
+
+// Appends one JSON line per notification to `file` (local development)
+function createFileTransport({ file }) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(
+        file,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n",
+      );
+    },
+  };
+}
+
+// POSTs each notification as JSON. With a secret, the body is signed with
+// HMAC-SHA256 in X-VetAI-Signature ("sha256=<hex>").
+function createWebhookTransport({
+  url,
+  secret,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+}) {
+  return {
+    name: "webhook",
+    async send(message) {
+      const body = JSON.stringify(message);
+      const headers = { "Content-Type": "application/json" };
+      if (secret) {
+        const signature = crypto
+          .createHmac("sha256", secret)
+          .update(body)
+          .digest("hex");
+        headers["X-VetAI-Signature"] = `sha256=${signature}`;
+      }
+      const res = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) {
+        throw transportError(
+          `Webhook answered ${res.status}`,
+          "WEBHOOK_FAILED",
+        );
+      }
+    },
+  };
+}
+
+// Emails the owner; skips bookings without an email address
+function createSmtpTransport({ from, ...server }) {
+  return {
+    name: "smtp",
+    async send(message) {
+      if (!message.to) return { skipped: true };
+      await sendMail(server, {
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+    },
+  };
+}
+
+/**
+ * Transports named in NOTIFY_TRANSPORTS (comma separated: console, file,
+ * webhook, smtp; default console). Throws NOTIFIER_CONFIG when a transport
+ * is missing its settings, so a typo stops the server at startup.
+ */
+function transportsFromEnv(env, { dataDir }) {
+  const names = String(env.NOTIFY_TRANSPORTS || "console")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.map((name) => {
+    switch (name) {
+      case "console":
+        return createConsoleTransport();
+      case "file":
+        return createFileTransport({
+          file: env.NOTIFY_FILE || path.join(dataDir, "notifications.log"),
+        });
+      case "webhook":
+        if (!env.NOTIFY_WEBHOOK_URL) {
+          throw transportError(
+            "NOTIFY_WEBHOOK_URL is required for the webhook transport",
+            "NOTIFIER_CONFIG",
+          );
+        }
+        return createWebhookTransport({
+          url: env.NOTIFY_WEBHOOK_URL,
+          secret: env.NOTIFY_WEBHOOK_SECRET,
+        });
+      case "smtp":
+        if (!env.SMTP_HOST || !env.SMTP_FROM) {
+          throw transportError(
+            "SMTP_HOST and SMTP_FROM are required for the smtp transport",
+            "NOTIFIER_CONFIG",
+          );
+        }
+        return createSmtpTransport({
+          host: env.SMTP_HOST,
+          port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+          secure: env.SMTP_SECURE === "true",
+          user: env.SMTP_USER,
+          pass: env.SMTP_PASS,
+          allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === "true",
+          from: env.SMTP_FROM,
+        });
+      default:
+        throw transportError(
+          `Unknown notification transport "${name}"`,
+          "NOTIFIER_CONFIG",
+        );
+    }
+  });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createWebhookTransport,
+  createSmtpTransport,
+  transportsFromEnv,
+};
@@ -0,0 +1,184 @@
+// Triage questionnaires.
+// Questionnaires are JSON files in config/questionnaires (the file name is the
+// questionnaire name), validated against config/questionnaire.schema.json when
+// the server starts. One definition drives both sides of a triage call: the
+// protocol section of the agent's system prompt, and the questions the page
+// asks and stores as answer slots on the booking.
+
+const fs = require("fs");
+const path = require("path");
+const { validateSchema } = require("./json-schema");
+
+const DEFAULT_DIR = path.join(__dirname, "../../config/questionnaires");
+const DEFAULT_SCHEMA_FILE = path.join(
+  __dirname,
+  "../../config/questionnaire.schema.json",
+);
+
+function questionnaireError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// "Guinea Pig" and "guinea-pig" both name the pet form's guinea-pig type
+function speciesKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+function render(template, vars) {
+  return String(template || "").replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    vars[key] === undefined ? "" : vars[key],
+  );
+}
+
+// Problems the schema can't express: duplicate ids and follow-ups that point
+// at a question that isn't asked before them
+function checkQuestions(questionnaire) {
+  const errors = [];
+  const seen = new Set();
+  questionnaire.questions.forEach((q, i) => {
+    if (seen.has(q.id)) {
+      errors.push(`$.questions[${i}].id: duplicate id ${q.id}`);
+    }
+    if (q.when && !seen.has(q.when.question)) {
+      errors.push(
+        `$.questions[${i}].when.question: ${q.when.question} is not an earlier question`,
+      );
+    }
+    seen.add(q.id);
+  });
+  return errors;
+}
+
+/**
+ * Read and validate every questionnaire in `dir`. Throws one error listing
+ * all problems so a bad config file stops the server at startup.
+ */
+function loadQuestionnaires(dir, schema) {
+  const questionnaires = {};
+  const problems = [];
+
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  for (const file of files) {
+    const name = path.basename(file, ".json");
+    let questionnaire;
+    try {
+      questionnaire = JSON.parse(
+        fs.readFileSync(path.join(dir, file), "utf-8"),
+      );
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+      continue;
+    }
+    const errors = validateSchema(questionnaire, schema);
+    if (!errors.length) errors.push(...checkQuestions(questionnaire));
+    if (errors.length) {
+      problems.push(...errors.map((e) => `${file}: ${e}`));
+      continue;
+    }
+    questionnaires[name] = questionnaire;
+  }
+
+  if (problems.length) {
+    throw questionnaireError(
+      `Invalid questionnaires:\n  ${problems.join("\n  ")}`,
+      "INVALID_QUESTIONNAIRE",
+    );
+  }
+  return questionnaires;
+}
+
+function createQuestionnaires({
+  dir = DEFAULT_DIR,
+  schemaFile = DEFAULT_SCHEMA_FILE,
+} = {}) {
+  const schema = JSON.parse(fs.readFileSync(schemaFile, "utf-8"));
+  const questionnaires = loadQuestionnaires(dir, schema);
+
+  function get(name) {
+    return Object.prototype.hasOwnProperty.call(questionnaires, name)
+      ? questionnaires[name]
+      : null;
+  }
+
+  function list() {
+    return Object.entries(questionnaires).map(([name, q]) => ({
+      name,
+      description: q.description || "",
+    }));
+  }
+
+  /**
+   * The questionnaire as asked for one pet: questions for other species are
+   * dropped, species wording is chosen and pet fields are filled in.
+   * `vars` holds petName, petType, petAge and optionally species (the pet
+   * form's type key; petType is used when it's missing).
+   */
+  function forPet(name, vars = {}) {
+    const questionnaire = get(name);
+    if (!questionnaire) {
+      throw questionnaireError(
+        `Unknown questionnaire: ${name}`,
+        "UNKNOWN_QUESTIONNAIRE",
+      );
+    }
+
+    const species = speciesKey(vars.species || vars.petType);
+    const asked = new Set();
+    const questions = [];
+    for (const q of questionnaire.questions) {
+      if (q.species && !q.species.map(speciesKey).includes(species)) continue;
+      // A follow-up to a question this pet isn't asked can't come up either
+      if (q.when && !asked.has(q.when.question)) continue;
+      asked.add(q.id);
+
+      const variant = Object.entries(q.variants || {}).find(
+        ([key]) => speciesKey(key) === species,
+      );
+      questions.push({
+        id: q.id,
+        text: render(variant ? variant[1] : q.text, vars),
+        ...(q.when && { when: q.when }),
+      });
+    }
+
+    return {
+      name,
+      intro: render(questionnaire.intro, vars),
+      closing: render(questionnaire.closing, vars),
+      questions,
+    };
+  }
+
+  /**
+   * The questions as numbered prompt lines, with each follow-up under the
+   * question whose answer triggers it.
+   */
+  function buildPrompt(name, vars = {}) {
+    const { questions } = forPet(name, vars);
+    const numbers = {};
+    const lines = [];
+    let count = 0;
+    for (const q of questions) {
+      if (q.when) {
+        const mentions = q.when.mentions.map((m) => `"${m}"`).join(", ");
+        lines.push(
+          `   - Only if the answer to question ${numbers[q.when.question]} mentions ${mentions}, ask next: "${q.text}"`,
+        );
+        numbers[q.id] = numbers[q.when.question];
+      } else {
+        numbers[q.id] = ++count;
+        lines.push(`${count}. "${q.text}"`);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  return { get, list, forPet, buildPrompt };
+}
+
+module.exports = { createQuestionnaires };
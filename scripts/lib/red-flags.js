@@ -0,0 +1,95 @@
+// Red-flag symptoms that need emergency care.
+// Used by the rule-based triage and by the live check on the owner's spoken
+// answers, which escalates a booking as soon as one is mentioned rather than
+// after the last question.
+//
+// Answers are checked clause by clause, and a mention with a negation in the
+// few words just before it ("there's no blood", "he isn't having trouble
+// breathing") doesn't count. A negation earlier on ("he is not eating and he
+// is bleeding") doesn't carry past "and", "then" and the like. "No longer"
+// and "doesn't stop" still count.
+
+const RED_FLAGS = [
+  {
+    id: "breathing",
+    label: "Breathing difficulty",
+    pattern:
+      /(trouble|difficult\w*|struggling|hard time|can['’]?t|not|isn['’]?t|stopped|no longer) (to )?breath|breathing (hard|heav|fast|strange|weird|noisy)|short(ness)? of breath|chok|gasp|blue gums/i,
+  },
+  {
+    id: "seizure",
+    label: "Seizures",
+    pattern: /seiz|convuls|(having|had|has|have) (a |another )?fits?\b/i,
+  },
+  {
+    id: "bleeding",
+    label: "Bleeding",
+    pattern:
+      /bleed|blood(y| (in|from|on|everywhere))|(vomit\w*|cough\w*|throw\w* up|pee\w*|poo\w*) (up )?blood/i,
+  },
+  {
+    id: "toxin",
+    label: "Toxin ingestion",
+    pattern:
+      /poison|toxin|(ate|eaten|swallowed|licked) (some(thing)? )?toxic|ate .*(chocolate|grape|raisin|xylitol|lily|antifreeze|rat bait)/i,
+  },
+  {
+    id: "collapse",
+    label: "Collapse or unresponsiveness",
+    pattern: /collaps|unconscious|unresponsive/i,
+  },
+  {
+    id: "bloat",
+    label: "Bloated abdomen",
+    pattern: /bloat|swollen (belly|abdomen)/i,
+  },
+  {
+    id: "urinary-blockage",
+    label: "Unable to urinate",
+    pattern: /can['’]?t (urinate|pee)|straining to (urinate|pee)/i,
+  },
+  {
+    id: "trauma",
+    label: "Major trauma",
+    pattern: /hit by (a )?car|fell from/i,
+  },
+];
+
+const CLAUSE_BREAK = /[.;:!?,\n]|\b(?:but|though|although|however)\b/i;
+const NEGATION =
+  /\b(?:no(?! longer)|not|never|without|nothing|none|(?:is|was|are|were|has|have|had|does|do|did)n['’]?t)\b(?! stop)/i;
+const NEGATION_SCOPE_END =
+  /\b(?:and|then|since|so|because|after|before|when|until|while)\b/i;
+// How many words before a symptom a negation still applies to
+const NEGATION_WORDS = 3;
+
+// Whether the words just before position `index` of `clause` negate it
+function negatedAt(clause, index) {
+  const words = clause
+    .slice(0, index)
+    .split(NEGATION_SCOPE_END)
+    .pop()
+    .trim()
+    .split(/\s+/)
+    .slice(-NEGATION_WORDS);
+  return NEGATION.test(words.join(" "));
+}
+
+// Whether `pattern` matches somewhere in `clause` without being negated
+function mentions(clause, pattern) {
+  const all = new RegExp(pattern.source, "gi");
+  for (const match of clause.matchAll(all)) {
+    if (!negatedAt(clause, match.index)) return true;
+  }
+  return false;
+}
+
+// Red flags mentioned in `text`, as { id, label }
+function detectRedFlags(text) {
+  const clauses = String(text || "").split(CLAUSE_BREAK);
+  return RED_FLAGS.filter((flag) =>
+    clauses.some((clause) => mentions(clause, flag.pattern)),
+  ).map(({ id, label }) => ({ id, label }));
+}
+
+module.exports = { RED_FLAGS, detectRedFlags };
@@ -0,0 +1,30 @@
+// Agora RTC token generation, shared by /api/token and server-side agent joins
+
+const { RtcTokenBuilder, RtcRole } = require("agora-token");
+
+const DEFAULT_EXPIRE_SECONDS = 3600;
+
+// Returns null when the project has no app certificate configured
+function buildRtcToken({
+  channelName,
+  uid,
+  role = "publisher",
+  expireSeconds = DEFAULT_EXPIRE_SECONDS,
+  env = process.env,
+}) {
+  const appId = env.AGORA_APPID;
+  const appCertificate = env.AGORA_APPCERTIFICATE;
+  if (!appId || !appCertificate) return null;
+
+  const privilegeExpiredTs = Math.floor(Date.now() / 1000) + expireSeconds;
+  return RtcTokenBuilder.buildTokenWithUid(
+    appId,
+    appCertificate,
+    channelName,
+    parseInt(uid) || 0,
+    role === "subscriber" ? RtcRole.SUBSCRIBER : RtcRole.PUBLISHER,
+    privilegeExpiredTs,
+  );
+}
+
+module.exports = { buildRtcToken };
@@ -0,0 +1,108 @@
+// Server-issued vet sessions.
+// Session data lives in memory; the browser only holds an opaque session ID
+// in an HttpOnly cookie, signed with HMAC-SHA256 so it can't be forged.
+
+const crypto = require("crypto");
+
+const COOKIE_NAME = "vetai_session";
+const DEFAULT_TTL_MS = 8 * 60 * 60 * 1000;
+
+// Cookies that aren't valid percent-encoding are left out
+function parseCookies(header) {
+  return String(header || "")
+    .split(";")
+    .reduce((cookies, part) => {
+      const idx = part.indexOf("=");
+      if (idx > 0) {
+        try {
+          cookies[part.slice(0, idx).trim()] = decodeURIComponent(
+            part.slice(idx + 1).trim(),
+          );
+        } catch (err) {
+          if (!(err instanceof URIError)) throw err;
+        }
+      }
+      return cookies;
+    }, {});
+}
+
+function createSessionManager({ secret, ttlMs = DEFAULT_TTL_MS }) {
+  const sessions = new Map();
+
+  function sign(id) {
+    return crypto.createHmac("sha256", secret).update(id).digest("base64url");
+  }
+
+  function unsign(value) {
+    const [id, signature] = String(value || "").split(".");
+    if (!id || !signature) return null;
+    const expected = Buffer.from(sign(id));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length) return null;
+    return crypto.timingSafeEqual(given, expected) ? id : null;
+  }
+
+  function setCookie(req, res, value, maxAgeMs) {
+    res.cookie(COOKIE_NAME, value, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      path: "/",
+      maxAge: maxAgeMs,
+    });
+  }
+
+  function create(req, res, user) {
+    const id = crypto.randomBytes(32).toString("base64url");
+    sessions.set(id, { user, expiresAt: Date.now() + ttlMs });
+    setCookie(req, res, `${id}.${sign(id)}`, ttlMs);
+  }
+
+  // Resolves the vet for this request, or null
+  function read(req) {
+    const id = unsign(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session.user;
+  }
+
+  function destroy(req, res) {
+    const id = unsign(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    if (id) sessions.delete(id);
+    res.clearCookie(COOKIE_NAME, { path: "/" });
+  }
+
+  // Middleware for vet-only APIs: 401 JSON when not signed in
+  function requireVet(req, res, next) {
+    const vet = read(req);
+    if (!vet) return res.status(401).json({ error: "Vet login required" });
+    req.vet = vet;
+    next();
+  }
+
+  // Middleware for admin-only APIs: 401 when not signed in, 403 for other vets
+  function requireAdmin(req, res, next) {
+    requireVet(req, res, () => {
+      if (req.vet.role !== "admin") {
+        return res.status(403).json({ error: "Admin access required" });
+      }
+      next();
+    });
+  }
+
+  // Middleware for vet-only pages: bounce to the login page
+  function requireVetPage(req, res, next) {
+    const vet = read(req);
+    if (!vet) return res.redirect("/vet/vet-login.html");
+    req.vet = vet;
+    next();
+  }
+
+  return { create, read, destroy, requireVet, requireAdmin, requireVetPage };
+}
+
+module.exports = { createSessionManager, parseCookies, COOKIE_NAME };
@@ -0,0 +1,71 @@
+// Plain-text notification emails over SMTP, sent with nodemailer.
+// Uses implicit TLS (port 465) or STARTTLS when the server offers it.
+// Credentials are only sent over TLS unless `allowInsecureAuth` is set
+// (e.g. for a relay on localhost).
+
+const nodemailer = require("nodemailer");
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function smtpError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Send one plain-text email. `server` is { host, port, secure, user, pass,
+ * allowInsecureAuth, timeoutMs }; `secure` means TLS from the start (port
+ * 465), otherwise the connection is upgraded with STARTTLS when the server
+ * offers it.
+ * Rejects with code SMTP_REJECTED (and `smtpCode`) when the server refuses,
+ * and SMTP_INSECURE_AUTH when it would have to log in without TLS.
+ */
+async function sendMail(server, { from, to, subject, text }) {
+  const {
+    host,
+    port = server.secure ? 465 : 587,
+    secure = false,
+    user,
+    pass,
+    allowInsecureAuth = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = server;
+  // Logging in without TLS is only allowed when asked for
+  const requireTLS = Boolean(user) && !secure && !allowInsecureAuth;
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS,
+    auth: user ? { user, pass: pass || "" } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+
+  try {
+    await transport.sendMail({ from, to, subject, text });
+  } catch (err) {
+    if (requireTLS && err.code === "ETLS") {
+      throw smtpError(
+        `SMTP server ${host} doesn't offer STARTTLS; not sending the password in cleartext`,
+        "SMTP_INSECURE_AUTH",
+      );
+    }
+    if (err.responseCode) {
+      throw smtpError(
+        `SMTP ${err.command || "send"} failed: ${err.response}`,
+        "SMTP_REJECTED",
+        { smtpCode: err.responseCode },
+      );
+    }
+    throw err;
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = { sendMail };
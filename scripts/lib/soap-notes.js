@@ -0,0 +1,274 @@
+// Structured clinical notes in SOAP format (Subjective, Objective,
+// Assessment, Plan) for a consultation.
+// A draft is generated from the call transcript and the AI triage summary,
+// then edited by the vet one section at a time. Signing it off freezes the
+// draft as the next numbered version; the latest signed version becomes the
+// owner's `consultSummary` and the booking moves to summary-ready. Signing
+// again later adds an amended version, so every signed note stays on record.
+// The note lives on the booking as the server field `soapNote`:
+//   { draft: { subjective, objective, assessment, plan, source, basedOn,
+//              generatedAt, updatedAt, updatedBy } | null,
+//     versions: [{ version, subjective, objective, assessment, plan,
+//                  signedBy: { username, name }, signedAt }] }
+// `source` is "ai", "fallback" when the LLM couldn't be reached, "vet" for a
+// note written from blank or "amendment" for one started from the signed
+// version named in `basedOn`. A draft a vet has edited is only replaced by a
+// new one when asked to (`overwrite`), so regenerating can't silently lose
+// their work.
+
+const { chatCompletion } = require("./llm-providers");
+const { conversationText } = require("./conversation");
+const { triageSummaryText } = require("./triage-summary");
+
+const SOAP_SECTIONS = ["subjective", "objective", "assessment", "plan"];
+const SECTION_LABELS = {
+  subjective: "Subjective",
+  objective: "Objective",
+  assessment: "Assessment",
+  plan: "Plan",
+};
+const MAX_SECTION_LENGTH = 10000;
+
+function soapError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function buildSoapPrompt({ transcript, petInfo, triageSummary }) {
+  return `You are a veterinary AI assistant drafting the clinical record of a consultation between a pet owner and a veterinarian, for the veterinarian to review and sign.
+
+PET INFORMATION:
+${JSON.stringify(petInfo || {}, null, 2)}
+
+AI TRIAGE SUMMARY (before the call):
+${triageSummaryText(triageSummary) || "None"}
+
+CALL TRANSCRIPT:
+${transcript || "No transcript available"}
+
+Write a SOAP note and respond in this JSON format:
+{
+  "subjective": "History and presenting complaint as reported by the owner",
+  "objective": "Observations and findings by the veterinarian during the call",
+  "assessment": "The veterinarian's assessment and differential diagnoses",
+  "plan": "Treatment, medication, follow-up and advice given to the owner"
+}
+
+Only record what was said or observed; write "Not discussed" for anything missing. Respond with valid JSON only.`;
+}
+
+// The four sections as trimmed strings
+function normalizeSections(raw) {
+  return Object.fromEntries(
+    SOAP_SECTIONS.map((section) => [
+      section,
+      String(raw?.[section] ?? "")
+        .trim()
+        .slice(0, MAX_SECTION_LENGTH),
+    ]),
+  );
+}
+
+// "Subjective:\n...\n\nObjective:\n..." for the owner's summary
+function soapToText(note) {
+  return SOAP_SECTIONS.filter((section) => note[section])
+    .map((section) => `${SECTION_LABELS[section]}:\n${note[section]}`)
+    .join("\n\n");
+}
+
+// The call as text: the speaker-labelled conversation, or the plain
+// transcript of calls recorded before it
+function bookingTranscript(booking) {
+  if (booking.conversation && booking.conversation.length) {
+    return conversationText(booking.conversation);
+  }
+  return (booking.transcript || []).join("\n");
+}
+
+/**
+ * Draft the four sections with `llm` (an LLM config, see llm-providers.js).
+ * Resolves to { sections, source }; without a usable LLM reply the triage
+ * summary seeds the subjective section and the rest is left to the vet.
+ */
+async function draftSoapSections(
+  llm,
+  { transcript, petInfo, triageSummary },
+  env = process.env,
+) {
+  try {
+    const reply = await chatCompletion(
+      llm,
+      {
+        messages: [
+          {
+            role: "user",
+            content: buildSoapPrompt({ transcript, petInfo, triageSummary }),
+          },
+        ],
+        temperature: 0.2,
+        maxTokens: 1500,
+        json: true,
+      },
+      env,
+    );
+    return { sections: normalizeSections(JSON.parse(reply)), source: "ai" };
+  } catch (err) {
+    console.error("SOAP note draft failed, using fallback:", err.message);
+    return {
+      sections: normalizeSections({
+        subjective: triageSummaryText(triageSummary),
+      }),
+      source: "fallback",
+    };
+  }
+}
+
+function createSoapNotes({
+  bookingStore,
+  events,
+  llm,
+  env = process.env,
+  now = Date.now,
+}) {
+  function bookingOrThrow(bookingId) {
+    const booking = bookingStore.get(bookingId);
+    if (!booking) throw soapError("Booking not found", "BOOKING_NOT_FOUND");
+    return booking;
+  }
+
+  function noteOf(booking) {
+    return booking.soapNote || { draft: null, versions: [] };
+  }
+
+  function save(bookingId, soapNote) {
+    const booking = bookingStore.updateServerFields(bookingId, { soapNote });
+    if (events) {
+      events.publish("booking.updated", {
+        booking,
+        previousStatus: booking.status,
+      });
+    }
+    return booking.soapNote;
+  }
+
+  function get(bookingId) {
+    return noteOf(bookingOrThrow(bookingId));
+  }
+
+  function checkNotEdited(note, overwrite) {
+    if (note.draft?.updatedBy && !overwrite) {
+      throw soapError(
+        `The draft has unsigned edits by ${note.draft.updatedBy}; regenerate with overwrite to replace them`,
+        "DRAFT_EDITED",
+      );
+    }
+  }
+
+  // Generate a new draft. Rejects with DRAFT_EDITED when a vet has edited the
+  // current draft, unless `overwrite` is set.
+  async function draft(bookingId, { overwrite = false } = {}) {
+    const booking = bookingOrThrow(bookingId);
+    checkNotEdited(noteOf(booking), overwrite);
+    const { sections, source } = await draftSoapSections(
+      llm,
+      {
+        transcript: bookingTranscript(booking),
+        petInfo: booking.petInfo,
+        triageSummary: booking.triageSummary,
+      },
+      env,
+    );
+    const at = new Date(now()).toISOString();
+    // A vet may have started editing while the LLM was drafting
+    const note = noteOf(bookingOrThrow(bookingId));
+    checkNotEdited(note, overwrite);
+    return save(bookingId, {
+      ...note,
+      draft: {
+        ...sections,
+        source,
+        basedOn: null,
+        generatedAt: at,
+        updatedAt: at,
+        updatedBy: null,
+      },
+    });
+  }
+
+  // Change one section of the draft. Without a draft, editing starts from
+  // the latest signed version (an amendment) or from blank.
+  function editSection(bookingId, section, text, vet) {
+    if (!SOAP_SECTIONS.includes(section)) {
+      throw soapError(
+        `Unknown section "${section}"; expected one of ${SOAP_SECTIONS.join(", ")}`,
+        "UNKNOWN_SECTION",
+      );
+    }
+    if (typeof text !== "string" || text.length > MAX_SECTION_LENGTH) {
+      throw soapError(
+        `text must be a string of at most ${MAX_SECTION_LENGTH} characters`,
+        "INVALID_SECTION",
+      );
+    }
+    const note = noteOf(bookingOrThrow(bookingId));
+    const latest = note.versions[note.versions.length - 1];
+    const current = note.draft || {
+      ...normalizeSections(latest),
+      source: latest ? "amendment" : "vet",
+      basedOn: latest ? latest.version : null,
+      generatedAt: null,
+    };
+    return save(bookingId, {
+      ...note,
+      draft: {
+        ...current,
+        [section]: text.trim(),
+        updatedAt: new Date(now()).toISOString(),
+        updatedBy: vet ? vet.username : null,
+      },
+    });
+  }
+
+  // Sign the draft off as the next version and send it to the owner
+  function sign(bookingId, vet) {
+    const booking = bookingOrThrow(bookingId);
+    const note = noteOf(booking);
+    const sections = note.draft && normalizeSections(note.draft);
+    if (!sections || SOAP_SECTIONS.every((section) => !sections[section])) {
+      throw soapError("There is no draft to sign off", "NOTHING_TO_SIGN");
+    }
+    const version = {
+      version: note.versions.length + 1,
+      ...sections,
+      signedBy: { username: vet.username, name: vet.name || vet.username },
+      signedAt: new Date(now()).toISOString(),
+    };
+    const previousStatus = booking.status;
+    const updated = bookingStore.update(
+      bookingId,
+      { consultSummary: soapToText(sections), status: "summary-ready" },
+      undefined,
+      { soapNote: { draft: null, versions: [...note.versions, version] } },
+    );
+    if (events) {
+      const changed = previousStatus !== "summary-ready";
+      events.publish(changed ? "booking.summary-ready" : "booking.updated", {
+        booking: updated,
+        previousStatus,
+      });
+    }
+    return { soapNote: updated.soapNote, version };
+  }
+
+  return { get, draft, editSection, sign };
+}
+
+module.exports = {
+  createSoapNotes,
+  draftSoapSections,
+  buildSoapPrompt,
+  soapToText,
+  SOAP_SECTIONS,
+  SECTION_LABELS,
+};
@@ -0,0 +1,223 @@
+// Speech-to-text vendors for call recordings.
+// Shared by /api/transcribe-call and the background transcription jobs. Each
+// entry says which environment variables hold its key, which model to use by
+// default, how large a recording it accepts and how to send one.
+//
+// An STT config looks like { vendor, model, language, url, apiKey, timeoutMs }
+// and comes from the STT_* environment variables (see sttConfigFromEnv).
+// `local` is a whisper.cpp or faster-whisper server on this machine that
+// speaks OpenAI's transcription protocol, so nothing leaves the network.
+
+const axios = require("axios");
+const FormData = require("form-data");
+const fs = require("fs");
+const { requireEnv } = require("./env");
+
+// Transcribing a long consultation takes a while
+const DEFAULT_TIMEOUT_MS = 300000;
+// OpenAI and Groq reject files over 25 MB
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+function transcriptionError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// OpenAI's /audio/transcriptions: multipart upload, timed segments with
+// verbose_json
+async function transcribeOpenAiProtocol(stt, audio) {
+  const formData = new FormData();
+  formData.append("file", audio.buffer || fs.createReadStream(audio.file), {
+    filename: audio.fileName,
+    contentType: audio.contentType,
+    knownLength: audio.size,
+  });
+  formData.append("model", stt.model);
+  if (stt.language) formData.append("language", stt.language);
+  formData.append("response_format", "verbose_json");
+  formData.append("timestamp_granularities[]", "segment");
+
+  const headers = formData.getHeaders();
+  if (stt.apiKey) headers.Authorization = `Bearer ${stt.apiKey}`;
+  const response = await axios.post(stt.url, formData, {
+    headers,
+    maxBodyLength: Infinity,
+    timeout: stt.timeoutMs,
+  });
+  return {
+    transcript: response.data.text || "",
+    segments: (response.data.segments || []).map((s) => ({
+      start: s.start,
+      end: s.end,
+      text: s.text.trim(),
+    })),
+  };
+}
+
+// Deepgram's pre-recorded /listen: raw audio in the body, utterances as
+// segments
+async function transcribeDeepgram(stt, audio) {
+  const params = { model: stt.model, smart_format: true, utterances: true };
+  if (stt.language) params.language = stt.language;
+  const response = await axios.post(
+    stt.url,
+    audio.buffer || fs.createReadStream(audio.file),
+    {
+      params,
+      headers: {
+        Authorization: `Token ${stt.apiKey}`,
+        "Content-Type": audio.contentType,
+        "Content-Length": audio.size,
+      },
+      maxBodyLength: Infinity,
+      timeout: stt.timeoutMs,
+    },
+  );
+  const results = response.data.results || {};
+  return {
+    transcript: results.channels?.[0]?.alternatives?.[0]?.transcript || "",
+    segments: (results.utterances || []).map((u) => ({
+      start: u.start,
+      end: u.end,
+      text: u.transcript.trim(),
+    })),
+  };
+}
+
+const STT_PROVIDERS = {
+  openai: {
+    keyEnv: ["OPENAI_KEY", "OPENAI_API_KEY"],
+    defaultModel: "whisper-1",
+    maxBytes: MAX_UPLOAD_BYTES,
+    url: "https://api.openai.com/v1/audio/transcriptions",
+    transcribe: transcribeOpenAiProtocol,
+  },
+
+  groq: {
+    keyEnv: ["GROQ_KEY", "GROQ_API_KEY"],
+    defaultModel: "whisper-large-v3-turbo",
+    maxBytes: MAX_UPLOAD_BYTES,
+    url: "https://api.groq.com/openai/v1/audio/transcriptions",
+    transcribe: transcribeOpenAiProtocol,
+  },
+
+  deepgram: {
+    keyEnv: ["STT_DEEPGRAM_KEY", "DEEPGRAM_API_KEY"],
+    defaultModel: "nova-2",
+    url: "https://api.deepgram.com/v1/listen",
+    transcribe: transcribeDeepgram,
+  },
+
+  // e.g. `whisper-server --inference-path /v1/audio/transcriptions` or
+  // faster-whisper-server. The key is optional and the model is whatever the
+  // server was started with.
+  local: {
+    keyEnv: ["STT_LOCAL_KEY"],
+    keyOptional: true,
+    defaultModel: "whisper-1",
+    url: "http://localhost:8000/v1/audio/transcriptions",
+    transcribe: transcribeOpenAiProtocol,
+  },
+};
+
+function getSttProvider(vendor) {
+  return Object.prototype.hasOwnProperty.call(STT_PROVIDERS, vendor)
+    ? STT_PROVIDERS[vendor]
+    : null;
+}
+
+/**
+ * Read an STT config from STT_VENDOR, _MODEL, _LANGUAGE, _URL, _KEY and
+ * _TIMEOUT_MS. A _URL without a _VENDOR means a local engine; otherwise the
+ * vendor defaults to OpenAI. Throws on an unknown vendor, so a typo is
+ * reported when the server starts.
+ */
+function sttConfigFromEnv(env = process.env) {
+  const read = (name) => env[`STT_${name}`] || undefined;
+  const config = {
+    vendor: read("VENDOR") || (read("URL") ? "local" : "openai"),
+    model: read("MODEL"),
+    language: read("LANGUAGE"),
+    url: read("URL"),
+    apiKey: read("KEY"),
+    timeoutMs: Number(read("TIMEOUT_MS")) || DEFAULT_TIMEOUT_MS,
+  };
+  if (!getSttProvider(config.vendor)) {
+    throw new Error(
+      `STT_VENDOR must be one of ${Object.keys(STT_PROVIDERS).join(", ")}`,
+    );
+  }
+  return Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Transcribe one recording, given as a `buffer` or a `file` path, and resolve
+ * to { transcript, wordCount, segments }, where segments are
+ * [{ start, end, text }] in seconds from the start of the recording. Throws
+ * MISSING_SECRET when the vendor needs a key that isn't set,
+ * TRANSCRIPTION_TOO_LARGE past the vendor's limit and TRANSCRIPTION_FAILED
+ * (with `details`) when the vendor refuses.
+ */
+async function transcribeAudio(
+  config,
+  { buffer, file, fileName = "call.webm", contentType = "audio/webm" },
+  env = process.env,
+) {
+  const provider = getSttProvider(config && config.vendor);
+  if (!provider) {
+    throw new Error(`Unknown STT vendor: ${config && config.vendor}`);
+  }
+  const size = buffer ? buffer.length : (await fs.promises.stat(file)).size;
+  if (provider.maxBytes && size > provider.maxBytes) {
+    throw transcriptionError(
+      `Recording is ${Math.round(size / 1048576)} MB; ${config.vendor} transcribes at most ${Math.round(provider.maxBytes / 1048576)} MB`,
+      "TRANSCRIPTION_TOO_LARGE",
+    );
+  }
+  const stt = {
+    url: config.url || provider.url,
+    apiKey:
+      config.apiKey ||
+      provider.keyEnv.map((n) => env[n]).find(Boolean) ||
+      (provider.keyOptional ? null : requireEnv(env, ...provider.keyEnv)),
+    model: config.model || provider.defaultModel,
+    language: config.language,
+    timeoutMs: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+  };
+
+  try {
+    const { transcript, segments } = await provider.transcribe(stt, {
+      buffer,
+      file,
+      fileName,
+      contentType,
+      size,
+    });
+    return {
+      transcript,
+      wordCount: transcript.split(/\s+/).filter(Boolean).length,
+      segments: segments.filter((s) => s.text),
+    };
+  } catch (err) {
+    const details =
+      err.response?.data?.error?.message ||
+      err.response?.data?.err_msg ||
+      err.message;
+    const error = transcriptionError(
+      `Transcription failed: ${details}`,
+      "TRANSCRIPTION_FAILED",
+    );
+    error.details = details;
+    throw error;
+  }
+}
+
+module.exports = {
+  STT_PROVIDERS,
+  getSttProvider,
+  sttConfigFromEnv,
+  transcribeAudio,
+};
@@ -0,0 +1,209 @@
+// Background transcription of uploaded call recordings.
+// A job is queued when an upload completes and runs on its own, one at a time,
+// so the owner's page only has to poll it:
+//   { id, bookingId, uploadId, status, stage, progress, attempts, transcript,
+//     wordCount, error, createdAt, updatedAt }
+// status is queued, running, done or failed; stage (queued, transcribing,
+// saving, done) and progress (0-1) say how far a job is. The transcript is
+// appended to the booking's `transcript`, its timed segments are merged into
+// the booking's speaker-labelled `conversation` (scripts/lib/conversation.js),
+// and the change is published as `booking.updated`.
+// Jobs are kept in DATA_DIR/transcription-jobs.json; a job that was running
+// when the server stopped is queued again, and a failed attempt is retried
+// with backoff.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { toTurns, mergeTurns, SPEAKER_LABELS } = require("./conversation");
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 30000;
+const DEFAULT_POLL_MS = 5000;
+const STAGE_PROGRESS = { queued: 0, transcribing: 0.3, saving: 0.9, done: 1 };
+// Errors retrying won't fix
+const PERMANENT_ERRORS = ["TRANSCRIPTION_TOO_LARGE", "MISSING_SECRET"];
+
+function createTranscriptionJobs({
+  file,
+  uploads,
+  bookingStore,
+  events,
+  transcribe,
+  pollMs = DEFAULT_POLL_MS,
+  now = Date.now,
+}) {
+  let jobs = load();
+  let timer = null;
+  let running = null;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      const loaded = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+      // Interrupted by a restart
+      loaded
+        .filter((j) => j.status === "running")
+        .forEach((j) =>
+          Object.assign(j, { status: "queued", stage: "queued" }),
+        );
+      return loaded;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Could not read transcription jobs:", err.message);
+      }
+      return [];
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ jobs }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function setStage(job, stage, changes = {}) {
+    Object.assign(job, changes, {
+      stage,
+      progress: STAGE_PROGRESS[stage],
+      updatedAt: new Date(now()).toISOString(),
+    });
+    persist();
+  }
+
+  function get(id) {
+    return jobs.find((j) => j.id === id) || null;
+  }
+
+  // Jobs, newest first, optionally for one booking
+  function list({ bookingId } = {}) {
+    return jobs
+      .filter((j) => !bookingId || j.bookingId === bookingId)
+      .slice()
+      .reverse();
+  }
+
+  // Queue a completed upload; an upload only ever gets one job
+  function enqueue(upload) {
+    const existing = jobs.find((j) => j.uploadId === upload.id);
+    if (existing) return existing;
+    const at = new Date(now()).toISOString();
+    const job = {
+      id: `transcription-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`,
+      bookingId: upload.bookingId,
+      uploadId: upload.id,
+      status: "queued",
+      stage: "queued",
+      progress: 0,
+      attempts: 0,
+      runAfter: at,
+      transcript: null,
+      wordCount: null,
+      error: null,
+      createdAt: at,
+      updatedAt: at,
+    };
+    jobs.push(job);
+    persist();
+    kick();
+    return job;
+  }
+
+  async function runJob(job) {
+    const upload = uploads.get(job.uploadId);
+    job.attempts += 1;
+    setStage(job, "transcribing", { status: "running", error: null });
+    try {
+      const {
+        transcript,
+        wordCount,
+        segments = [],
+      } = await transcribe({
+        file: uploads.filePath(upload),
+        fileName: upload.fileName,
+        contentType: upload.contentType,
+      });
+
+      setStage(job, "saving");
+      const current = bookingStore.get(job.bookingId);
+      const label = SPEAKER_LABELS[upload.speaker];
+      const line = label ? `${label}: ${transcript}` : transcript;
+      // A retry after the save went through must not add the recording twice
+      if (current && transcript && !(current.transcript || []).includes(line)) {
+        const booking = bookingStore.update(
+          job.bookingId,
+          { transcript: [...(current.transcript || []), line] },
+          undefined,
+          {
+            conversation: mergeTurns(
+              current.conversation || [],
+              toTurns(upload, segments),
+            ),
+          },
+        );
+        if (events) {
+          events.publish("booking.updated", {
+            booking,
+            previousStatus: booking.status,
+          });
+        }
+      }
+      setStage(job, "done", { status: "done", transcript, wordCount });
+    } catch (err) {
+      const retry =
+        !PERMANENT_ERRORS.includes(err.code) && job.attempts < MAX_ATTEMPTS;
+      console.error(
+        `Transcription ${job.id} failed${retry ? ", will retry" : ""}:`,
+        err.message,
+      );
+      setStage(job, retry ? "queued" : job.stage, {
+        status: retry ? "queued" : "failed",
+        error: err.message,
+        runAfter: new Date(
+          now() + RETRY_BASE_MS * 2 ** (job.attempts - 1),
+        ).toISOString(),
+      });
+    }
+  }
+
+  async function drain() {
+    for (;;) {
+      const job = jobs.find(
+        (j) => j.status === "queued" && Date.parse(j.runAfter) <= now(),
+      );
+      if (!job) return;
+      await runJob(job);
+    }
+  }
+
+  // Run due jobs unless a run is already going; resolves when it is done
+  function tick() {
+    if (!running) {
+      running = drain().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function kick() {
+    tick().catch((err) => console.error("Transcription run failed:", err));
+  }
+
+  // Pick up queued and retried jobs every `pollMs`
+  function start() {
+    timer = setInterval(kick, pollMs);
+    timer.unref();
+    kick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, get, list, tick, start, stop };
+}
+
+module.exports = { createTranscriptionJobs };
@@ -0,0 +1,245 @@
+// AI triage analysis for /api/analyze-triage.
+// Sends the owner's answers to the configured LLM provider, checks the
+// reply against TRIAGE_SCHEMA, repairs what it can, re-asks the model with the
+// validation errors when it can't, and falls back to deterministic rules when
+// no key is configured or the model never produces a usable result.
+
+const {
+  chatCompletion,
+  hasLlmCredentials,
+  llmConfigFromEnv,
+} = require("./llm-providers");
+const { detectRedFlags } = require("./red-flags");
+
+const URGENCY_LEVELS = ["High", "Medium", "Low"];
+
+const TRIAGE_SCHEMA = {
+  urgencyLevel: `one of ${URGENCY_LEVELS.join(", ")}`,
+  urgencyReason: "string",
+  keyFindings: "array of strings",
+  recommendations: "array of strings",
+  followUpActions: "array of strings",
+  spokenSummary: "string, 2-3 sentences suitable for text-to-speech",
+};
+
+const MAX_ATTEMPTS = 2;
+const MAX_PROMPT_CHARS = 8000;
+
+// TRIAGE_LLM_VENDOR / _MODEL / _URL / _KEY / _TEMPERATURE / _TIMEOUT_MS;
+// defaults to Groq with GROQ_KEY
+function getTriageLLMConfig(env = process.env) {
+  return llmConfigFromEnv("TRIAGE_LLM", env);
+}
+
+// Pull the first JSON object out of a model reply, tolerating code fences
+// and chatter before or after it.
+function extractJson(text) {
+  if (typeof text !== "string") return null;
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+function toStringList(value) {
+  if (Array.isArray(value)) {
+    return value.map((v) => String(v).trim()).filter(Boolean);
+  }
+  if (typeof value === "string" && value.trim()) {
+    return value
+      .split(/\n|;|•/)
+      .map((v) => v.replace(/^\s*[-*\d.)]+\s*/, "").trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// Coerce a parsed reply into the schema. Returns the repaired value plus the
+// list of problems that could not be repaired.
+function validateTriageResult(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, errors: ["reply is not a JSON object"] };
+  }
+
+  const level = String(raw.urgencyLevel || raw.urgency || "").trim();
+  const urgencyLevel = URGENCY_LEVELS.find(
+    (l) => l.toLowerCase() === level.toLowerCase(),
+  );
+  if (!urgencyLevel) {
+    errors.push(`urgencyLevel must be one of ${URGENCY_LEVELS.join(", ")}`);
+  }
+
+  const value = {
+    urgencyLevel,
+    urgencyReason: String(raw.urgencyReason || "").trim(),
+    keyFindings: toStringList(raw.keyFindings),
+    recommendations: toStringList(raw.recommendations),
+    followUpActions: toStringList(raw.followUpActions),
+    spokenSummary: String(raw.spokenSummary || "").trim(),
+  };
+
+  ["keyFindings", "recommendations"].forEach((field) => {
+    if (!value[field].length) errors.push(`${field} must not be empty`);
+  });
+  if (!value.spokenSummary) errors.push("spokenSummary is required");
+
+  return { value, errors };
+}
+
+function formatResponses(responses) {
+  return (Array.isArray(responses) ? responses : [])
+    .map(
+      (r, i) =>
+        `Q${i + 1}: ${r.question || "(question)"}\nA${i + 1}: ${r.response || "No response provided"}`,
+    )
+    .join("\n");
+}
+
+async function analyzeWithLLM({ prompt, responses }, config) {
+  const userContent = [
+    String(prompt || "").slice(0, MAX_PROMPT_CHARS),
+    "QUESTION AND ANSWER TRANSCRIPT:",
+    formatResponses(responses) || "(no answers captured)",
+  ].join("\n\n");
+
+  const messages = [
+    {
+      role: "system",
+      content: `You are a veterinary triage assistant. Reply with a single JSON object and nothing else, using exactly these fields: ${JSON.stringify(TRIAGE_SCHEMA)}`,
+    },
+    { role: "user", content: userContent },
+  ];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const content = await chatCompletion(config, {
+      messages,
+      temperature: 0.2,
+      maxTokens: 1200,
+      json: true,
+    });
+    const { value, errors } = validateTriageResult(extractJson(content));
+    if (value && !errors.length) return value;
+
+    console.log(
+      `Triage reply failed validation (attempt ${attempt}):`,
+      errors.join("; "),
+    );
+    messages.push(
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `That reply was invalid: ${errors.join("; ")}. Return the corrected JSON object only.`,
+      },
+    );
+  }
+
+  throw new Error("LLM did not return a valid triage result");
+}
+
+// Keyword rules used when no LLM is available. Deterministic so the same
+// answers always produce the same summary. Red flags (scripts/lib/red-flags.js)
+// make the result High.
+const MEDIUM_SIGNS = [
+  /vomit|throw(ing)? up/i,
+  /diarrh/i,
+  /not eat|won'?t eat|appetite/i,
+  /letharg|tired|weak/i,
+  /limp/i,
+  /cough|sneez/i,
+  /\b(\d+|two|three|four|five|several) (days|weeks)\b/i,
+];
+
+function ruleBasedTriage({ responses, petInfo }) {
+  const answers = (Array.isArray(responses) ? responses : [])
+    .map((r) => String(r.response || "").trim())
+    .filter(Boolean);
+  // Kept as separate sentences so a "No" answer doesn't negate the next one
+  const text = answers.join(". ");
+  const petName = petInfo?.name || "your pet";
+
+  const redFlags = detectRedFlags(text);
+  const mediumSigns = MEDIUM_SIGNS.filter((re) => re.test(text));
+
+  let urgencyLevel = "Low";
+  let urgencyReason = "No urgent symptoms were described";
+  if (redFlags.length) {
+    urgencyLevel = "High";
+    urgencyReason =
+      "Answers mention emergency warning signs that need immediate care";
+  } else if (mediumSigns.length) {
+    urgencyLevel = "Medium";
+    urgencyReason =
+      "Answers describe ongoing symptoms that should be examined soon";
+  }
+
+  const recommendations = {
+    High: [
+      "Contact an emergency veterinary clinic now",
+      "Keep your pet calm and restrict movement while arranging transport",
+    ],
+    Medium: [
+      "Book a veterinary examination within 24-48 hours",
+      "Monitor eating, drinking and energy levels closely",
+    ],
+    Low: [
+      "Continue monitoring at home",
+      "Mention these observations at the next routine check-up",
+    ],
+  }[urgencyLevel];
+
+  const followUpActions = {
+    High: ["Seek care immediately - do not wait for symptoms to improve"],
+    Medium: [
+      "Schedule a vet appointment",
+      "Seek immediate care if symptoms get worse",
+    ],
+    Low: ["Book a vet visit if new symptoms appear"],
+  }[urgencyLevel];
+
+  const spokenSummary = {
+    High: `Some of what you described about ${petName} can be serious. Please contact an emergency vet right away.`,
+    Medium: `Based on what you told me about ${petName}, I recommend a vet examination within the next day or two. Keep a close eye on any changes.`,
+    Low: `From what you described, ${petName} does not appear to need urgent care. Keep monitoring and contact a vet if anything changes.`,
+  }[urgencyLevel];
+
+  return {
+    urgencyLevel,
+    urgencyReason,
+    keyFindings: answers.length
+      ? answers.slice(0, 5)
+      : ["No answers were captured during triage"],
+    recommendations,
+    followUpActions,
+    spokenSummary,
+  };
+}
+
+async function analyzeTriage(input, config = getTriageLLMConfig()) {
+  if (hasLlmCredentials(config)) {
+    try {
+      return { ...(await analyzeWithLLM(input, config)), source: "llm" };
+    } catch (err) {
+      console.error(
+        "Triage LLM analysis failed, using rule-based fallback:",
+        err.response?.data || err.message,
+      );
+    }
+  }
+  return { ...ruleBasedTriage(input), source: "rules" };
+}
+
+module.exports = {
+  TRIAGE_SCHEMA,
+  URGENCY_LEVELS,
+  analyzeTriage,
+  getTriageLLMConfig,
+  extractJson,
+  validateTriageResult,
+  ruleBasedTriage,
+};
@@ -0,0 +1,55 @@
+// The AI triage summary kept on a booking.
+// It is stored as lines of text, the first being
+// "Urgency: <High|Medium|Low> - <reason>" followed by the key findings, as
+// saved by the triage page. Some pages send the object generateTriageSummary()
+// returns ({ urgencyLevel, urgencyReason, keyFindings, ... }) instead, and
+// bookings stored before the shape was enforced may still hold one; both are
+// read here.
+
+const MAX_LINES = 50;
+const MAX_LINE_LENGTH = 500;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// The summary as lines of text; anything else is an empty summary
+function triageSummaryLines(summary) {
+  let lines = [];
+  if (Array.isArray(summary)) {
+    lines = summary;
+  } else if (isPlainObject(summary)) {
+    const level = summary.urgencyLevel || summary.urgency;
+    const reason = summary.urgencyReason || summary.reason;
+    lines = [
+      level ? `Urgency: ${level}${reason ? ` - ${reason}` : ""}` : null,
+      ...(Array.isArray(summary.keyFindings) ? summary.keyFindings : []),
+    ];
+  }
+  return lines
+    .filter((line) => typeof line === "string" || typeof line === "number")
+    .map((line) => String(line).trim().slice(0, MAX_LINE_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_LINES);
+}
+
+// The urgency level named in the summary, or null
+function triageSummaryUrgency(summary) {
+  if (isPlainObject(summary) && (summary.urgencyLevel || summary.urgency)) {
+    return String(summary.urgencyLevel || summary.urgency);
+  }
+  const line = triageSummaryLines(summary).find((l) => /^Urgency:/i.test(l));
+  const match = line && line.match(/^Urgency:\s*(\w+)/i);
+  return match ? match[1] : null;
+}
+
+// "Urgency: ...\n<finding>\n..." for prompts
+function triageSummaryText(summary) {
+  return triageSummaryLines(summary).join("\n");
+}
+
+module.exports = {
+  triageSummaryLines,
+  triageSummaryUrgency,
+  triageSummaryText,
+};
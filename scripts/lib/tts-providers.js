@@ -0,0 +1,174 @@
+// Text-to-speech vendors for Conversational AI agent joins.
+// A profile's `tts` block names a vendor and its voice settings; each entry
+// here validates those settings and builds the `tts` object of the Agora join
+// request, pulling the vendor's keys from the environment.
+//
+// Settings common to every vendor: vendor, voice, model, speed, skip_patterns.
+
+const { validateSchema } = require("./json-schema");
+const { requireEnv } = require("./env");
+
+// Skip text in (parentheses) and [square brackets] by default
+const DEFAULT_SKIP_PATTERNS = [3, 4];
+
+const COMMON_PROPERTIES = {
+  vendor: { type: "string" },
+  voice: { type: "string", minLength: 1 },
+  model: { type: "string", minLength: 1 },
+  speed: { type: "number", minimum: 0.25, maximum: 4 },
+  skip_patterns: { type: "array", items: { type: "integer", minimum: 1 } },
+};
+
+const TTS_PROVIDERS = {
+  minimax: {
+    properties: {
+      speed: { type: "number", minimum: 0.5, maximum: 2 },
+      emotion: { type: "string" },
+      pitch: { type: "integer", minimum: -12, maximum: 12 },
+      volume: { type: "number", minimum: 0, maximum: 10 },
+      sample_rate: { type: "integer", enum: [8000, 16000, 24000, 32000] },
+    },
+    build: (tts, env) => ({
+      url: "wss://api.minimax.io/ws/v1/t2a_v2",
+      group_id: requireEnv(env, "TTS_MINIMAX_GROUPID"),
+      key: requireEnv(env, "TTS_MINIMAX_KEY"),
+      model: tts.model || "speech-2.6-turbo",
+      voice_setting: {
+        voice_id: tts.voice,
+        speed: tts.speed ?? 1,
+        vol: tts.volume ?? 1,
+        pitch: tts.pitch ?? 0,
+        emotion: tts.emotion,
+      },
+      audio_setting: { sample_rate: tts.sample_rate || 16000 },
+    }),
+  },
+
+  openai: {
+    properties: {
+      instructions: { type: "string" },
+    },
+    build: (tts, env) => ({
+      base_url: "https://api.openai.com/v1",
+      api_key: requireEnv(env, "TTS_OPENAI_KEY", "OPENAI_KEY"),
+      model: tts.model || "gpt-4o-mini-tts",
+      voice: tts.voice,
+      instructions: tts.instructions,
+      speed: tts.speed ?? 1,
+    }),
+  },
+
+  elevenlabs: {
+    properties: {
+      stability: { type: "number", minimum: 0, maximum: 1 },
+      similarity_boost: { type: "number", minimum: 0, maximum: 1 },
+      sample_rate: {
+        type: "integer",
+        enum: [16000, 22050, 24000, 44100],
+      },
+    },
+    build: (tts, env) => ({
+      base_url: "wss://api.elevenlabs.io/v1",
+      key: requireEnv(env, "TTS_ELEVENLABS_KEY"),
+      model_id: tts.model || "eleven_flash_v2_5",
+      voice_id: tts.voice,
+      sample_rate: tts.sample_rate || 24000,
+      stability: tts.stability,
+      similarity_boost: tts.similarity_boost,
+      speed: tts.speed,
+    }),
+  },
+
+  microsoft: {
+    properties: {
+      speed: { type: "number", minimum: 0.5, maximum: 2 },
+      volume: { type: "number", minimum: 0, maximum: 100 },
+      sample_rate: {
+        type: "integer",
+        enum: [8000, 16000, 24000, 48000],
+      },
+    },
+    build: (tts, env) => ({
+      key: requireEnv(env, "TTS_MICROSOFT_KEY"),
+      region: requireEnv(env, "TTS_MICROSOFT_REGION"),
+      voice_name: tts.voice,
+      speed: tts.speed,
+      volume: tts.volume,
+      sample_rate: tts.sample_rate || 24000,
+    }),
+  },
+
+  cartesia: {
+    properties: {
+      language: { type: "string", minLength: 2 },
+      sample_rate: {
+        type: "integer",
+        enum: [8000, 16000, 22050, 24000, 44100],
+      },
+    },
+    build: (tts, env) => ({
+      api_key: requireEnv(env, "TTS_CARTESIA_KEY"),
+      model_id: tts.model || "sonic-2",
+      voice: { mode: "id", id: tts.voice },
+      output_format: {
+        container: "raw",
+        sample_rate: tts.sample_rate || 16000,
+      },
+      language: tts.language || "en",
+    }),
+  },
+};
+
+function getTtsProvider(vendor) {
+  return Object.prototype.hasOwnProperty.call(TTS_PROVIDERS, vendor)
+    ? TTS_PROVIDERS[vendor]
+    : null;
+}
+
+function providerSchema(provider) {
+  return {
+    type: "object",
+    required: ["vendor", "voice"],
+    additionalProperties: false,
+    properties: { ...COMMON_PROPERTIES, ...provider.properties },
+  };
+}
+
+// Returns a list of problems with a profile's `tts` block; empty when valid
+function validateTtsConfig(tts, path = "$.tts") {
+  const provider = getTtsProvider(tts && tts.vendor);
+  if (!provider) {
+    return [
+      `${path}.vendor: must be one of ${Object.keys(TTS_PROVIDERS).join(", ")}`,
+    ];
+  }
+  return validateSchema(tts, providerSchema(provider), path);
+}
+
+// Strip unset optional params so the vendor applies its own defaults
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Build the `tts` object of an Agora join request from a validated profile
+ * `tts` block. Throws MISSING_SECRET when the vendor's keys aren't set.
+ */
+function buildTtsBlock(tts, env = process.env) {
+  const provider = getTtsProvider(tts.vendor);
+  if (!provider) throw new Error(`Unknown TTS vendor: ${tts.vendor}`);
+  return {
+    vendor: tts.vendor,
+    params: compact(provider.build(tts, env)),
+    skip_patterns: tts.skip_patterns || DEFAULT_SKIP_PATTERNS,
+  };
+}
+
+module.exports = {
+  TTS_PROVIDERS,
+  getTtsProvider,
+  validateTtsConfig,
+  buildTtsBlock,
+};
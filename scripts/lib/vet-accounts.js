@@ -0,0 +1,108 @@
+// Vet accounts with scrypt-hashed passwords, stored in DATA_DIR/vets.json.
+// Hash format: scrypt$<N>$<salt hex>$<key hex>
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_N = 16384;
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LENGTH, { N: SCRYPT_N });
+  return `scrypt$${SCRYPT_N}$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, n, saltHex, keyHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const key = await scrypt(
+    String(password),
+    Buffer.from(saltHex, "hex"),
+    expected.length,
+    { N: Number(n) },
+  );
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function createVetAccounts({ file }) {
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return Array.isArray(parsed.vets) ? parsed.vets : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Could not read vet accounts:", err.message);
+      }
+      return [];
+    }
+  }
+
+  function save(vets) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ vets }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function publicProfile(vet) {
+    return { username: vet.username, name: vet.name, role: vet.role };
+  }
+
+  async function add({ username, name, password, role = "vet" }) {
+    if (!username || !password) {
+      throw new Error("username and password are required");
+    }
+    const vets = load().filter((v) => v.username !== username);
+    const vet = {
+      username,
+      name: name || username,
+      role,
+      passwordHash: await hashPassword(password),
+    };
+    vets.push(vet);
+    save(vets);
+    return publicProfile(vet);
+  }
+
+  // Resolves to the vet's public profile, or null for bad credentials
+  async function authenticate(username, password) {
+    const vet = load().find((v) => v.username === username);
+    // Hash anyway for unknown users so response time doesn't reveal them
+    const ok = await verifyPassword(
+      password,
+      vet
+        ? vet.passwordHash
+        : `scrypt$${SCRYPT_N}$00$${"00".repeat(KEY_LENGTH)}`,
+    );
+    return vet && ok ? publicProfile(vet) : null;
+  }
+
+  // On a fresh install create an `admin` account so the portal is usable.
+  // The password comes from VET_ADMIN_PASSWORD or is generated and printed once.
+  async function ensureAdmin(env = process.env) {
+    if (load().length) return;
+    const password =
+      env.VET_ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+    await add({
+      username: "admin",
+      name: "Dr. Admin",
+      password,
+      role: "admin",
+    });
+    console.log("Created vet account 'admin'.");
+    if (!env.VET_ADMIN_PASSWORD) {
+      console.log(`   Generated password: ${password}`);
+      console.log("   Add more accounts with: npm run add-vet");
+    }
+  }
+
+  return { add, authenticate, ensureAdmin };
+}
+
+module.exports = { createVetAccounts, hashPassword, verifyPassword };
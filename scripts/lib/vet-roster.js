@@ -0,0 +1,272 @@
+// Vet roster and availability, stored in DATA_DIR/vet-roster.json and seeded
+// from config/vet-roster.json on first start.
+// Each vet has weekly working hours in their own time zone, a slot length
+// and blackout dates. Bookable slots are generated from those and returned
+// with their UTC start, so owners in any time zone book the same instant.
+// A vet's `id` is their vet portal username, which is how vets find and edit
+// their own availability.
+
+const fs = require("fs");
+const path = require("path");
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_SLOT_DAYS = 31;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_AVAILABILITY = {
+  timeZone: "UTC",
+  slotMinutes: 30,
+  acceptsNow: false,
+  weeklyHours: {},
+  blackoutDates: [],
+};
+
+function rosterError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function minutesOf(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function formatTime(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+    .formatToParts(new Date(ms))
+    .forEach((p) => (parts[p.type] = p.value));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+// UTC milliseconds of a wall-clock date and time in a time zone
+function zonedTimeToUtc(date, time, timeZone) {
+  const asUtc = Date.parse(`${date}T${time}:00Z`);
+  const offsetAt = (ms) => {
+    const { date: d, time: t } = zonedParts(ms, timeZone);
+    return Date.parse(`${d}T${t}:00Z`) - ms;
+  };
+  const guess = asUtc - offsetAt(asUtc);
+  // Correct once for a DST change between the guess and the answer
+  return asUtc - offsetAt(guess);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Problems with an availability update, as "field: problem" strings.
+ * Only the fields present are checked.
+ */
+function validateAvailability(changes) {
+  const errors = [];
+  if (changes.timeZone !== undefined && !isValidTimeZone(changes.timeZone)) {
+    errors.push("timeZone: unknown time zone");
+  }
+  if (
+    changes.slotMinutes !== undefined &&
+    !(
+      Number.isInteger(changes.slotMinutes) &&
+      changes.slotMinutes >= 10 &&
+      changes.slotMinutes <= 240
+    )
+  ) {
+    errors.push("slotMinutes: must be a whole number from 10 to 240");
+  }
+  if (
+    changes.acceptsNow !== undefined &&
+    typeof changes.acceptsNow !== "boolean"
+  ) {
+    errors.push("acceptsNow: must be true or false");
+  }
+  if (changes.weeklyHours !== undefined) {
+    const hours = changes.weeklyHours;
+    if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+      errors.push("weeklyHours: must be an object keyed by weekday");
+    } else {
+      Object.entries(hours).forEach(([day, ranges]) => {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(
+            `weeklyHours.${day}: not a weekday (${WEEKDAYS.join(", ")})`,
+          );
+        } else if (!Array.isArray(ranges)) {
+          errors.push(`weeklyHours.${day}: must be a list of { start, end }`);
+        } else {
+          ranges.forEach((r, i) => {
+            if (!TIME_RE.test(r?.start) || !TIME_RE.test(r?.end)) {
+              errors.push(`weeklyHours.${day}[${i}]: times must be HH:MM`);
+            } else if (minutesOf(r.start) >= minutesOf(r.end)) {
+              errors.push(`weeklyHours.${day}[${i}]: start must be before end`);
+            }
+          });
+        }
+      });
+    }
+  }
+  if (changes.blackoutDates !== undefined) {
+    if (
+      !Array.isArray(changes.blackoutDates) ||
+      !changes.blackoutDates.every((d) => DATE_RE.test(d))
+    ) {
+      errors.push("blackoutDates: must be a list of YYYY-MM-DD dates");
+    }
+  }
+  return errors;
+}
+
+const AVAILABILITY_FIELDS = Object.keys(DEFAULT_AVAILABILITY);
+const PROFILE_FIELDS = ["name", "specialty", "photoUrl"];
+
+function createVetRoster({ file, seedFile }) {
+  let vets = load();
+
+  function load() {
+    for (const source of [file, seedFile]) {
+      if (!source) continue;
+      try {
+        const parsed = JSON.parse(fs.readFileSync(source, "utf-8"));
+        return Array.isArray(parsed.vets) ? parsed.vets : [];
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.error(`Could not read vet roster ${source}:`, err.message);
+        }
+      }
+    }
+    return [];
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ vets }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function get(id) {
+    return vets.find((v) => v.id === id) || null;
+  }
+
+  function list() {
+    return vets.map((v) => ({ ...v }));
+  }
+
+  /**
+   * Change a vet's availability (and optionally name, specialty, photoUrl).
+   * Adds the vet to the roster when they aren't on it yet. Throws
+   * INVALID_AVAILABILITY with `errors` for bad input.
+   */
+  function setAvailability(id, changes) {
+    const errors = validateAvailability(changes);
+    if (errors.length) {
+      const err = rosterError(
+        `Invalid availability: ${errors.join("; ")}`,
+        "INVALID_AVAILABILITY",
+      );
+      err.errors = errors;
+      throw err;
+    }
+
+    let vet = get(id);
+    if (!vet) {
+      vet = { id, name: changes.name || id, ...DEFAULT_AVAILABILITY };
+      vets.push(vet);
+    }
+    [...AVAILABILITY_FIELDS, ...PROFILE_FIELDS].forEach((field) => {
+      if (changes[field] !== undefined) vet[field] = changes[field];
+    });
+    vet.updatedAt = new Date().toISOString();
+    persist();
+    return { ...vet };
+  }
+
+  /**
+   * Free slots for `days` days from `from` (YYYY-MM-DD in the vet's time
+   * zone, default today there). Slots that have started, fall on blackout
+   * dates or whose UTC start is in `taken` are left out.
+   * Returns [{ start (ISO UTC), date, time }] with date and time in the vet's
+   * time zone.
+   */
+  function slots(
+    id,
+    { from, days = 7, taken = new Set(), now = Date.now() } = {},
+  ) {
+    const vet = get(id);
+    if (!vet) return null;
+    const { timeZone, slotMinutes, weeklyHours = {}, blackoutDates = [] } = vet;
+
+    const first =
+      from && DATE_RE.test(from) ? from : zonedParts(now, timeZone).date;
+    const count = Math.min(Math.max(1, Number(days) || 1), MAX_SLOT_DAYS);
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      const date = addDays(first, i);
+      if (blackoutDates.includes(date)) continue;
+      const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+      for (const range of weeklyHours[weekday] || []) {
+        const end = minutesOf(range.end);
+        for (
+          let m = minutesOf(range.start);
+          m + slotMinutes <= end;
+          m += slotMinutes
+        ) {
+          const time = formatTime(m);
+          const startMs = zonedTimeToUtc(date, time, timeZone);
+          const start = new Date(startMs).toISOString();
+          if (startMs <= now || taken.has(start)) continue;
+          result.push({ start, date, time });
+        }
+      }
+    }
+    return result;
+  }
+
+  // Whether `start` (ISO UTC) is one of the vet's slots, ignoring bookings
+  function offersSlot(id, start, { now = Date.now() } = {}) {
+    const vet = get(id);
+    const ms = Date.parse(start);
+    if (!vet || !Number.isFinite(ms) || ms <= now) return false;
+    const { date } = zonedParts(ms, vet.timeZone);
+    const iso = new Date(ms).toISOString();
+    return slots(id, { from: date, days: 1, now }).some((s) => s.start === iso);
+  }
+
+  return { get, list, setAvailability, slots, offersSlot };
+}
+
+module.exports = {
+  createVetRoster,
+  validateAvailability,
+  zonedTimeToUtc,
+  WEEKDAYS,
+};
@@ -0,0 +1,36 @@
+// ===========================================
+// AGENT ADMINISTRATION
+// ===========================================
+// GET    /api/admin/agents           agents this server has started and not
+//                                    yet seen leave, with owner and activity
+// DELETE /api/admin/agents/:agentId  stop an agent now
+//
+// Mount behind an admin-only check.
+
+const express = require("express");
+const { agoraErrorBody } = require("../lib/agora-client");
+
+function createAgentAdminRouter(registry) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json({ agents: registry.list({ channel: req.query.channel }) });
+  });
+
+  router.delete("/:agentId", async (req, res) => {
+    try {
+      const agent = await registry.stop(
+        req.params.agentId,
+        `stopped by ${req.vet.username}`,
+      );
+      res.json({ stopped: true, agentId: req.params.agentId, agent });
+    } catch (err) {
+      console.error("Stop agent error:", err.message);
+      res.status(err.status || 500).json(agoraErrorBody(err));
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAgentAdminRouter };
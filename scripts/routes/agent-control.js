@@ -0,0 +1,152 @@
+// ===========================================
+// LIVE AGENT CONTROLS
+// ===========================================
+// POST /api/convo-ai/agents/:agentId/interrupt  stop the agent mid-sentence
+// POST /api/convo-ai/agents/:agentId/speak      { text, priority, interruptable }
+//                                               have the agent say something
+// POST /api/convo-ai/agents/:agentId/update     { instruction, systemPrompt, voice }
+//                                               change a running agent's
+//                                               prompt or voice
+//
+// Anyone on the call can interrupt, like leaving. Speak and update are for a
+// supervising vet. Updates start from what the agent was started with (its
+// profile and prompt), so only agents this server started can be updated.
+
+const express = require("express");
+const { sendAgoraError } = require("../lib/agora-client");
+const { buildTtsBlock } = require("../lib/tts-providers");
+
+// Agora's limit for speak text
+const MAX_SPEAK_LENGTH = 512;
+const MAX_INSTRUCTION_LENGTH = 1000;
+const MAX_PROMPT_LENGTH = 8000;
+const MAX_VOICE_LENGTH = 100;
+const SPEAK_PRIORITIES = ["INTERRUPT", "APPEND", "IGNORE"];
+
+// Returns an error message for an optional string field, or null when valid
+function checkString(value, name, maxLength) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || !value.trim()) {
+    return `${name} must be a non-empty string`;
+  }
+  if (value.length > maxLength) {
+    return `${name} must be at most ${maxLength} characters`;
+  }
+  return null;
+}
+
+function createAgentControlRouter({
+  agora,
+  agentSessions,
+  agentProfiles,
+  requireVet,
+  env = process.env,
+}) {
+  const router = express.Router();
+
+  router.post("/:agentId/interrupt", async (req, res) => {
+    const { agentId } = req.params;
+    try {
+      await agora.interrupt(agentId);
+      agentSessions.touch(agentId);
+      res.json({ agent_id: agentId, interrupted: true });
+    } catch (err) {
+      sendAgoraError(res, err, "Interrupt agent error");
+    }
+  });
+
+  router.post("/:agentId/speak", requireVet, async (req, res) => {
+    const { agentId } = req.params;
+    const { text, priority = "INTERRUPT", interruptable = true } = req.body;
+
+    const problem = text
+      ? checkString(text, "text", MAX_SPEAK_LENGTH)
+      : "text is required";
+    if (problem) return res.status(400).json({ error: problem });
+    if (!SPEAK_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: `priority must be one of ${SPEAK_PRIORITIES.join(", ")}`,
+      });
+    }
+
+    try {
+      await agora.speak(agentId, {
+        text: text.trim(),
+        priority,
+        interruptable: interruptable !== false,
+      });
+      agentSessions.touch(agentId);
+      console.log(`Agent ${agentId} told to speak by ${req.vet.username}`);
+      res.json({ agent_id: agentId, spoken: true });
+    } catch (err) {
+      sendAgoraError(res, err, "Agent speak error");
+    }
+  });
+
+  router.post("/:agentId/update", requireVet, async (req, res) => {
+    const { agentId } = req.params;
+    const { instruction, systemPrompt, voice } = req.body;
+
+    const session = agentSessions.get(agentId);
+    if (!session) {
+      return res.status(404).json({ error: "Unknown agent" });
+    }
+
+    const problem =
+      checkString(instruction, "instruction", MAX_INSTRUCTION_LENGTH) ||
+      checkString(systemPrompt, "systemPrompt", MAX_PROMPT_LENGTH) ||
+      checkString(voice, "voice", MAX_VOICE_LENGTH);
+    if (problem) return res.status(400).json({ error: problem });
+    if (!instruction && !systemPrompt && !voice) {
+      return res
+        .status(400)
+        .json({ error: "Send an instruction, systemPrompt or voice" });
+    }
+
+    try {
+      const properties = {};
+      if (instruction || systemPrompt) {
+        const messages = systemPrompt
+          ? [{ role: "system", content: systemPrompt.trim() }]
+          : session.systemMessages || [];
+        properties.llm = {
+          system_messages: instruction
+            ? [
+                ...messages,
+                {
+                  role: "system",
+                  content: `Instruction from the supervising veterinarian: ${instruction.trim()}`,
+                },
+              ]
+            : messages,
+        };
+      }
+      if (voice) {
+        const profile = agentProfiles.get(session.profile);
+        if (!profile) {
+          return res.status(409).json({
+            error: `Agent profile ${session.profile} is no longer available`,
+          });
+        }
+        properties.tts = buildTtsBlock({ ...profile.tts, voice }, env);
+      }
+
+      await agora.update(agentId, properties);
+      agentSessions.update(agentId, {
+        systemMessages:
+          properties.llm?.system_messages || session.systemMessages,
+        voice: voice || session.voice,
+      });
+      console.log(
+        `Agent ${agentId} updated by ${req.vet.username}: ${Object.keys(properties).join(", ")}`,
+      );
+      res.json({ agent_id: agentId, updated: Object.keys(properties) });
+    } catch (err) {
+      sendAgoraError(res, err, "Update agent error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAgentControlRouter };
@@ -0,0 +1,201 @@
+// ===========================================
+// CONVERSATIONAL AI NOTIFICATIONS
+// ===========================================
+// POST /api/convo-ai/webhook  Agora notification callback for our agents
+// GET  /api/agent-events      stored events, filtered by ?bookingId=,
+//                             ?channel= or ?agentId=
+//
+// Agora signs each notification with the webhook secret configured in the
+// console: Agora-Signature-V2 is an HMAC-SHA256 of the raw body and
+// Agora-Signature an HMAC-SHA1. Without a secret notifications are refused
+// (503) unless unsigned ones were explicitly allowed, for local development.
+// Deliveries are retried until acknowledged, so
+// notices are deduplicated by noticeId. Agent events are mapped onto the
+// booking the agent was started for and summarised in `booking.agentActivity`.
+// The raw body must be kept as `req.rawBody` by the JSON parser.
+
+const crypto = require("crypto");
+const express = require("express");
+
+// Conversational AI notification event types
+const AGENT_EVENT_TYPES = {
+  101: "agent.joined",
+  102: "agent.left",
+  103: "agent.history",
+  110: "agent.metrics",
+  111: "agent.error",
+};
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check the V2 (SHA-256) signature when present, otherwise the SHA-1 one
+function verifySignature(rawBody, headers, secret) {
+  const [algorithm, signature] = headers["agora-signature-v2"]
+    ? ["sha256", headers["agora-signature-v2"]]
+    : ["sha1", headers["agora-signature"]];
+  if (!signature) return false;
+  const expected = crypto
+    .createHmac(algorithm, secret)
+    .update(rawBody || "")
+    .digest("hex");
+  return safeEqual(expected, String(signature).trim().toLowerCase());
+}
+
+function toIso(ms) {
+  return new Date(Number(ms) || Date.now()).toISOString();
+}
+
+/**
+ * Fold one agent event into a booking's activity summary. Returns null when
+ * the event doesn't change it.
+ */
+function summarizeActivity(activity, event) {
+  const { payload } = event;
+  const current =
+    activity && activity.agentId === event.agentId
+      ? activity
+      : { agentId: event.agentId, turns: 0, errors: 0 };
+
+  switch (event.type) {
+    case "agent.joined":
+      return { ...current, status: "joined", joinedAt: toIso(event.notifyMs) };
+    case "agent.left":
+      return {
+        ...current,
+        status: "left",
+        leftAt: toIso(event.notifyMs),
+        durationSec:
+          payload.stop_ts && payload.start_ts
+            ? Number(payload.stop_ts) - Number(payload.start_ts)
+            : undefined,
+        leaveReason: payload.message || payload.status || undefined,
+      };
+    case "agent.history":
+      return {
+        ...current,
+        turns: Array.isArray(payload.contents) ? payload.contents.length : 0,
+      };
+    case "agent.error":
+      return {
+        ...current,
+        errors: current.errors + 1,
+        lastError: {
+          module: payload.module || payload.vendor || null,
+          code: payload.code ?? null,
+          message: payload.message || "Unknown error",
+          at: toIso(event.notifyMs),
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * `secret` is the webhook secret; when empty, notifications are refused
+ * unless `allowUnsigned` is set. `store` is an agent event store (see
+ * lib/agent-event-store.js).
+ * `agentSessions`, when given, forgets agents that left and counts other
+ * notifications as activity.
+ */
+function createAgentWebhookRouter({
+  secret,
+  allowUnsigned = false,
+  store,
+  bookingStore,
+  agentSessions,
+  events,
+}) {
+  const router = express.Router();
+
+  function findBookingId(agentId, channel) {
+    const linked = agentId && store.getAgent(agentId);
+    if (linked && linked.bookingId) return linked.bookingId;
+    return channel && bookingStore.get(channel) ? channel : null;
+  }
+
+  router.post("/", (req, res) => {
+    if (!secret && !allowUnsigned) {
+      console.warn("Refused Convo AI notification: no webhook secret set");
+      return res.status(503).json({ error: "Webhook secret not configured" });
+    }
+    if (secret && !verifySignature(req.rawBody, req.headers, secret)) {
+      console.warn("Rejected Convo AI notification with a bad signature");
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const { noticeId, eventType, notifyMs, payload = {} } = req.body || {};
+    if (!noticeId || eventType === undefined) {
+      return res
+        .status(400)
+        .json({ error: "noticeId and eventType are required" });
+    }
+
+    const agentId = payload.agent_id || null;
+    const channel = payload.channel || store.getAgent(agentId)?.channel || null;
+    const event = store.record({
+      noticeId: String(noticeId),
+      eventType: Number(eventType),
+      type: AGENT_EVENT_TYPES[eventType] || `agent.event.${eventType}`,
+      agentId,
+      channel,
+      bookingId: findBookingId(agentId, channel),
+      notifyMs: Number(notifyMs) || Date.now(),
+      payload,
+    });
+
+    if (!event) {
+      return res.json({ received: true, duplicate: true });
+    }
+    console.log(
+      `Convo AI ${event.type}: agent ${agentId}, channel ${channel}` +
+        (event.bookingId ? `, booking ${event.bookingId}` : ""),
+    );
+
+    if (agentSessions && agentId) {
+      if (event.type === "agent.left") agentSessions.remove(agentId);
+      else agentSessions.touch(agentId);
+    }
+
+    const booking = event.bookingId && bookingStore.get(event.bookingId);
+    const activity = booking && summarizeActivity(booking.agentActivity, event);
+    if (activity) {
+      const updated = bookingStore.updateServerFields(booking.id, {
+        agentActivity: activity,
+      });
+      if (events) {
+        events.publish("booking.updated", {
+          booking: updated,
+          previousStatus: updated.status,
+        });
+      }
+    }
+
+    res.json({ received: true });
+  });
+
+  return router;
+}
+
+function createAgentEventsRouter(store) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const { bookingId, channel, agentId } = req.query;
+    res.json({ events: store.list({ bookingId, channel, agentId }) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  AGENT_EVENT_TYPES,
+  verifySignature,
+  summarizeActivity,
+  createAgentWebhookRouter,
+  createAgentEventsRouter,
+};
@@ -0,0 +1,219 @@
+// ===========================================
+// TRIAGE AND CALL ANALYSIS APIs
+// ===========================================
+// POST /api/analyze-triage   triage answers -> urgency assessment
+// POST /api/transcribe-call  short base64 call recording -> transcript and
+//                            timed segments (STT_* vendor)
+// POST /api/analyze-call     call transcript -> consultation summary
+//
+// Each route parses its own JSON body so recordings can exceed the app-wide
+// size limit; mount this router before the global express.json().
+
+const express = require("express");
+const { analyzeTriage, getTriageLLMConfig } = require("../lib/triage-analysis");
+const { chatCompletion, llmConfigFromEnv } = require("../lib/llm-providers");
+const { transcribeAudio, sttConfigFromEnv } = require("../lib/stt-providers");
+
+// Call recordings arrive as base64 JSON; OpenAI and Groq accept files up to
+// 25 MB
+const TRANSCRIBE_BODY_LIMIT = "35mb";
+
+const CALL_ANALYSIS_FALLBACK = {
+  callSummary: "Professional veterinary consultation completed",
+  vetDiagnosis: "Analysis system temporarily unavailable",
+  treatmentPlan: "Follow instructions provided during the call",
+  urgencyLevel: "Medium",
+  keyPoints: ["Call recording available for review"],
+  readableNotes:
+    "Your consultation has been completed. Please refer to any notes or instructions provided by your veterinarian during the call.",
+};
+
+function buildCallAnalysisPrompt({ transcript, petInfo, triageSummary }) {
+  return `You are a veterinary AI assistant analyzing a call between a pet owner and veterinarian.
+
+PET INFORMATION:
+${JSON.stringify(petInfo || {}, null, 2)}
+
+PREVIOUS TRIAGE SUMMARY:
+${JSON.stringify(triageSummary || {}, null, 2)}
+
+CALL TRANSCRIPT:
+${transcript}
+
+Please provide a comprehensive analysis in JSON format with these fields:
+- callSummary: Brief overview of the call discussion
+- vetDiagnosis: Veterinarian's diagnosis or assessment
+- treatmentPlan: Recommended treatment plan
+- medicationsDiscussed: Any medications mentioned
+- followUpInstructions: Follow-up care instructions
+- urgencyLevel: High/Medium/Low based on discussion
+- keyPoints: Array of important discussion points
+- ownerQuestions: Questions asked by the pet owner
+- vetRecommendations: Specific recommendations from the vet
+- nextSteps: What the owner should do next
+- estimatedCost: If mentioned, treatment cost estimates
+- readableNotes: Human-readable summary for easy reading
+
+Respond with valid JSON only.`;
+}
+
+/**
+ * `triageLlm` and `callAnalysisLlm` are LLM configs (see llm-providers.js);
+ * by default they come from the TRIAGE_LLM_* and CALL_ANALYSIS_LLM_* env vars.
+ * `stt` is a speech-to-text config (see stt-providers.js) from STT_*.
+ */
+function createAnalysisRouter({
+  triageLlm = getTriageLLMConfig(),
+  callAnalysisLlm = llmConfigFromEnv("CALL_ANALYSIS_LLM"),
+  env = process.env,
+  stt = sttConfigFromEnv(env),
+} = {}) {
+  const router = express.Router();
+  const json = express.json();
+
+  // AI Triage Analysis endpoint
+  router.post("/analyze-triage", json, async (req, res) => {
+    const { prompt, responses, petInfo } = req.body;
+
+    if (!Array.isArray(responses)) {
+      return res.status(400).json({ error: "responses array is required" });
+    }
+    const badEntry = responses.findIndex(
+      (r) =>
+        !r ||
+        typeof r !== "object" ||
+        Array.isArray(r) ||
+        ["question", "response"].some(
+          (key) => r[key] != null && typeof r[key] !== "string",
+        ),
+    );
+    if (badEntry !== -1) {
+      return res.status(400).json({
+        error: `responses[${badEntry}] must be an object with string question and response`,
+      });
+    }
+
+    try {
+      const analysis = await analyzeTriage(
+        { prompt, responses, petInfo },
+        triageLlm,
+      );
+      console.log(
+        `Triage analysis (${analysis.source}): ${analysis.urgencyLevel} urgency`,
+      );
+      res.json(analysis);
+    } catch (error) {
+      console.error("Triage analysis error:", error.message);
+      res.status(500).json({ error: "Failed to analyze triage" });
+    }
+  });
+
+  // Transcribe a short call recording in one request. Longer recordings go
+  // through the resumable upload in scripts/routes/call-audio.js.
+  router.post(
+    "/transcribe-call",
+    express.json({ limit: TRANSCRIBE_BODY_LIMIT }),
+    async (req, res) => {
+      const { audioBase64 } = req.body;
+      if (!audioBase64) {
+        return res.status(400).json({ error: "Audio data required" });
+      }
+
+      try {
+        console.log("Transcribing call audio...");
+        const buffer = Buffer.from(audioBase64, "base64");
+        const { transcript, wordCount, segments } = await transcribeAudio(
+          stt,
+          { buffer },
+          env,
+        );
+        console.log(
+          "Call transcription completed:",
+          transcript.substring(0, 100) + "...",
+        );
+
+        res.json({
+          success: true,
+          transcript,
+          segments,
+          duration: buffer.length,
+          wordCount,
+        });
+      } catch (error) {
+        const details = error.details || error.message;
+        console.error("Call transcription error:", details);
+        res.status(error.code === "TRANSCRIPTION_TOO_LARGE" ? 413 : 500).json({
+          error: "Failed to transcribe call",
+          details,
+        });
+      }
+    },
+  );
+
+  // Analyze call transcript with AI
+  router.post("/analyze-call", json, async (req, res) => {
+    const { transcript, petInfo, triageSummary } = req.body;
+
+    if (!transcript) {
+      return res.status(400).json({ error: "Transcript required" });
+    }
+
+    try {
+      console.log("Analyzing call with AI...");
+
+      const content = await chatCompletion(
+        callAnalysisLlm,
+        {
+          messages: [
+            {
+              role: "system",
+              content:
+                "You are a veterinary AI assistant specialized in analyzing veterinary consultations.",
+            },
+            {
+              role: "user",
+              content: buildCallAnalysisPrompt({
+                transcript,
+                petInfo,
+                triageSummary,
+              }),
+            },
+          ],
+          temperature: 0.3,
+          maxTokens: 2000,
+        },
+        env,
+      );
+
+      let analysis;
+      try {
+        analysis = JSON.parse(content);
+      } catch (parseError) {
+        console.log("JSON parse failed, using fallback analysis");
+        analysis = {
+          callSummary: "Call analysis completed",
+          vetDiagnosis:
+            "Please refer to the call recording for detailed diagnosis",
+          treatmentPlan: "Follow veterinarian instructions as discussed",
+          urgencyLevel: "Medium",
+          keyPoints: ["Professional veterinary consultation completed"],
+          readableNotes:
+            "Call analysis is being processed. Please refer to the consultation notes provided by your veterinarian.",
+        };
+      }
+
+      console.log("Call analysis completed successfully");
+      res.json(analysis);
+    } catch (error) {
+      console.error(
+        "Call analysis error:",
+        error.response?.data || error.message,
+      );
+      res.json(CALL_ANALYSIS_FALLBACK);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnalysisRouter };
@@ -0,0 +1,49 @@
+// ===========================================
+// VET AUTHENTICATION
+// ===========================================
+
+const express = require("express");
+
+function createAuthRouter({ accounts, sessions }) {
+  const router = express.Router();
+
+  // Sign in with username/password; sets the session cookie
+  router.post("/login", async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ error: "username and password are required" });
+    }
+
+    let vet;
+    try {
+      vet = await accounts.authenticate(String(username).trim(), password);
+    } catch (err) {
+      console.error("Vet login error:", err);
+      return res.status(500).json({ error: "Login failed" });
+    }
+    if (!vet) {
+      console.log("Failed vet login for:", username);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    sessions.create(req, res, vet);
+    console.log("Vet logged in:", vet.username);
+    res.json(vet);
+  });
+
+  router.post("/logout", (req, res) => {
+    sessions.destroy(req, res);
+    res.json({ success: true });
+  });
+
+  // Current vet, used by the pages to show the signed-in name
+  router.get("/me", sessions.requireVet, (req, res) => {
+    res.json(req.vet);
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,229 @@
+// ===========================================
+// BOOKINGS API
+// ===========================================
+// REST resource shared by the owner and vet pages. Every booking carries a
+// `version`; PATCH requests must send it back (If-Match header or `version`
+// in the body) and get a 409 with the current booking if it has moved on.
+// Changes are published on the event hub as `booking.created`,
+// `booking.<status>` for status transitions and `booking.updated` otherwise.
+// `GET /api/bookings?sort=priority` orders the list for the vet queue and adds
+// each booking's `priority` ({ score, urgencyLevel, reason, factors }).
+// With a roster, bookings must name a vet on it (400 UNKNOWN_VET) and either
+// be "now" (if the vet takes on-demand calls) or name one of the vet's free
+// slots in `slotStart`; a slot someone else has just taken is answered with
+// 409 SLOT_TAKEN.
+// `contact: { email, language, timeZone }` is where and how the owner gets
+// notifications (scripts/lib/notifier.js); all of it is optional.
+// `GET /api/bookings/:id/calendar.ics` downloads the booking as an iCalendar
+// event with the owner's join link.
+// Owners may cancel, record their triage and end the call; accepting,
+// declining, starting the call, the transcript and the consultation summary
+// need a vet session (401 otherwise).
+
+const express = require("express");
+const { BOOKING_STATUSES } = require("../lib/booking-store");
+const { bookingToEvent, buildCalendar } = require("../lib/ical");
+const { prioritize, bookingToCall } = require("../lib/call-priority");
+
+// Statuses and fields only a signed-in vet may set with PATCH
+const VET_ONLY_STATUSES = ["accepted", "declined", "calling", "summary-ready"];
+const VET_ONLY_FIELDS = ["transcript", "consultSummary", "callAnalysis"];
+
+function parseVersion(req) {
+  const header = req.get("If-Match");
+  if (header) return header.replace(/^W\//, "").replace(/"/g, "");
+  return req.body.version;
+}
+
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// What's wrong with the owner's notification contact, or null
+function contactError(contact) {
+  if (contact === undefined || contact === null) return null;
+  if (typeof contact !== "object") return "contact must be an object";
+  const email = String(contact.email || "").trim();
+  if (email && (!EMAIL_RE.test(email) || email.length > 254)) {
+    return "contact.email is not a valid email address";
+  }
+  return null;
+}
+
+function normalizeContact(contact) {
+  if (!contact) return null;
+  return {
+    email: String(contact.email || "").trim() || null,
+    language: contact.language ? String(contact.language).slice(0, 35) : null,
+    timeZone: contact.timeZone ? String(contact.timeZone).slice(0, 64) : null,
+  };
+}
+
+/**
+ * `readVet(req)` resolves the signed-in vet, or null for owners (see
+ * scripts/lib/sessions.js).
+ */
+function createBookingsRouter(
+  store,
+  { events, priorityPolicy, roster, readVet = () => null } = {},
+) {
+  const router = express.Router();
+
+  // List bookings, optionally filtered by ?status=a,b and ?vetId=, oldest
+  // first or by queue priority with ?sort=priority
+  router.get("/", (req, res) => {
+    const status = req.query.status
+      ? String(req.query.status).split(",")
+      : undefined;
+    const bookings = store.list({ status, vetId: req.query.vetId });
+    res.json({
+      bookings:
+        req.query.sort === "priority"
+          ? prioritize(bookings, bookingToCall, { policy: priorityPolicy })
+          : bookings,
+    });
+  });
+
+  // Create a booking (owner confirms a slot in book-vet.html)
+  router.post("/", (req, res) => {
+    const { vetId, vetName, availability, slotStart } = req.body;
+    if (!vetId || !vetName) {
+      return res.status(400).json({ error: "vetId and vetName are required" });
+    }
+
+    const invalidContact = contactError(req.body.contact);
+    if (invalidContact) {
+      return res.status(400).json({ error: invalidContact });
+    }
+
+    const slot = slotStart ? new Date(slotStart) : null;
+    if (slot && Number.isNaN(slot.getTime())) {
+      return res.status(400).json({ error: "slotStart must be an ISO date" });
+    }
+    const vet = roster ? roster.get(vetId) : null;
+    if (roster && !vet) {
+      return res
+        .status(400)
+        .json({ error: `Unknown vet: ${vetId}`, code: "UNKNOWN_VET" });
+    }
+    if (vet && availability === "now" && !vet.acceptsNow) {
+      return res.status(409).json({
+        error: `${vet.name} isn't taking on-demand calls`,
+        code: "VET_UNAVAILABLE",
+      });
+    }
+    if (vet && availability !== "now") {
+      if (!slot) {
+        return res
+          .status(400)
+          .json({ error: "slotStart is required to book a time" });
+      }
+      if (!roster.offersSlot(vetId, slot.toISOString())) {
+        return res.status(409).json({
+          error: `${vet.name} isn't available at that time`,
+          code: "SLOT_UNAVAILABLE",
+        });
+      }
+    }
+
+    let booking;
+    try {
+      booking = store.create({
+        ...req.body,
+        contact: normalizeContact(req.body.contact),
+        slotStart: slot && availability !== "now" ? slot.toISOString() : null,
+      });
+    } catch (err) {
+      if (err.code === "INVALID_BOOKING") {
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+      if (err.code !== "SLOT_TAKEN") throw err;
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+    console.log("Booking created:", booking.id, "with", booking.vetName);
+    if (events) events.publish("booking.created", { booking });
+    res.set("ETag", `"${booking.version}"`);
+    res.status(201).json(booking);
+  });
+
+  // Get a single booking
+  router.get("/:id", (req, res) => {
+    const booking = store.get(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    res.set("ETag", `"${booking.version}"`);
+    res.json(booking);
+  });
+
+  // The booking as an .ics file for the owner's calendar
+  router.get("/:id/calendar.ics", (req, res) => {
+    const booking = store.get(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const joinUrl = `${req.protocol}://${req.get("host")}/vet/waiting-room.html?bookingId=${encodeURIComponent(booking.id)}`;
+    const event = bookingToEvent(booking, {
+      joinUrl,
+      durationMinutes: roster?.get(booking.vetId)?.slotMinutes,
+    });
+    res.type("text/calendar; charset=utf-8");
+    res.attachment(`vet-consultation-${booking.id}.ics`);
+    res.send(buildCalendar({ events: [event] }));
+  });
+
+  // Update status and/or booking details with optimistic concurrency
+  router.patch("/:id", (req, res) => {
+    const version = parseVersion(req);
+    if (version === undefined || version === "") {
+      return res.status(428).json({
+        error: "Booking version required (If-Match header or version field)",
+      });
+    }
+
+    const { status } = req.body;
+    if (status !== undefined && !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Unknown status "${status}"`,
+        allowed: BOOKING_STATUSES,
+      });
+    }
+
+    const needsVet =
+      VET_ONLY_STATUSES.includes(status) ||
+      VET_ONLY_FIELDS.some((field) => req.body[field] !== undefined);
+    if (needsVet && !readVet(req)) {
+      return res.status(401).json({ error: "Vet login required" });
+    }
+
+    try {
+      const previousStatus = store.get(req.params.id)?.status;
+      const booking = store.update(req.params.id, req.body, version);
+      if (!booking) {
+        return res.status(404).json({ error: "Booking not found" });
+      }
+      if (status) console.log("Booking", booking.id, "->", status);
+      if (events) {
+        const changed = status && status !== previousStatus;
+        events.publish(changed ? `booking.${status}` : "booking.updated", {
+          booking,
+          previousStatus,
+        });
+      }
+      res.set("ETag", `"${booking.version}"`);
+      res.json(booking);
+    } catch (err) {
+      if (err.code === "VERSION_CONFLICT") {
+        return res
+          .status(409)
+          .json({ error: err.message, booking: err.current });
+      }
+      if (err.code === "INVALID_BOOKING") {
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+      throw err;
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBookingsRouter };
@@ -0,0 +1,157 @@
+// ===========================================
+// CALL AUDIO UPLOADS AND TRANSCRIPTION JOBS
+// ===========================================
+// POST /api/call-audio/uploads                { bookingId, fileName,
+//                                               contentType, size, sha256,
+//                                               speaker, callStartedAt,
+//                                               offsetMs }
+//                                             declare an upload -> { upload }
+// GET  /api/call-audio/uploads/:uploadId      { upload } with the `offset` to
+//                                             resume from
+// GET  /api/call-audio/uploads/:uploadId/audio
+//                                             the completed recording, with
+//                                             Range support for seeking
+// PUT  /api/call-audio/uploads/:uploadId      raw chunk at X-Upload-Offset,
+//                                             checked against X-Chunk-SHA256
+//                                             -> { upload }
+// POST /api/call-audio/uploads/:uploadId/complete
+//                                             verify the whole file and queue
+//                                             its transcription -> 202 { upload, job }
+// GET  /api/call-audio/jobs?bookingId=        { jobs } for a booking
+// GET  /api/call-audio/jobs/:jobId            { job } with status and progress
+//
+// An out-of-step chunk answers 409 with the server's `offset`, so the browser
+// can resume from there. Uploads belong to a booking, like the owner's
+// booking-scoped event stream; a booking uploads one recording at a time.
+
+const express = require("express");
+const path = require("path");
+
+// Chunks are sent 2 MB at a time; leave some room
+const CHUNK_LIMIT = "8mb";
+
+const ERROR_STATUS = {
+  INVALID_UPLOAD: 400,
+  CHECKSUM_MISMATCH: 400,
+  UPLOAD_NOT_FOUND: 404,
+  OFFSET_MISMATCH: 409,
+  UPLOAD_BUSY: 409,
+  UPLOAD_COMPLETE: 409,
+  UPLOAD_IN_PROGRESS: 409,
+  INCOMPLETE_UPLOAD: 409,
+  UPLOAD_TOO_LARGE: 413,
+  PENDING_UPLOADS_FULL: 503,
+};
+
+function createCallAudioRouter({ uploads, jobs, bookingStore }) {
+  const router = express.Router();
+
+  function sendError(res, err) {
+    const status = ERROR_STATUS[err.code];
+    if (!status) {
+      console.error("Call audio upload error:", err);
+      return res.status(500).json({ error: "Upload failed" });
+    }
+    const body = { error: err.message, code: err.code };
+    if (err.offset !== undefined) body.offset = err.offset;
+    return res.status(status).json(body);
+  }
+
+  router.post("/uploads", (req, res) => {
+    const {
+      bookingId,
+      fileName,
+      contentType,
+      size,
+      sha256,
+      speaker,
+      callStartedAt,
+      offsetMs,
+    } = req.body;
+    if (!bookingId || !bookingStore.get(bookingId)) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    try {
+      const upload = uploads.create({
+        bookingId,
+        fileName,
+        contentType,
+        size,
+        sha256,
+        speaker,
+        callStartedAt,
+        offsetMs,
+      });
+      res.status(201).json({ upload });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/uploads/:uploadId", (req, res) => {
+    const upload = uploads.get(req.params.uploadId);
+    if (!upload) return res.status(404).json({ error: "Upload not found" });
+    res.json({ upload });
+  });
+
+  router.get("/uploads/:uploadId/audio", (req, res) => {
+    const upload = uploads.get(req.params.uploadId);
+    if (!upload || upload.status !== "complete") {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+    // Otherwise served as video/webm, going by the extension
+    res.type(upload.contentType);
+    res.sendFile(path.resolve(uploads.filePath(upload)));
+  });
+
+  router.put(
+    "/uploads/:uploadId",
+    express.raw({ type: () => true, limit: CHUNK_LIMIT }),
+    async (req, res) => {
+      const offset = Number(req.get("X-Upload-Offset"));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res
+          .status(400)
+          .json({ error: "X-Upload-Offset must be a byte offset" });
+      }
+      try {
+        const upload = await uploads.writeChunk(req.params.uploadId, {
+          offset,
+          chunk: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+          chunkSha256: req.get("X-Chunk-SHA256"),
+        });
+        res.json({ upload });
+      } catch (err) {
+        sendError(res, err);
+      }
+    },
+  );
+
+  router.post("/uploads/:uploadId/complete", async (req, res) => {
+    try {
+      const upload = await uploads.complete(req.params.uploadId);
+      const job = jobs.enqueue(upload);
+      res.status(202).json({ upload, job });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/jobs", (req, res) => {
+    const { bookingId } = req.query;
+    if (!bookingId) {
+      return res.status(400).json({ error: "bookingId is required" });
+    }
+    res.json({ jobs: jobs.list({ bookingId }) });
+  });
+
+  router.get("/jobs/:jobId", (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json({ job });
+  });
+
+  return router;
+}
+
+module.exports = { createCallAudioRouter };
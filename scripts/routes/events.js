@@ -0,0 +1,52 @@
+// ===========================================
+// SERVER-SENT EVENTS
+// ===========================================
+// GET /api/events streams booking and call status changes. Owners pass
+// ?bookingId= to only hear about their own booking; the vet dashboard listens
+// to everything.
+
+const express = require("express");
+
+const HEARTBEAT_MS = 25000;
+
+function createEventsRouter(events) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const { bookingId } = req.query;
+    const matches = (event) =>
+      !bookingId || event.data?.booking?.id === bookingId;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      if (!matches(event)) return;
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+      );
+    };
+
+    // Replay anything missed since the browser's last reconnect
+    const lastEventId = req.get("Last-Event-ID");
+    if (lastEventId) events.since(lastEventId).forEach(send);
+
+    res.write("retry: 3000\n\n");
+    const unsubscribe = events.subscribe(send);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
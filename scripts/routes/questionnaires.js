@@ -0,0 +1,51 @@
+// ===========================================
+// TRIAGE QUESTIONNAIRES
+// ===========================================
+// GET /api/questionnaires        available questionnaires
+// GET /api/questionnaires/:name  ?petName=&petType=&petAge=&species=
+//                                the questionnaire as asked for one pet:
+//                                { name, intro, closing, questions }, where
+//                                follow-up questions carry their `when`
+//
+// The page asks the questions in order, skipping follow-ups whose condition
+// isn't met, and stores one answer slot per question with the booking.
+
+const express = require("express");
+
+const MAX_FIELD_LENGTH = 100;
+const PET_FIELDS = {
+  petName: "your pet",
+  petType: "pet",
+  petAge: "unknown age",
+  species: "",
+};
+
+// Pet fields from the query string, as short plain strings
+function petVariables(query) {
+  const vars = {};
+  for (const [key, fallback] of Object.entries(PET_FIELDS)) {
+    const value = typeof query[key] === "string" ? query[key] : "";
+    vars[key] =
+      value.replace(/\s+/g, " ").trim().slice(0, MAX_FIELD_LENGTH) || fallback;
+  }
+  return vars;
+}
+
+function createQuestionnairesRouter(questionnaires) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json({ questionnaires: questionnaires.list() });
+  });
+
+  router.get("/:name", (req, res) => {
+    if (!questionnaires.get(req.params.name)) {
+      return res.status(404).json({ error: "Questionnaire not found" });
+    }
+    res.json(questionnaires.forPet(req.params.name, petVariables(req.query)));
+  });
+
+  return router;
+}
+
+module.exports = { createQuestionnairesRouter };
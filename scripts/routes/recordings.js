@@ -0,0 +1,72 @@
+// ===========================================
+// CALL RECORDINGS (Agora Cloud Recording)
+// ===========================================
+// POST /api/recordings/:bookingId/acquire  reserve a recorder for the call
+// POST /api/recordings/:bookingId/start    start recording (acquires first
+//                                          when needed)
+// GET  /api/recordings/:bookingId          the booking's `recording` and, while
+//                                          recording, Agora's status and files
+// POST /api/recordings/:bookingId/stop     stop and store the file list on
+//                                          the booking
+//
+// Calls are recorded automatically while their booking is `calling` (see
+// scripts/lib/call-recordings.js); these routes let a vet restart or stop a
+// recording by hand. Vets only. Agora failures answer like the other proxy
+// routes with { error, code, details }.
+
+const express = require("express");
+const { sendAgoraError } = require("../lib/agora-client");
+
+const ERROR_STATUS = {
+  BOOKING_NOT_FOUND: 404,
+  RECORDING_NOT_CONFIGURED: 503,
+};
+
+function createRecordingsRouter({ recorder }) {
+  const router = express.Router();
+
+  function sendError(res, err, label) {
+    if (err.code in ERROR_STATUS) {
+      return res
+        .status(ERROR_STATUS[err.code])
+        .json({ error: err.message, code: err.code });
+    }
+    return sendAgoraError(res, err, label);
+  }
+
+  router.post("/:bookingId/acquire", async (req, res) => {
+    try {
+      res.json({ recording: await recorder.acquire(req.params.bookingId) });
+    } catch (err) {
+      sendError(res, err, "Acquire recording error");
+    }
+  });
+
+  router.post("/:bookingId/start", async (req, res) => {
+    try {
+      res.json({ recording: await recorder.start(req.params.bookingId) });
+    } catch (err) {
+      sendError(res, err, "Start recording error");
+    }
+  });
+
+  router.get("/:bookingId", async (req, res) => {
+    try {
+      res.json(await recorder.query(req.params.bookingId));
+    } catch (err) {
+      sendError(res, err, "Query recording error");
+    }
+  });
+
+  router.post("/:bookingId/stop", async (req, res) => {
+    try {
+      res.json({ recording: await recorder.stop(req.params.bookingId) });
+    } catch (err) {
+      sendError(res, err, "Stop recording error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRecordingsRouter };
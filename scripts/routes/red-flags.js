@@ -0,0 +1,89 @@
+// ===========================================
+// LIVE RED-FLAG DETECTION
+// ===========================================
+// POST /api/red-flags  { text, bookingId }
+//                      check one of the owner's answers for emergency
+//                      symptoms -> { redFlags: [{ id, label }], escalated }
+//
+// The triage page sends each final owner turn as it is transcribed. When a
+// red flag is found for a booking, the booking gets a server-set `emergency`
+// ({ flags, excerpt, detectedAt, updatedAt }) that puts it at the top of the
+// vet dashboard, and `booking.emergency` is published the first time each
+// flag is seen.
+//
+// Owners have no session, so holding the booking ID is what lets them
+// escalate it: an unknown booking is 404, and only bookings still before or
+// in their call (OPEN_STATUSES) can be escalated unless a vet is signed in
+// (409 otherwise). Without a bookingId the text is only checked.
+
+const express = require("express");
+const { detectRedFlags } = require("../lib/red-flags");
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_EXCERPT_LENGTH = 280;
+const OPEN_STATUSES = ["pending", "accepted", "triaged", "calling"];
+
+/**
+ * `readVet(req)` resolves the signed-in vet, or null for owners (see
+ * scripts/lib/sessions.js).
+ */
+function createRedFlagsRouter({ bookingStore, events, readVet = () => null }) {
+  const router = express.Router();
+
+  router.post("/", (req, res) => {
+    const { text, bookingId } = req.body;
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "text is required" });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        error: `text must be at most ${MAX_TEXT_LENGTH} characters`,
+      });
+    }
+
+    const booking = bookingId ? bookingStore.get(String(bookingId)) : null;
+    if (bookingId && !booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (booking && !OPEN_STATUSES.includes(booking.status) && !readVet(req)) {
+      return res.status(409).json({
+        error: `Booking is ${booking.status}; it can no longer be escalated`,
+      });
+    }
+
+    const redFlags = detectRedFlags(text);
+    if (!booking || !redFlags.length) {
+      return res.json({ redFlags, escalated: false });
+    }
+
+    const previous = booking.emergency?.flags || [];
+    const added = redFlags.filter((f) => !previous.some((p) => p.id === f.id));
+    if (!added.length) return res.json({ redFlags, escalated: true });
+
+    const now = new Date().toISOString();
+    const updated = bookingStore.updateServerFields(booking.id, {
+      emergency: {
+        flags: [...previous, ...added],
+        excerpt:
+          booking.emergency?.excerpt ||
+          text.trim().slice(0, MAX_EXCERPT_LENGTH),
+        detectedAt: booking.emergency?.detectedAt || now,
+        updatedAt: now,
+      },
+    });
+    console.warn(
+      `Booking ${booking.id} escalated: ${added.map((f) => f.label).join(", ")}`,
+    );
+    if (events) {
+      events.publish("booking.emergency", {
+        booking: updated,
+        redFlags: added,
+      });
+    }
+    res.json({ redFlags, escalated: true });
+  });
+
+  return router;
+}
+
+module.exports = { createRedFlagsRouter };
@@ -0,0 +1,90 @@
+// ===========================================
+// SOAP CLINICAL NOTES
+// ===========================================
+// GET  /api/soap-notes/:bookingId                 { soapNote }: the draft and
+//                                                 the signed versions
+// POST /api/soap-notes/:bookingId/draft           generate a draft from the
+//                                                 transcript and triage summary
+//                                                 -> { soapNote }; 409
+//                                                 DRAFT_EDITED over a vet's
+//                                                 edits unless { overwrite:
+//                                                 true } or ?overwrite=1
+// PUT  /api/soap-notes/:bookingId/sections/:section
+//                                                 { text } replaces one section
+//                                                 of the draft -> { soapNote }
+// POST /api/soap-notes/:bookingId/sign            sign the draft off as the
+//                                                 next version and send it to
+//                                                 the owner
+//                                                 -> { soapNote, version }
+//
+// Sections are subjective, objective, assessment and plan (see
+// scripts/lib/soap-notes.js). Vets only; the signing vet is the signed-in one.
+
+const express = require("express");
+
+const ERROR_STATUS = {
+  UNKNOWN_SECTION: 400,
+  INVALID_SECTION: 400,
+  BOOKING_NOT_FOUND: 404,
+  NOTHING_TO_SIGN: 409,
+  DRAFT_EDITED: 409,
+};
+
+function createSoapNotesRouter({ soapNotes }) {
+  const router = express.Router();
+
+  function sendError(res, err) {
+    const status = ERROR_STATUS[err.code];
+    if (!status) {
+      console.error("SOAP note error:", err);
+      return res.status(500).json({ error: "Could not update the note" });
+    }
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+
+  router.get("/:bookingId", (req, res) => {
+    try {
+      res.json({ soapNote: soapNotes.get(req.params.bookingId) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post("/:bookingId/draft", async (req, res) => {
+    try {
+      const overwrite =
+        req.body?.overwrite === true || req.query.overwrite === "1";
+      res.json({
+        soapNote: await soapNotes.draft(req.params.bookingId, { overwrite }),
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.put("/:bookingId/sections/:section", (req, res) => {
+    try {
+      const soapNote = soapNotes.editSection(
+        req.params.bookingId,
+        req.params.section,
+        req.body.text,
+        req.vet,
+      );
+      res.json({ soapNote });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post("/:bookingId/sign", (req, res) => {
+    try {
+      res.json(soapNotes.sign(req.params.bookingId, req.vet));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSoapNotesRouter };
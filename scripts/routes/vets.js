@@ -0,0 +1,150 @@
+// ===========================================
+// VET ROSTER AND AVAILABILITY
+// ===========================================
+// GET /api/vets                        the roster
+// GET /api/vets/:vetId                 one vet, with weekly hours and
+//                                      blackout dates
+// GET /api/vets/:vetId/slots           ?from=YYYY-MM-DD&days=7
+//                                      free slots { start, date, time }
+// PUT /api/vets/:vetId/availability    { timeZone, slotMinutes, acceptsNow,
+//                                        weeklyHours, blackoutDates, name,
+//                                        specialty, photoUrl }
+//                                      signed-in vets edit their own entry
+//                                      (admins anyone's); a new entry is
+//                                      named from `name`, else the signed-in
+//                                      vet's name when it is their own
+// GET /api/vets/:vetId/calendar-feed   signed-in vet: { url, webcalUrl } of
+//                                      their bookings feed
+// GET /api/vets/:vetId/calendar.ics    ?token=  the feed itself (iCalendar)
+//
+// Slots already held by a booking are left out of /slots; booking a slot
+// goes through POST /api/bookings with `slotStart`.
+// Calendar apps fetch the feed without the vet's session, so its URL carries
+// a token signed with `feedSecret` instead (CALENDAR_FEED_SECRET, see
+// persistentSecret() in scripts/lib/env.js). The token never expires;
+// changing the secret revokes every feed URL.
+
+const crypto = require("crypto");
+const express = require("express");
+const { RELEASED_STATUSES } = require("../lib/booking-store");
+const { bookingToEvent, buildCalendar } = require("../lib/ical");
+
+// Bookings older than this are left out of the feed
+const FEED_PAST_DAYS = 30;
+
+function createVetsRouter({ roster, bookingStore, requireVet, feedSecret }) {
+  const router = express.Router();
+
+  function feedToken(vetId) {
+    return crypto
+      .createHmac("sha256", feedSecret)
+      .update(`calendar-feed:${vetId}`)
+      .digest("base64url");
+  }
+
+  function validFeedToken(vetId, token) {
+    const expected = Buffer.from(feedToken(vetId));
+    const given = Buffer.from(String(token || ""));
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  function canEdit(req, vetId) {
+    return req.vet.username === vetId || req.vet.role === "admin";
+  }
+
+  function takenSlots(vetId) {
+    return new Set(
+      bookingStore
+        .list({ vetId })
+        .filter((b) => b.slotStart && !RELEASED_STATUSES.includes(b.status))
+        .map((b) => b.slotStart),
+    );
+  }
+
+  router.get("/", (req, res) => {
+    res.json({ vets: roster.list() });
+  });
+
+  router.get("/:vetId", (req, res) => {
+    const vet = roster.get(req.params.vetId);
+    if (!vet) return res.status(404).json({ error: "Vet not found" });
+    res.json(vet);
+  });
+
+  router.get("/:vetId/slots", (req, res) => {
+    const { vetId } = req.params;
+    const vet = roster.get(vetId);
+    if (!vet) return res.status(404).json({ error: "Vet not found" });
+    res.json({
+      vetId,
+      timeZone: vet.timeZone,
+      slotMinutes: vet.slotMinutes,
+      slots: roster.slots(vetId, {
+        from: req.query.from,
+        days: req.query.days,
+        taken: takenSlots(vetId),
+      }),
+    });
+  });
+
+  router.put("/:vetId/availability", requireVet, (req, res) => {
+    const { vetId } = req.params;
+    if (!canEdit(req, vetId)) {
+      return res
+        .status(403)
+        .json({ error: "Vets can only change their own availability" });
+    }
+    try {
+      const isNew = !roster.get(vetId);
+      const ownName = req.vet.username === vetId ? req.vet.name : undefined;
+      const vet = roster.setAvailability(vetId, {
+        ...req.body,
+        name: req.body.name || (isNew ? ownName : undefined),
+      });
+      console.log(`Availability of ${vetId} updated by ${req.vet.username}`);
+      res.json(vet);
+    } catch (err) {
+      if (err.code !== "INVALID_AVAILABILITY") throw err;
+      res.status(400).json({ error: err.message, errors: err.errors });
+    }
+  });
+
+  router.get("/:vetId/calendar-feed", requireVet, (req, res) => {
+    const { vetId } = req.params;
+    if (!canEdit(req, vetId)) {
+      return res
+        .status(403)
+        .json({ error: "Vets can only see their own calendar feed" });
+    }
+    const url = `${req.protocol}://${req.get("host")}${req.baseUrl}/${encodeURIComponent(vetId)}/calendar.ics?token=${feedToken(vetId)}`;
+    res.json({ url, webcalUrl: url.replace(/^https?:/, "webcal:") });
+  });
+
+  router.get("/:vetId/calendar.ics", (req, res) => {
+    const { vetId } = req.params;
+    if (!validFeedToken(vetId, req.query.token)) {
+      return res.status(403).json({ error: "Invalid calendar feed token" });
+    }
+    const vet = roster.get(vetId);
+    const since = Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000;
+    const joinUrl = `${req.protocol}://${req.get("host")}/vet/vet-dashboard.html`;
+    const events = bookingStore
+      .list({ vetId })
+      .filter((b) => !RELEASED_STATUSES.includes(b.status))
+      .map((b) =>
+        bookingToEvent(b, { joinUrl, durationMinutes: vet?.slotMinutes }),
+      )
+      .filter((event) => event.end >= since);
+    res.type("text/calendar; charset=utf-8");
+    res.send(
+      buildCalendar({ name: `${vet?.name || vetId} - consultations`, events }),
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createVetsRouter };
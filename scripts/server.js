@@ -1,27 +1,102 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
 const axios = require("axios");
 
 // Load environment variables from .env file
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
 
 // Agora Token Generation
-const { RtcTokenBuilder, RtcRole } = require("agora-token");
+const { buildRtcToken } = require("./lib/rtc-token");
+
+const { createBookingStore } = require("./lib/booking-store");
+const { createBookingsRouter } = require("./routes/bookings");
+const { createEventHub } = require("./lib/event-hub");
+const { createEventsRouter } = require("./routes/events");
+const { createAnalysisRouter } = require("./routes/analysis");
+const { createRedFlagsRouter } = require("./routes/red-flags");
+const { createVetRoster } = require("./lib/vet-roster");
+const { createVetsRouter } = require("./routes/vets");
+const { createNotifier } = require("./lib/notifier");
+const { createNotificationTemplates } = require("./lib/notification-templates");
+const { transportsFromEnv } = require("./lib/notify-transports");
+const { createCallRecorder, recordingStorageFromEnv, RECORDER_TOKEN_SECONDS } = require("./lib/call-recordings");
+const { createRecordingsRouter } = require("./routes/recordings");
+const { createCallAudioUploads } = require("./lib/call-audio-uploads");
+const { createTranscriptionJobs } = require("./lib/transcription-jobs");
+const { transcribeAudio, sttConfigFromEnv } = require("./lib/stt-providers");
+const { createCallAudioRouter } = require("./routes/call-audio");
+const { createSoapNotes } = require("./lib/soap-notes");
+const { createSoapNotesRouter } = require("./routes/soap-notes");
+const { llmConfigFromEnv } = require("./lib/llm-providers");
+const { prioritize } = require("./lib/call-priority");
+const { createVetAccounts } = require("./lib/vet-accounts");
+const { createSessionManager } = require("./lib/sessions");
+const { persistentSecret } = require("./lib/env");
+const { createAuthRouter } = require("./routes/auth");
+const { createAgentProfiles, AGENT_UID, AVATAR_UID } = require("./lib/agent-profiles");
+const { createQuestionnaires } = require("./lib/questionnaires");
+const { createQuestionnairesRouter } = require("./routes/questionnaires");
+const { createAgentSessionRegistry } = require("./lib/agent-sessions");
+const { createAgentAdminRouter } = require("./routes/agent-admin");
+const { createAgentControlRouter } = require("./routes/agent-control");
+const { createAgoraClient, sendAgoraError } = require("./lib/agora-client");
+const { createAgentEventStore } = require("./lib/agent-event-store");
+const { createAgentWebhookRouter, createAgentEventsRouter } = require("./routes/agent-events");
 
 // Server Configuration - Default port 9001
 const PORT = process.env.PORT ? Number(process.env.PORT) : 9001;
 
 const dir = path.join(__dirname, "../src");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../data");
+const AGENT_PROFILES_DIR = process.env.AGENT_PROFILES_DIR || path.join(__dirname, "../config/agent-profiles");
+const QUESTIONNAIRES_DIR = process.env.QUESTIONNAIRES_DIR || path.join(__dirname, "../config/questionnaires");
+const NOTIFICATION_TEMPLATES_DIR = process.env.NOTIFICATION_TEMPLATES_DIR || path.join(__dirname, "../config/notifications");
 const app = express();
 
 // Enable CORS for all origins
 app.use(cors());
 
-// Parse JSON bodies from the browser
-app.use(express.json());
+// Speech-to-text for call recordings (STT_VENDOR, default OpenAI Whisper)
+const sttConfig = sttConfigFromEnv();
+console.log(`Speech-to-text: ${sttConfig.vendor}${sttConfig.model ? ` (${sttConfig.model})` : ""}`);
+
+// Triage and call analysis (parses its own, larger, request bodies)
+app.use("/api", createAnalysisRouter({ stt: sttConfig }));
+
+// Parse JSON bodies from the browser. The raw bytes are kept as well because
+// webhook signatures are computed over them.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
+// ===========================================
+// VET AUTHENTICATION
+// ===========================================
+// Accounts live in DATA_DIR/vets.json (see `npm run add-vet`). Sessions are
+// held in memory, so vets sign in again after a restart.
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET not set - using a random secret for this run");
+}
+
+const vetAccounts = createVetAccounts({ file: path.join(DATA_DIR, "vets.json") });
+const sessions = createSessionManager({ secret: SESSION_SECRET });
+vetAccounts.ensureAdmin().catch((err) => console.error("Could not create admin account:", err.message));
+
+app.use("/api/auth", createAuthRouter({ accounts: vetAccounts, sessions }));
+
+// Vet-only pages must be checked before the static file handlers
+app.use(
+  ["/vet/vet-dashboard.html", "/vet/vet-call.html", "/vet/vet-summary-edit.html", "/vet-summary-edit.html"],
+  sessions.requireVetPage
+);
+
+// Owners only ever look at their own booking; the full list is for vets
+const requireVetUnlessBookingScoped = (req, res, next) =>
+  req.query.bookingId && bookingStore.get(String(req.query.bookingId)) ? next() : sessions.requireVet(req, res, next);
+
 // Serve static files
 app.use(express.static(dir));
 app.use('/vet', express.static(path.join(__dirname, "../src/vet")));
@@ -31,65 +106,109 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(dir, "index.html"));
 });
 
-// expose a small, safe config endpoint for client-side usage
-// WARNING: Do NOT expose your RESTful API Key and Secret in production environment.
+// Expose only what the browser needs to join RTC channels.
+// Vendor keys (LLM, TTS, avatar) stay on the server; see scripts/lib/agent-profiles.js
 app.get("/config", (req, res) => {
   res.json({
     AGORA_APPID: process.env.AGORA_APPID || null,
-    AGORA_TOKEN: process.env.AGORA_TOKEN || null,
-    LLM_AWS_BEDROCK_KEY: process.env.LLM_AWS_BEDROCK_KEY || null,
-    LLM_AWS_BEDROCK_ACCESS_KEY: process.env.LLM_AWS_BEDROCK_ACCESS_KEY || null,
-    LLM_AWS_BEDROCK_SECRET_KEY: process.env.LLM_AWS_BEDROCK_SECRET_KEY || null,
-    OPENAI_KEY: process.env.OPENAI_KEY || null,
-    GROQ_KEY: process.env.GROQ_KEY || null,
-    TTS_MINIMAX_KEY: process.env.TTS_MINIMAX_KEY || null,
-    TTS_MINIMAX_GROUPID: process.env.TTS_MINIMAX_GROUPID || null,
-    AVATAR_AKOOL_KEY: process.env.AVATAR_AKOOL_KEY || null
+    AGORA_TOKEN: process.env.AGORA_TOKEN || null
   });
 });
 
+// Triage questionnaires (config/questionnaires/*.json), validated at startup
+const questionnaires = createQuestionnaires({ dir: QUESTIONNAIRES_DIR });
+console.log("Loaded questionnaires:", questionnaires.list().map((q) => q.name).join(", "));
+
+// Conversational AI agent profiles (config/agent-profiles/*.json), validated at startup
+const agentProfiles = createAgentProfiles({ dir: AGENT_PROFILES_DIR, questionnaires });
+console.log("Loaded agent profiles:", agentProfiles.list().map((p) => p.name).join(", "));
+
+// What each agent did, as reported by Agora's notification webhook
+const agentEvents = createAgentEventStore({ file: path.join(DATA_DIR, "agent-events.json") });
+
+// Agora Conversational AI / channel REST calls (retries, timeouts, error codes)
+const agora = createAgoraClient();
+
+// Every agent we start, so orphaned ones can be found and stopped
+const agentSessions = createAgentSessionRegistry({
+  file: path.join(DATA_DIR, "agent-sessions.json"),
+  stopAgent: agora.leave,
+  channelUsers: agora.channelUsers,
+  ignoreUids: [AGENT_UID, AVATAR_UID],
+  emptyMs: Number(process.env.AGENT_EMPTY_CHANNEL_MS) || undefined,
+  idleMs: Number(process.env.AGENT_IDLE_MS) || undefined
+});
+
+// List the available agent profiles
+app.get("/api/convo-ai/profiles", (req, res) => {
+  res.json({ profiles: agentProfiles.list() });
+});
+
+// Triage questions for a pet, as the agent profile's prompt asks them
+app.use("/api/questionnaires", createQuestionnairesRouter(questionnaires));
+
 // Proxy: start Convo AI (server calls Agora so browser doesn't need credentials)
+// Body: { channel, uid, profile, variables, bookingId } - the join request is
+// built server-side from the named agent profile. `bookingId` ties the agent's
+// webhook events to a booking. Agents cost money, so a caller without a vet
+// session must name an existing booking and one of its channels (the call's,
+// or the owner's triage channel). An agent still running for the channel is
+// replaced rather than reported as a conflict, but only if this server started
+// it, and for owners only if it was started for their booking.
+const isBookingChannel = (channel, bookingId) => channel === bookingId || channel === `triage-${bookingId}`;
+
 app.post("/api/convo-ai/start", async (req, res) => {
   try {
-    const appid = process.env.AGORA_APPID;
-    const apiKey = process.env.AGORA_REST_KEY;
-    const apiSecret = process.env.AGORA_REST_SECRET;
-    
-    if (!appid || !apiKey || !apiSecret) {
-      console.error("Missing Agora credentials in .env");
-      return res.status(500).json({ 
-        error: "Server misconfigured: missing Agora credentials" 
-      });
+    const { channel, uid, profile, variables, bookingId } = req.body;
+
+    if (!channel || typeof channel !== "string") {
+      return res.status(400).json({ error: "channel is required" });
+    }
+    if (!agentProfiles.get(profile)) {
+      return res.status(400).json({ error: `Unknown agent profile: ${profile}` });
     }
 
-    // Agora Conversational AI API URL
-    const url = `https://api.agora.io/api/conversational-ai-agent/v2/projects/${appid}/join`;
-    
-    // Create Basic Auth header
-    const basicAuth = Buffer.from(`${apiKey}:${apiSecret}`).toString("base64");
+    const vet = sessions.read(req);
+    const linkedBooking = bookingId && bookingStore.get(String(bookingId)) ? String(bookingId) : null;
+    if (!vet && !(linkedBooking && isBookingChannel(channel, linkedBooking))) {
+      return res.status(401).json({ error: "Vet login or the booking for this channel required" });
+    }
+
+    const requestBody = agentProfiles.buildJoinRequest(profile, {
+      channel,
+      uid,
+      variables,
+      createToken: (tokenUid) => buildRtcToken({ channelName: channel, uid: tokenUid })
+    });
 
     console.log("=== Starting Convo AI ===");
-    console.log("URL:", url);
-    console.log("Request Body:", JSON.stringify(req.body, null, 2));
-
-    // Make request to Agora API using axios
-    const response = await axios.post(url, req.body, {
-      headers: {
-        "Authorization": `Basic ${basicAuth}`,
-        "Content-Type": "application/json"
-      }
+    console.log(`Profile: ${profile}, channel: ${channel}, uid: ${uid}`);
+
+    const data = await agora.startAgent(requestBody, {
+      canReplace: (agentId) => {
+        const session = agentSessions.get(agentId);
+        return Boolean(session) && session.channel === channel && (Boolean(vet) || session.bookingId === linkedBooking);
+      },
+      onReplaced: (agentId) => agentSessions.remove(agentId)
     });
 
-    console.log("Agora Response:", JSON.stringify(response.data, null, 2));
-    return res.json(response.data);
+    console.log("Agora Response:", JSON.stringify(data, null, 2));
+    if (data?.agent_id) {
+      agentEvents.linkAgent(data.agent_id, { bookingId: linkedBooking, channel, profile });
+      agentSessions.register({
+        agentId: data.agent_id,
+        channel,
+        profile,
+        bookingId: linkedBooking,
+        owner: vet ? `vet:${vet.username}` : linkedBooking ? `booking:${linkedBooking}` : "anonymous",
+        // Kept so live updates can add to the prompt rather than replace it
+        systemMessages: requestBody.properties.llm.system_messages
+      });
+    }
+    return res.json(data);
 
   } catch (err) {
-    console.error("Convo AI Start Error:", err.response?.data || err.message);
-    
-    if (err.response) {
-      return res.status(err.response.status).json(err.response.data);
-    }
-    return res.status(500).json({ error: String(err.message) });
+    return sendAgoraError(res, err, "Convo AI Start Error");
   }
 });
 
@@ -97,150 +216,189 @@ app.post("/api/convo-ai/start", async (req, res) => {
 app.post("/api/convo-ai/agents/:agentId/leave", async (req, res) => {
   try {
     const agentId = req.params.agentId;
-    const appid = process.env.AGORA_APPID;
-    const apiKey = process.env.AGORA_REST_KEY;
-    const apiSecret = process.env.AGORA_REST_SECRET;
-    
-    if (!appid || !apiKey || !apiSecret) {
-      return res.status(500).json({ 
-        error: "Server misconfigured: missing Agora credentials" 
-      });
-    }
-
-    const url = `https://api.agora.io/api/conversational-ai-agent/v2/projects/${appid}/agents/${agentId}/leave`;
-    const basicAuth = Buffer.from(`${apiKey}:${apiSecret}`).toString("base64");
 
     console.log("=== Stopping Convo AI ===");
     console.log("Agent ID:", agentId);
 
-    const response = await axios.post(url, {}, {
-      headers: {
-        "Authorization": `Basic ${basicAuth}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    console.log("Agent stopped successfully");
-    return res.json(response.data);
+    await agentSessions.stop(agentId, "stopped by page");
+    return res.json({ agent_id: agentId, stopped: true });
 
   } catch (err) {
-    console.error("Convo AI Leave Error:", err.response?.data || err.message);
-    
-    if (err.response) {
-      return res.status(err.response.status).json(err.response.data);
-    }
-    return res.status(500).json({ error: String(err.message) });
+    return sendAgoraError(res, err, "Convo AI Leave Error");
   }
 });
 
-// Webhook endpoint for Agora Conversational AI events
-app.post("/api/convo-ai/webhook", (req, res) => {
-  console.log("=== Convo AI Webhook Event ===");
-  console.log("Headers:", JSON.stringify(req.headers, null, 2));
-  console.log("Body:", JSON.stringify(req.body, null, 2));
-  
-  // Acknowledge receipt
-  res.status(200).json({ received: true });
+// Keep-alive from the page while its agent is in use; agents that stop
+// sending these are eventually reaped
+app.post("/api/convo-ai/agents/:agentId/heartbeat", (req, res) => {
+  if (!agentSessions.touch(req.params.agentId)) {
+    return res.status(404).json({ error: "Unknown agent" });
+  }
+  res.status(204).end();
 });
 
+// Live controls: interrupt, and speak/update for a supervising vet
+app.use(
+  "/api/convo-ai/agents",
+  createAgentControlRouter({ agora, agentSessions, agentProfiles, requireVet: sessions.requireVet })
+);
+
 // Get agent status
 app.get("/api/convo-ai/agents/:agentId/status", async (req, res) => {
   try {
     const agentId = req.params.agentId;
-    const appid = process.env.AGORA_APPID;
-    const apiKey = process.env.AGORA_REST_KEY;
-    const apiSecret = process.env.AGORA_REST_SECRET;
-    
-    if (!appid || !apiKey || !apiSecret) {
-      return res.status(500).json({ 
-        error: "Server misconfigured: missing Agora credentials" 
-      });
-    }
+    const data = await agora.getAgent(agentId);
 
-    const url = `https://api.agora.io/api/conversational-ai-agent/v2/projects/${appid}/agents/${agentId}`;
-    const basicAuth = Buffer.from(`${apiKey}:${apiSecret}`).toString("base64");
-
-    const response = await axios.get(url, {
-      headers: {
-        "Authorization": `Basic ${basicAuth}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    console.log("Agent Status:", JSON.stringify(response.data, null, 2));
-    return res.json(response.data);
+    console.log("Agent Status:", JSON.stringify(data, null, 2));
+    agentSessions.touch(agentId); // a page polling its agent is still using it
+    return res.json(data);
 
   } catch (err) {
-    console.error("Get Agent Status Error:", err.response?.data || err.message);
-    
-    if (err.response) {
-      return res.status(err.response.status).json(err.response.data);
-    }
-    return res.status(500).json({ error: String(err.message) });
+    return sendAgoraError(res, err, "Get Agent Status Error");
   }
 });
 
-// Proxy: cleanup stale AI agents for a channel
+// Proxy: cleanup stale AI agents for a channel. A signed-in vet stops every
+// agent in the channel: the ones we are tracking and any others Agora reports
+// as running. An owner names their booking ({ bookingId }) and only stops the
+// agents started for it.
 app.post("/api/convo-ai/cleanup/:channelName", async (req, res) => {
   try {
     const channelName = req.params.channelName;
-    const appid = process.env.AGORA_APPID;
-    const apiKey = process.env.AGORA_REST_KEY;
-    const apiSecret = process.env.AGORA_REST_SECRET;
-    
-    if (!appid || !apiKey || !apiSecret) {
-      return res.status(500).json({ 
-        error: "Server misconfigured: missing Agora credentials" 
-      });
+    const vet = sessions.read(req);
+    const bookingId = req.body?.bookingId ? String(req.body.bookingId) : null;
+    if (!vet && !(bookingId && bookingStore.get(bookingId))) {
+      return res.status(401).json({ error: "Vet login or booking required" });
     }
-
-    // List all agents and find the one for this channel
-    const listUrl = `https://api.agora.io/api/conversational-ai-agent/v2/projects/${appid}/agents`;
-    const basicAuth = Buffer.from(`${apiKey}:${apiSecret}`).toString("base64");
-
     console.log("=== Cleaning up stale agents for channel:", channelName, "===");
 
-    try {
-      const listResponse = await axios.get(listUrl, {
-        headers: {
-          "Authorization": `Basic ${basicAuth}`,
-          "Content-Type": "application/json"
-        }
-      });
+    const tracked = agentSessions.list({ channel: channelName }).filter((a) => vet || a.bookingId === bookingId);
+    const agentIds = new Set(tracked.map((a) => a.agentId));
+    if (vet) {
+      try {
+        (await agora.listAgents({ channel: channelName })).forEach((a) => agentIds.add(a.agent_id));
+      } catch (err) {
+        console.log("Could not list agents:", err.message);
+      }
+    }
 
-      const agents = listResponse.data.agents || [];
-      const staleAgent = agents.find(a => a.channel === channelName);
-
-      if (staleAgent) {
-        console.log("Found stale agent:", staleAgent.agent_id);
-        const stopUrl = `https://api.agora.io/api/conversational-ai-agent/v2/projects/${appid}/agents/${staleAgent.agent_id}/leave`;
-        
-        await axios.post(stopUrl, {}, {
-          headers: {
-            "Authorization": `Basic ${basicAuth}`,
-            "Content-Type": "application/json"
-          }
-        });
-        
-        console.log("Stale agent stopped successfully");
-        return res.json({ cleaned: true, agent_id: staleAgent.agent_id });
-      } else {
-        console.log("No stale agent found");
-        return res.json({ cleaned: false });
+    // Best-effort: report what was stopped, never fail the page's start flow
+    const stopped = [];
+    for (const agentId of agentIds) {
+      try {
+        await agentSessions.stop(agentId, "channel cleanup");
+        stopped.push(agentId);
+      } catch (err) {
+        console.error("Could not stop agent", agentId + ":", err.message);
       }
-    } catch (err) {
-      // If listing fails, just return success (no agent to clean)
-      console.log("No agents to clean up");
-      return res.json({ cleaned: false });
     }
 
+    if (!stopped.length) console.log("No stale agent found");
+    return res.json({ cleaned: stopped.length > 0, agent_ids: stopped });
   } catch (err) {
-    console.error("Cleanup Error:", err.response?.data || err.message);
-    // Return success even on error - cleanup is best-effort
-    return res.json({ cleaned: false, error: err.message });
+    console.error("Agent cleanup error:", err);
+    return res.status(500).json({ error: "Cleanup failed" });
   }
 });
 
+// ===========================================
+// BOOKINGS (persisted to DATA_DIR/bookings.json) AND LIVE EVENTS
+// ===========================================
+
+const events = createEventHub();
+const vetRoster = createVetRoster({
+  file: path.join(DATA_DIR, "vet-roster.json"),
+  seedFile: path.join(__dirname, "../config/vet-roster.json"),
+});
+const bookingStore = createBookingStore({ file: path.join(DATA_DIR, "bookings.json") });
+app.get("/api/bookings", sessions.requireVet);
+app.use("/api/bookings", createBookingsRouter(bookingStore, { events, roster: vetRoster, readVet: sessions.read }));
+app.use("/api/events", requireVetUnlessBookingScoped, createEventsRouter(events));
+
+// Vet roster, bookable slots, each vet's own availability and calendar feed.
+// Feed URLs are in vets' calendar apps, so their secret outlives restarts.
+const CALENDAR_FEED_SECRET = persistentSecret(process.env, "CALENDAR_FEED_SECRET", path.join(DATA_DIR, "calendar-feed-secret"));
+app.use(
+  "/api/vets",
+  createVetsRouter({ roster: vetRoster, bookingStore, requireVet: sessions.requireVet, feedSecret: CALENDAR_FEED_SECRET }),
+);
+
+// Owner notifications (confirmation, reminder, vet accepted, summary ready),
+// sent through the transports in NOTIFY_TRANSPORTS once the server listens
+const notifier = createNotifier({
+  file: path.join(DATA_DIR, "notifications.json"),
+  templates: createNotificationTemplates({ dir: NOTIFICATION_TEMPLATES_DIR }),
+  transports: transportsFromEnv(process.env, { dataDir: DATA_DIR }),
+  bookingStore,
+  baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`,
+  reminderMinutes: process.env.REMINDER_MINUTES ? Number(process.env.REMINDER_MINUTES) : undefined,
+});
+
+// Cloud Recording of vet calls into RECORDING_BUCKET (e.g. MinIO), started
+// and stopped with the booking's `calling` status once the server listens
+const callRecorder = createCallRecorder({
+  agora,
+  bookingStore,
+  events,
+  storage: recordingStorageFromEnv(process.env),
+  createToken: (channelName, uid) => buildRtcToken({ channelName, uid, expireSeconds: RECORDER_TOKEN_SECONDS }),
+});
+if (!callRecorder.isEnabled()) {
+  console.warn("RECORDING_BUCKET or Agora REST credentials not set - calls are recorded in the owner's browser");
+}
+app.use("/api/recordings", sessions.requireVet, createRecordingsRouter({ recorder: callRecorder }));
+
+// Call recordings from the owner's browser: resumable chunked uploads into
+// DATA_DIR/call-audio, transcribed by background jobs the waiting room polls
+const callAudioUploads = createCallAudioUploads({
+  file: path.join(DATA_DIR, "call-audio-uploads.json"),
+  dir: path.join(DATA_DIR, "call-audio"),
+  maxBytes: process.env.CALL_AUDIO_MAX_MB ? Number(process.env.CALL_AUDIO_MAX_MB) * 1024 * 1024 : undefined,
+  maxPendingBytes: process.env.CALL_AUDIO_MAX_PENDING_MB ? Number(process.env.CALL_AUDIO_MAX_PENDING_MB) * 1024 * 1024 : undefined,
+});
+const transcriptionJobs = createTranscriptionJobs({
+  file: path.join(DATA_DIR, "transcription-jobs.json"),
+  uploads: callAudioUploads,
+  bookingStore,
+  events,
+  transcribe: (audio) => transcribeAudio(sttConfig, audio),
+});
+app.use("/api/call-audio", createCallAudioRouter({ uploads: callAudioUploads, jobs: transcriptionJobs, bookingStore }));
+
+// SOAP clinical notes, drafted from the call by the call analysis LLM and
+// signed off by the vet
+const soapNotes = createSoapNotes({ bookingStore, events, llm: llmConfigFromEnv("CALL_ANALYSIS_LLM") });
+app.use("/api/soap-notes", sessions.requireVet, createSoapNotesRouter({ soapNotes }));
+
+// Owner answers checked for emergency symptoms while the triage is running
+app.use("/api/red-flags", createRedFlagsRouter({ bookingStore, events, readVet: sessions.read }));
+
+// Convo AI notifications (set the webhook URL and secret in Agora Console)
+const AGORA_WEBHOOK_SECRET = process.env.AGORA_WEBHOOK_SECRET || "";
+const AGORA_WEBHOOK_ALLOW_UNSIGNED = process.env.AGORA_WEBHOOK_ALLOW_UNSIGNED === "true";
+if (!AGORA_WEBHOOK_SECRET) {
+  console.warn(
+    AGORA_WEBHOOK_ALLOW_UNSIGNED
+      ? "AGORA_WEBHOOK_SECRET not set - accepting unsigned Convo AI notifications (AGORA_WEBHOOK_ALLOW_UNSIGNED)"
+      : "AGORA_WEBHOOK_SECRET not set - Convo AI notifications are refused"
+  );
+}
+app.use(
+  "/api/convo-ai/webhook",
+  createAgentWebhookRouter({
+    secret: AGORA_WEBHOOK_SECRET,
+    allowUnsigned: AGORA_WEBHOOK_ALLOW_UNSIGNED,
+    store: agentEvents,
+    bookingStore,
+    agentSessions,
+    events
+  })
+);
+app.use("/api/agent-events", requireVetUnlessBookingScoped, createAgentEventsRouter(agentEvents));
+
+// List and stop running agents (admin vets only)
+app.use("/api/admin/agents", sessions.requireAdmin, createAgentAdminRouter(agentSessions));
+
 // ===========================================
 // TOKEN GENERATION API
 // ===========================================
@@ -249,35 +407,16 @@ app.post("/api/convo-ai/cleanup/:channelName", async (req, res) => {
 app.get("/api/token", (req, res) => {
   const { channelName, uid, role } = req.query;
   
-  const appId = process.env.AGORA_APPID;
-  const appCertificate = process.env.AGORA_APPCERTIFICATE;
-  
-  if (!appId || !appCertificate) {
-    return res.status(500).json({ error: "Missing Agora credentials" });
-  }
-  
   if (!channelName) {
     return res.status(400).json({ error: "channelName is required" });
   }
   
-  const userUid = parseInt(uid) || 0;
-  const tokenRole = role === "subscriber" ? RtcRole.SUBSCRIBER : RtcRole.PUBLISHER;
-  
-  // Token expires in 1 hour
-  const expirationTimeInSeconds = 3600;
-  const currentTimestamp = Math.floor(Date.now() / 1000);
-  const privilegeExpiredTs = currentTimestamp + expirationTimeInSeconds;
-  
-  const token = RtcTokenBuilder.buildTokenWithUid(
-    appId,
-    appCertificate,
-    channelName,
-    userUid,
-    tokenRole,
-    privilegeExpiredTs
-  );
+  const token = buildRtcToken({ channelName, uid, role });
+  if (!token) {
+    return res.status(500).json({ error: "Missing Agora credentials" });
+  }
   
-  console.log("Generated token for channel:", channelName, "uid:", userUid);
+  console.log("Generated token for channel:", channelName, "uid:", parseInt(uid) || 0);
   
   res.json({ token });
 });
@@ -313,7 +452,7 @@ app.post("/api/vet-calls/request", (req, res) => {
 });
 
 // Get pending calls (for vet dashboard)
-app.get("/api/vet-calls/pending", (req, res) => {
+app.get("/api/vet-calls/pending", sessions.requireVet, (req, res) => {
   const pending = [];
   vetCallQueue.forEach((call, channelName) => {
     if (call.status === "pending") {
@@ -327,10 +466,15 @@ app.get("/api/vet-calls/pending", (req, res) => {
     }
   });
 
-  // Sort by request time (oldest first)
-  pending.sort((a, b) => a.requestTime - b.requestTime);
+  // Highest priority first (urgency, wait time, pet risk factors); each call
+  // gets its `priority` score and reason
+  const calls = prioritize(pending, (call) => ({
+    urgencyLevel: call.triageSummary?.urgencyLevel,
+    waitingSince: call.requestTime,
+    petInfo: call.petInfo
+  }));
 
-  res.json({ calls: pending });
+  res.json({ calls });
 });
 
 // Check call status (for user to know if vet joined)
@@ -349,7 +493,7 @@ app.get("/api/vet-calls/status/:channelName", (req, res) => {
 });
 
 // Accept a call (vet accepts from dashboard)
-app.post("/api/vet-calls/accept/:channelName", (req, res) => {
+app.post("/api/vet-calls/accept/:channelName", sessions.requireVet, (req, res) => {
   const call = vetCallQueue.get(req.params.channelName);
   
   if (!call) {
@@ -359,8 +503,9 @@ app.post("/api/vet-calls/accept/:channelName", (req, res) => {
   call.status = "accepted";
   call.vetJoined = true;
   call.acceptedAt = Date.now();
-  
-  console.log("Call accepted:", req.params.channelName);
+  call.acceptedBy = req.vet.username;
+
+  console.log("Call accepted:", req.params.channelName, "by", req.vet.username);
   res.json({ success: true, channelName: req.params.channelName });
 });
 
@@ -417,178 +562,28 @@ app.post("/api/openai-tts", async (req, res) => {
   }
 });
 
-// AI Triage Analysis endpoint
-app.post("/api/analyze-triage", async (req, res) => {
-  // Always return static summary about Max the dog for demo purposes
-  console.log('Returning static triage summary for Max');
-  
-  res.json({
-    urgencyLevel: 'Medium',
-    urgencyReason: 'Based on 3 days of appetite loss and decreased activity',
-    keyFindings: ['Max has not eaten for 3 days', 'Decreased activity and lethargy observed', '5-year-old dog showing concerning symptoms'],
-    recommendations: ['Veterinary examination within 24-48 hours', 'Monitor hydration status closely', 'Consider appetite stimulants or nutritional support'],
-    followUpActions: ['Schedule veterinary appointment immediately', 'Keep detailed log of eating attempts', 'Monitor for additional symptoms'],
-    spokenSummary: 'Based on the information about Max, a 3-day loss of appetite combined with decreased activity requires prompt veterinary attention to rule out underlying conditions and prevent dehydration.'
-  });
-// ===========================================
-// CALL ANALYSIS AND TRANSCRIPTION APIs
 // ===========================================
 
-// Transcribe call audio to text
-app.post('/api/transcribe-call', async (req, res) => {
-  try {
-    const { audioBase64 } = req.body;
-    
-    if (!audioBase64) {
-      return res.status(400).json({ error: 'Audio data required' });
-    }
-    
-    console.log('Transcribing call audio...');
-    
-    // Convert base64 to buffer
-    const audioBuffer = Buffer.from(audioBase64, 'base64');
-    
-    // Create FormData for OpenAI Whisper API
-    const FormData = require('form-data');
-    const formData = new FormData();
-    formData.append('file', audioBuffer, {
-      filename: 'call.webm',
-      contentType: 'audio/webm'
-    });
-    formData.append('model', 'whisper-1');
-    formData.append('response_format', 'json');
-    
-    const fetch = require('node-fetch');
-    const transcriptionResponse = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
-    
-    const transcriptionResult = await transcriptionResponse.json();
-    
-    if (!transcriptionResponse.ok) {
-      throw new Error(transcriptionResult.error?.message || 'Transcription failed');
-    }
-    
-    const transcript = transcriptionResult.text || '';
-    console.log('Call transcription completed:', transcript.substring(0, 100) + '...');
-    
-    res.json({
-      success: true,
-      transcript: transcript,
-      duration: audioBuffer.length,
-      wordCount: transcript.split(' ').length
-    });
-    
-  } catch (error) {
-    console.error('Call transcription error:', error.message);
-    res.status(500).json({
-      error: 'Failed to transcribe call',
-      details: error.message
-    });
-  }
-});
+// Only listen when run directly; tests require the app and start their own server
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    const actualPort = server.address().port;
+    console.log(`\n=======================================`);
+    console.log(`🚀 Server running at http://localhost:${actualPort}`);
+    console.log(`=======================================`);
+    console.log(`\n📋 Available Routes:`);
+    console.log(`   VetAI Triage:    http://localhost:${actualPort}/vet/index.html`);
+    console.log(`   Basic Video:     http://localhost:${actualPort}/example/basic/basicVideoCall/index.html`);
+    console.log(`   Config API:      http://localhost:${actualPort}/config`);
+    console.log(`\n=======================================\n`);
+  });
 
-// Analyze call transcript with AI
-app.post('/api/analyze-call', async (req, res) => {
-  try {
-    const { transcript, petInfo, triageSummary } = req.body;
-    
-    if (!transcript) {
-      return res.status(400).json({ error: 'Transcript required' });
-    }
-    
-    console.log('Analyzing call with AI...');
-    
-    const analysisPrompt = `You are a veterinary AI assistant analyzing a call between a pet owner and veterinarian. 
-
-PET INFORMATION:
-${JSON.stringify(petInfo || {}, null, 2)}
-
-PREVIOUS TRIAGE SUMMARY:
-${JSON.stringify(triageSummary || {}, null, 2)}
-
-CALL TRANSCRIPT:
-${transcript}
-
-Please provide a comprehensive analysis in JSON format with these fields:
-- callSummary: Brief overview of the call discussion
-- vetDiagnosis: Veterinarian's diagnosis or assessment
-- treatmentPlan: Recommended treatment plan
-- medicationsDiscussed: Any medications mentioned
-- followUpInstructions: Follow-up care instructions
-- urgencyLevel: High/Medium/Low based on discussion
-- keyPoints: Array of important discussion points
-- ownerQuestions: Questions asked by the pet owner
-- vetRecommendations: Specific recommendations from the vet
-- nextSteps: What the owner should do next
-- estimatedCost: If mentioned, treatment cost estimates
-- readableNotes: Human-readable summary for easy reading
-
-Respond with valid JSON only.`;
-    
-    const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-      model: 'llama-3.3-70b-versatile',
-      messages: [
-        { role: 'system', content: 'You are a veterinary AI assistant specialized in analyzing veterinary consultations.' },
-        { role: 'user', content: analysisPrompt }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    let analysis;
-    try {
-      analysis = JSON.parse(response.data.choices[0].message.content);
-    } catch (parseError) {
-      console.log('JSON parse failed, using fallback analysis');
-      analysis = {
-        callSummary: 'Call analysis completed',
-        vetDiagnosis: 'Please refer to the call recording for detailed diagnosis',
-        treatmentPlan: 'Follow veterinarian instructions as discussed',
-        urgencyLevel: 'Medium',
-        keyPoints: ['Professional veterinary consultation completed'],
-        readableNotes: 'Call analysis is being processed. Please refer to the consultation notes provided by your veterinarian.'
-      };
-    }
-    
-    console.log('Call analysis completed successfully');
-    res.json(analysis);
-    
-  } catch (error) {
-    console.error('Call analysis error:', error.response?.data || error.message);
-    
-    // Fallback response
-    res.json({
-      callSummary: 'Professional veterinary consultation completed',
-      vetDiagnosis: 'Analysis system temporarily unavailable',
-      treatmentPlan: 'Follow instructions provided during the call',
-      urgencyLevel: 'Medium',
-      keyPoints: ['Call recording available for review'],
-      readableNotes: 'Your consultation has been completed. Please refer to any notes or instructions provided by your veterinarian during the call.'
-    });
+  if (process.env.AGORA_APPID && process.env.AGORA_REST_KEY && process.env.AGORA_REST_SECRET) {
+    agentSessions.startReaper();
   }
-});
-
-// ===========================================
+  notifier.start(events);
+  callRecorder.listen();
+  transcriptionJobs.start();
+}
 
-const server = app.listen(PORT, () => {
-  const actualPort = server.address().port;
-  console.log(`\n=======================================`);
-  console.log(`🚀 Server running at http://localhost:${actualPort}`);
-  console.log(`=======================================`);
-  console.log(`\n📋 Available Routes:`);
-  console.log(`   VetAI Triage:    http://localhost:${actualPort}/vet/index.html`);
-  console.log(`   Basic Video:     http://localhost:${actualPort}/example/basic/basicVideoCall/index.html`);
-  console.log(`   Config API:      http://localhost:${actualPort}/config`);
-  console.log(`\n=======================================\n`);
-});
+module.exports = app;
@@ -14,17 +14,13 @@ var remoteUsers = {};
 var options = {};
 var curVideoProfile;
 var agoraConvoTaskID = "";
+var agentHeartbeat = null;
 
-// All keys
-// WARNING: Testing purposes only. Do NOT expose your RESTful API Key and Secret in production environment.
+// Agora settings. LLM, TTS and avatar keys stay on the server, which builds
+// the agent from a named profile (scripts/lib/agent-profiles.js).
+const AGENT_PROFILE = "basic-demo";
 let agora_AppID = null;
 let agora_Token = null; // 
-let llm_Aws_Bedrock_Key = null;
-let tts_Minimax_Key = null;
-let tts_Minimax_GroupID = null;
-let avatar_Akool_Key = null;
-let openai_Key = null;
-let groq_Key = null;
 
 // load safe config from server endpoint
 async function loadClientConfig() {
@@ -36,13 +32,6 @@ async function loadClientConfig() {
     agora_Token = cfg.AGORA_TOKEN || null;
     // only set safe values client-side; do not set secrets here
     if (agora_AppID) options.appid = agora_AppID;
-    llm_Aws_Bedrock_Key = cfg.LLM_AWS_BEDROCK_KEY || null;
-    openai_Key = cfg.OPENAI_KEY || null;
-    groq_Key = cfg.GROQ_KEY || null;
-
-    tts_Minimax_Key = cfg.TTS_MINIMAX_KEY || null;
-    tts_Minimax_GroupID = cfg.TTS_MINIMAX_GROUPID || null;
-    avatar_Akool_Key = cfg.AVATAR_AKOOL_KEY || null;
 
     options.token = cfg.AGORA_TOKEN || null;
    
@@ -397,85 +386,11 @@ $("#start-convo-ai").click(async function (e) {
     if (!client || !options.channel)
       return message.error("Please join the channel first!");
 
-    // Build request data according to documentation
+    // The server assembles the agent (LLM, TTS, avatar) from the profile
     const requestData = {
-      name: options.channel,
-      properties: {
-        channel: options.channel, // Agora Channel
-        // token: agora_Token, // Agora token for ConvoAI Agent, not needed if app certificate is disabled
-        agent_rtc_uid: "10001", // AI agent user ID
-        remote_rtc_uids: ["10000"], // List of remote user IDs to subscribe, use * to subscribe all users
-        idle_timeout: 30, // Idle timeout in seconds
-        //enable_string_uid: false, // Whether to enable string UID
-        advanced_features: {
-          enable_aivad: true, // Enable intelligent interruption handling
-          enable_mllm: false, // Enable multimodal large language model
-          enable_rtm: false, // Enable signaling service
-        },
-        asr: {
-          language: "en-US", // ASR language, e.g., "en-US", "ja-JP", "zh-CN"
-          //vendor: "ares", // ASR vendor
-        },
-        llm: {
-          url: "https://api.groq.com/openai/v1/chat/completions",
-          api_key: groq_Key,
-          system_messages: [
-            {
-              role: "system",
-              content:
-                "You are a helpful chat bot. Keep answers short and concise. Only output plain text responses, without any markdown, HTML tags, or emojis. Do not include any formatting symbols. This is a voice-to-voice service.", // Write your system prompt here (e.g. you are a tour guide, you are a math teacher, etc.)
-            },
-          ],
-          greeting_message: "Hello, how are you?", // Do NOT set any greeting message
-          failure_message: "Sorry, technical issues prevent me from responding right now.",
-          //ignore_empty: true, // Whether to ignore empty user messages
-          params: {
-            model: "llama-3.3-70b-versatile"
-          }
-        },
-        tts: {
-          vendor: "minimax",
-          params: {
-            url: "wss://api.minimax.io/ws/v1/t2a_v2", // Minimax TTS WebSocket URL
-            group_id: tts_Minimax_GroupID, // Minimax group ID, refer to https://www.minimax.io/platform/user-center/basic-information
-            key: tts_Minimax_Key, // Minimax TTS key, refer to https://www.minimax.io/platform/user-center/basic-information
-            model: "speech-2.6-turbo",
-            voice_setting: {
-              voice_id: "English_Lively_Male_11", // Select a voice you want https://www.minimax.io/audio/voices
-              speed: 1,
-              vol: 1,
-              pitch: 0,
-              emotion: "happy",
-            },
-            audio_setting: {
-              sample_rate: 16000,
-            },
-          },
-          skip_patterns: [3, 4], // Skip content in parentheses and square brackets
-        },
-        avatar: {
-          vendor: "akool",
-          enable: true,
-          params: {
-            api_key: avatar_Akool_Key,
-            agora_uid: "10002",
-            // agora_token: agora_Token,
-            // agora_token: "avatar_rtc_token", // Optional: if Agora app certificate is enabled in the project, provide the token for the avatar here
-            //avatar_id: "dvp_Sean_agora", // Available Avatar IDs: dvp_Sean_agora, dvp_Alinna_emotionsit_agora, dvp_Emma_agora, dvp_Dave_agora
-            //avater_id: "water_animate_v2",
-            avatar_id: "dvp_Sean_agora",
-          },
-        },
-        parameters: { 
-        //   data_channel: "rtm", // Agent data transmission through RTM channel or RTC data stream
-        //   enable_error_messages: false  // Whether to enable error messages from the agent
-        "silence_config" : {
-                  "timeout_ms": 10000,
-                  "action": "think",
-                  "content": "continue conversation"
-              } 
-        }
-      },
+      channel: options.channel, // Agora Channel
+      uid: options.uid || 10000, // Remote user the agent listens to
+      profile: AGENT_PROFILE,
     };
 
     message.info("Starting Agora Convo AI (via server proxy)...");
@@ -492,6 +407,12 @@ $("#start-convo-ai").click(async function (e) {
 
     const responseData = await response.json();
     agoraConvoTaskID = responseData.agent_id;
+    // Keep-alive so the server's reaper doesn't stop the agent as idle
+    agentHeartbeat = setInterval(() => {
+      fetch(`/api/convo-ai/agents/${agoraConvoTaskID}/heartbeat`, {
+        method: "POST",
+      }).catch(() => {});
+    }, 30000);
     // try { localStorage.setItem("agoraConvoAgentId", agoraConvoTaskID); } catch (e){}
 
     message.success("Agora Convo AI started successfully!");
@@ -524,6 +445,7 @@ async function stopAgoraConvoAI() {
 
     message.success("Agora Convo AI stopped successfully.");
     console.log("stopAgoraConvoAI success");
+    clearInterval(agentHeartbeat);
     agoraConvoTaskID = "";
     //localStorage.removeItem("agoraConvoAgentId");
     $("#start-convo-ai").attr("disabled", false);
@@ -0,0 +1,112 @@
+/**
+ * VetAI Triage - Bookings API client
+ * Shared by the owner and vet pages to read and update bookings on the server
+ */
+
+const VetBookings = (() => {
+  const BASE_URL = '/api/bookings';
+  const MAX_CONFLICT_RETRIES = 3;
+  const STATUSES = ['pending', 'accepted', 'declined', 'triaged', 'calling', 'awaiting-summary', 'summary-ready', 'cancelled'];
+  const EVENT_TYPES = ['booking.created', 'booking.updated', 'booking.emergency', 'booking.recording', ...STATUSES.map(s => `booking.${s}`)];
+
+  async function request(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body.error || res.statusText);
+      err.status = res.status;
+      err.body = body;
+      throw err;
+    }
+    return body;
+  }
+
+  /**
+   * List bookings, optionally filtered by status (string or array) and vetId.
+   * `sort: 'priority'` orders them for the vet queue, each with its `priority`
+   */
+  async function list(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.status) params.set('status', [].concat(filters.status).join(','));
+    if (filters.vetId) params.set('vetId', filters.vetId);
+    if (filters.sort) params.set('sort', filters.sort);
+    const query = params.toString();
+    const data = await request(query ? `${BASE_URL}?${query}` : BASE_URL);
+    return data.bookings || [];
+  }
+
+  /**
+   * Get a booking by ID, resolving to null when it doesn't exist
+   */
+  async function get(id) {
+    if (!id) return null;
+    try {
+      return await request(`${BASE_URL}/${encodeURIComponent(id)}`);
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Create a booking and return it with its server-assigned ID
+   */
+  async function create(data) {
+    return request(BASE_URL, { method: 'POST', body: JSON.stringify(data) });
+  }
+
+  /**
+   * Apply changes to a booking. `changes` may be an object or a function of
+   * the current booking; on a version conflict it is re-applied to the fresh
+   * copy returned by the server.
+   */
+  async function update(id, changes) {
+    let booking = await get(id);
+    if (!booking) return null;
+
+    for (let attempt = 0; ; attempt++) {
+      const patch = typeof changes === 'function' ? changes(booking) : changes;
+      try {
+        return await request(`${BASE_URL}/${encodeURIComponent(id)}`, {
+          method: 'PATCH',
+          headers: { 'If-Match': `"${booking.version}"` },
+          body: JSON.stringify(patch)
+        });
+      } catch (err) {
+        if (err.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) throw err;
+        booking = err.body.booking;
+      }
+    }
+  }
+
+  /**
+   * Move a booking to a new status
+   */
+  async function setStatus(id, status) {
+    return update(id, { status });
+  }
+
+  /**
+   * Listen for live booking changes pushed by the server. Pass a bookingId to
+   * only hear about one booking. Returns a function that closes the stream.
+   */
+  function subscribe(filters, onEvent) {
+    const query = filters && filters.bookingId ? `?bookingId=${encodeURIComponent(filters.bookingId)}` : '';
+    const source = new EventSource(`/api/events${query}`);
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, e => {
+        try {
+          onEvent(type, JSON.parse(e.data));
+        } catch (err) {
+          console.error('Bad booking event:', err);
+        }
+      });
+    });
+    return () => source.close();
+  }
+
+  return { list, get, create, update, setStatus, subscribe };
+})();
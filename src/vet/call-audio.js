@@ -0,0 +1,216 @@
+/**
+ * VetAI Triage - Call audio upload client
+ * Keeps the browser's call recordings (one per speaker) in IndexedDB until
+ * they have been uploaded in checksummed chunks (resuming where they stopped
+ * after a reload), then follows the server's transcription jobs.
+ */
+
+const VetCallAudio = (() => {
+  const BASE_URL = '/api/call-audio';
+  const DB_NAME = 'vetai-call-audio';
+  const STORE = 'recordings';
+  const CHUNK_BYTES = 2 * 1024 * 1024;
+  const MAX_CHUNK_RETRIES = 5;
+  const POLL_MS = 2000;
+
+  async function request(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body.error || res.statusText);
+      err.status = res.status;
+      err.body = body;
+      throw err;
+    }
+    return body;
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'bookingId' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = action(tx.objectStore(STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+  }
+
+  async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  const uploadKey = part => `vetai_call_upload_${part.id}`;
+
+  /**
+   * Keep the recordings of a finished call until they have been uploaded.
+   * `parts` are { blob, speaker, callStartedAt, offsetMs }: whose side of the
+   * call each holds and how far into the call it starts.
+   */
+  async function saveRecording(bookingId, parts) {
+    const pending = await getRecording(bookingId);
+    const added = parts.map(part => ({ ...part, id: `${bookingId}_${part.callStartedAt}_${part.speaker}_${part.offsetMs}` }));
+    return withStore('readwrite', store => store.put({ bookingId, parts: [...pending, ...added], savedAt: Date.now() }));
+  }
+
+  // Recordings for `bookingId` that still have to be uploaded
+  async function getRecording(bookingId) {
+    const entry = await withStore('readonly', store => store.get(bookingId));
+    return entry ? entry.parts : [];
+  }
+
+  async function forgetPart(bookingId, partId) {
+    const parts = (await getRecording(bookingId)).filter(p => p.id !== partId);
+    return withStore('readwrite', store => parts.length ? store.put({ bookingId, parts, savedAt: Date.now() }) : store.delete(bookingId));
+  }
+
+  // The server's record of a part's upload, or a new one
+  async function findOrCreateUpload(bookingId, part) {
+    const { blob } = part;
+    const existing = localStorage.getItem(uploadKey(part));
+    if (existing) {
+      try {
+        return (await request(`${BASE_URL}/uploads/${encodeURIComponent(existing)}`)).upload;
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+    }
+    const { upload } = await request(`${BASE_URL}/uploads`, {
+      method: 'POST',
+      body: JSON.stringify({
+        bookingId,
+        fileName: `call-${part.speaker}.webm`,
+        contentType: blob.type || 'audio/webm',
+        size: blob.size,
+        sha256: await sha256Hex(await blob.arrayBuffer()),
+        speaker: part.speaker,
+        callStartedAt: part.callStartedAt,
+        offsetMs: part.offsetMs
+      })
+    });
+    localStorage.setItem(uploadKey(part), upload.id);
+    return upload;
+  }
+
+  async function sendChunks(upload, blob, onProgress) {
+    let offset = upload.offset;
+    let failures = 0;
+    while (offset < upload.size) {
+      const chunk = await blob.slice(offset, offset + CHUNK_BYTES).arrayBuffer();
+      try {
+        const res = await request(`${BASE_URL}/uploads/${encodeURIComponent(upload.id)}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Upload-Offset': String(offset),
+            'X-Chunk-SHA256': await sha256Hex(chunk)
+          },
+          body: chunk
+        });
+        offset = res.upload.offset;
+        failures = 0;
+        if (onProgress) onProgress({ stage: 'uploading', progress: offset / upload.size });
+      } catch (err) {
+        // Out of step with the server: carry on from where it is
+        if (err.status === 409 && typeof err.body.offset === 'number') {
+          offset = err.body.offset;
+          continue;
+        }
+        if (err.status && err.status < 500 && err.status !== 400) throw err;
+        if (++failures > MAX_CHUNK_RETRIES) throw err;
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+      }
+    }
+  }
+
+  // Upload one recording and resolve to its transcription job
+  async function uploadPart(bookingId, part, onProgress) {
+    for (let attempt = 0; ; attempt++) {
+      const current = await findOrCreateUpload(bookingId, part);
+      if (current.status !== 'complete') await sendChunks(current, part.blob, onProgress);
+      try {
+        const { job } = await request(`${BASE_URL}/uploads/${encodeURIComponent(current.id)}/complete`, { method: 'POST' });
+        localStorage.removeItem(uploadKey(part));
+        await forgetPart(bookingId, part.id);
+        return job;
+      } catch (err) {
+        // The assembled file didn't match: the server starts it over once
+        if (err.body?.code !== 'CHECKSUM_MISMATCH' || attempt > 0) throw err;
+      }
+    }
+  }
+
+  /**
+   * Upload the stored recordings for `bookingId` and resolve to their
+   * transcription jobs (empty when there was nothing to upload).
+   * `onProgress({ stage: 'uploading', progress })` reports the bytes sent.
+   */
+  async function upload(bookingId, { onProgress } = {}) {
+    const parts = await getRecording(bookingId);
+    const total = parts.reduce((sum, p) => sum + p.blob.size, 0);
+    let done = 0;
+    const jobs = [];
+    for (const part of parts) {
+      jobs.push(await uploadPart(bookingId, part, onProgress && (({ progress }) =>
+        onProgress({ stage: 'uploading', progress: (done + progress * part.blob.size) / total }))));
+      done += part.blob.size;
+    }
+    return jobs;
+  }
+
+  /**
+   * Every transcription job started for `bookingId`, newest first
+   */
+  async function getJobs(bookingId) {
+    return (await request(`${BASE_URL}/jobs?bookingId=${encodeURIComponent(bookingId)}`)).jobs || [];
+  }
+
+  /**
+   * Poll a transcription job until it is done or failed, calling
+   * `onProgress(job)` on every update. Resolves to the finished job.
+   */
+  async function waitForJob(jobId, { onProgress } = {}) {
+    for (;;) {
+      const { job } = await request(`${BASE_URL}/jobs/${encodeURIComponent(jobId)}`);
+      if (onProgress) onProgress(job);
+      if (job.status === 'done' || job.status === 'failed') return job;
+      await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    }
+  }
+
+  /**
+   * Poll several jobs until all are done or failed; `onProgress(jobs)` gets
+   * the latest state of all of them
+   */
+  async function waitForJobs(jobs, { onProgress } = {}) {
+    const latest = jobs.slice();
+    await Promise.all(jobs.map((job, i) => waitForJob(job.id, {
+      onProgress: j => {
+        latest[i] = j;
+        if (onProgress) onProgress(latest);
+      }
+    })));
+    return latest;
+  }
+
+  /**
+   * URL of an uploaded recording, for an <audio> element
+   */
+  function audioUrl(uploadId) {
+    return `${BASE_URL}/uploads/${encodeURIComponent(uploadId)}/audio`;
+  }
+
+  return { saveRecording, getRecording, upload, getJobs, waitForJob, waitForJobs, audioUrl };
+})();
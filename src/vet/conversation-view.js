@@ -0,0 +1,78 @@
+/**
+ * VetAI Triage - Consultation conversation view
+ * Renders a call's speaker-labelled transcript (booking.conversation) as a
+ * conversation; each turn's time plays the recording from that point
+ */
+
+const VetConversationView = (() => {
+  const SPEAKER_LABELS = { owner: 'Owner', vet: 'Vet' };
+
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const mins = Math.floor(total / 60).toString().padStart(2, '0');
+    const secs = (total % 60).toString().padStart(2, '0');
+    return `${mins}:${secs}`;
+  }
+
+  /**
+   * Render into `container`. Returns { render(turns) } to redraw it when the
+   * booking changes; playback carries on across redraws.
+   */
+  function create(container) {
+    const list = document.createElement('ol');
+    list.className = 'vet-conversation';
+    const player = document.createElement('audio');
+    player.className = 'vet-conversation-player';
+    player.controls = true;
+    player.preload = 'none';
+    player.style.display = 'none';
+    container.append(list, player);
+
+    function play(turn) {
+      const src = VetCallAudio.audioUrl(turn.uploadId);
+      if (player.getAttribute('src') !== src) player.src = src;
+      player.style.display = 'block';
+      const seek = () => {
+        player.currentTime = turn.audioStart;
+        player.play().catch(err => console.error('Could not play recording:', err));
+      };
+      if (player.readyState >= 1) seek();
+      else player.addEventListener('loadedmetadata', seek, { once: true });
+    }
+
+    function render(turns) {
+      list.replaceChildren(...(turns || []).map(turn => {
+        const item = document.createElement('li');
+        item.className = `vet-conversation-turn vet-conversation-${turn.speaker || 'unknown'}`;
+
+        const time = document.createElement('button');
+        time.type = 'button';
+        time.className = 'vet-conversation-time';
+        time.textContent = formatTime(turn.start);
+        time.title = 'Play from here';
+        time.addEventListener('click', () => play(turn));
+
+        const speaker = document.createElement('strong');
+        speaker.className = 'vet-conversation-speaker';
+        speaker.textContent = SPEAKER_LABELS[turn.speaker] || 'Speaker';
+
+        const text = document.createElement('span');
+        text.textContent = turn.text;
+
+        item.append(time, speaker, text);
+        return item;
+      }));
+    }
+
+    return { render };
+  }
+
+  /**
+   * "Owner: ...\nVet: ..." for prompts
+   */
+  function toText(turns) {
+    return (turns || []).map(t => `${SPEAKER_LABELS[t.speaker] || 'Speaker'}: ${t.text}`).join('\n');
+  }
+
+  return { create, toText, formatTime };
+})();
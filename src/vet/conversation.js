@@ -19,16 +19,21 @@ let remoteUsers = {};
 let isVideoEnabled = true;
 let options = {};
 let agoraConvoTaskID = "";
+let agentHeartbeat = null;
+let supervisingVet = null; // Signed-in vet, who gets the supervisor panel
 let isMuted = false;
 let conversationStartTime = null;
 let conversationNotes = []; // Store key points from conversation
-
-// API Keys (loaded from server)
+let emergency = null; // Red flags that stopped the triage, once one is mentioned
+let currentTTS = null; // { stop } for the questionnaire clip playing now
+const triageTranscript = VetTranscript.createCollector(); // Agent transcription turns and per-question answers
+
+// Agora settings (loaded from server; vendor keys never leave the server)
+const AGENT_PROFILE = "vet-triage";
+const TRIAGE_QUESTIONNAIRE = "vet-triage"; // config/questionnaires, also used by the agent profile's prompt
+const AGENT_HEARTBEAT_MS = 30000; // The server reaps agents that go quiet
 let agora_AppID = null;
 let agora_Token = null;
-let groq_Key = null;
-let tts_Minimax_Key = null;
-let tts_Minimax_GroupID = null;
 
 // DOM Elements
 const petAvatar = document.getElementById('pet-avatar');
@@ -154,9 +159,6 @@ async function loadClientConfig() {
     const cfg = await res.json();
     
     agora_AppID = cfg.AGORA_APPID || null;
-    groq_Key = cfg.GROQ_KEY || null;
-    tts_Minimax_Key = cfg.TTS_MINIMAX_KEY || null;
-    tts_Minimax_GroupID = cfg.TTS_MINIMAX_GROUPID || null;
     
     if (agora_AppID) {
       options.appid = agora_AppID;
@@ -183,9 +185,10 @@ async function loadClientConfig() {
  * Note: If using a fixed token, the channel name must match what the token was generated for
  */
 function generateChannelName() {
-  // Using a fixed channel name to match the pre-generated token
-  // If you have dynamic token generation, you can use random channel names
-  return "vet-triage";
+  // The server only starts an owner's agent in their own booking's triage
+  // channel; without a booking this needs a vet session
+  const bookingId = sessionStorage.getItem('vetai_active_booking');
+  return bookingId ? `triage-${bookingId}` : "vet-triage";
 }
 
 /**
@@ -242,6 +245,7 @@ async function joinChannel() {
     client.on("user-published", handleUserPublished);
     client.on("user-unpublished", handleUserUnpublished);
     client.on("user-left", handleUserLeft);
+    client.on("stream-message", triageTranscript.handleStreamMessage);
     
     // Generate unique channel name
     options.channel = generateChannelName();
@@ -277,23 +281,17 @@ async function startVetConvoAI() {
       throw new Error("Client not initialized");
     }
     
-    // Build veterinary-specific system prompt
-    const systemPrompt = buildVetSystemPrompt();
-    const greetingMessage = buildGreetingMessage();
-    
-    // Generate token for AI agent (UID 10001)
-    const aiTokenRes = await fetch(`/api/token?channelName=${options.channel}&uid=10001&role=publisher`);
-    const aiTokenData = await aiTokenRes.json();
-    const aiAgentToken = aiTokenData.token;
-    
     // Clean up any existing agent with the same channel name
     console.log("Checking for existing AI agents...");
     try {
+      // Owners may only stop the agents started for their own booking
       const cleanupRes = await fetch(`/api/convo-ai/cleanup/${options.channel}`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" }
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bookingId: sessionStorage.getItem('vetai_active_booking') || undefined })
       });
-      if (cleanupRes.ok) {
+      const cleanup = cleanupRes.ok ? await cleanupRes.json() : {};
+      if (cleanup.cleaned) {
         console.log("Cleaned up existing AI agent");
         // Wait a bit for cleanup to complete
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -302,74 +300,20 @@ async function startVetConvoAI() {
       console.log("No existing agent to clean up");
     }
     
+    // The server builds the agent (prompt, LLM, voice) from the named profile;
+    // only the pet details that personalise the prompt are sent
     const requestData = {
-      name: options.channel,
-      properties: {
-        channel: options.channel,
-        token: aiAgentToken, // AI agent's own token for UID 10001
-        agent_rtc_uid: "10001", // AI agent user ID
-        remote_rtc_uids: ["0"], // Subscribe to user (0 = any auto-assigned UID will be detected)
-        idle_timeout: 120, // 2 minutes idle timeout
-        advanced_features: {
-          enable_aivad: true, // Enable intelligent interruption handling
-          enable_mllm: false,
-          enable_rtm: false,
-        },
-        asr: {
-          language: "en-US",
-        },
-        llm: {
-          url: "https://api.groq.com/openai/v1/chat/completions",
-          api_key: groq_Key,
-          system_messages: [
-            {
-              role: "system",
-              content: systemPrompt,
-            },
-          ],
-          greeting_message: greetingMessage,
-          max_idle_time: 120,
-          enable_greeting: true, // Explicitly enable automatic greeting
-          failure_message: "I'm sorry, I'm having technical difficulties. Please try again or consult a veterinarian directly.",
-          params: {
-            model: "llama-3.3-70b-versatile"
-          }
-        },
-        tts: {
-          vendor: "minimax",
-          params: {
-            url: "wss://api.minimax.io/ws/v1/t2a_v2",
-            group_id: tts_Minimax_GroupID,
-            key: tts_Minimax_Key,
-            model: "speech-2.6-turbo",
-            voice_setting: {
-              voice_id: "English_Calm_Female_8", // Calm, professional voice for medical context
-              speed: 0.95, // Slightly slower for clarity
-              vol: 1,
-              pitch: 0,
-              emotion: "calm",
-            },
-            audio_setting: {
-              sample_rate: 16000,
-            },
-          },
-          skip_patterns: [3, 4],
-        },
-        // Avatar disabled for audio-only mode
-        // When Akool key is fixed, this can be enabled
-        avatar: {
-          vendor: "akool",
-          enable: false, // DISABLED - audio only mode
-          params: {}
-        },
-        parameters: {
-          silence_config: {
-            timeout_ms: 15000, // 15 second silence timeout
-            action: "think",
-            content: "gently prompt user to continue"
-          }
-        }
+      channel: options.channel,
+      uid: USER_UID,
+      profile: AGENT_PROFILE,
+      variables: {
+        petName: petInfo?.name,
+        petType: petInfo?.typeName,
+        petAge: petInfo?.age,
+        species: petInfo?.type
       },
+      // Lets the server file the agent's webhook events under the booking
+      bookingId: sessionStorage.getItem('vetai_active_booking') || undefined
     };
     
     console.log("Starting Vet Convo AI...");
@@ -379,50 +323,17 @@ async function startVetConvoAI() {
       body: JSON.stringify(requestData),
     });
     
+    // The server replaces an agent left running in this channel itself, so a
+    // failure here is final: { error, code, details }
     if (!response.ok) {
-      const err = await response.text();
-      
-      // If 409 conflict, try to stop the existing agent and retry
-      if (response.status === 409) {
-        console.log("Detected conflicting agent, attempting to stop it...");
-        try {
-          const errorData = JSON.parse(err);
-          if (errorData.agent_id) {
-            await fetch(`/api/convo-ai/agents/${errorData.agent_id}/leave`, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" }
-            });
-            console.log("Stopped conflicting agent, retrying in 2 seconds...");
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Retry starting the agent
-            const retryResponse = await fetch("/api/convo-ai/start", {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify(requestData),
-            });
-            
-            if (!retryResponse.ok) {
-              const retryErr = await retryResponse.text();
-              throw new Error(retryErr || retryResponse.statusText);
-            }
-            
-            const retryData = await retryResponse.json();
-            agoraConvoTaskID = retryData.agent_id;
-            conversationStartTime = new Date();
-            console.log("Vet Convo AI started successfully after retry!", retryData);
-            return true;
-          }
-        } catch (retryError) {
-          console.error("Retry failed:", retryError);
-        }
-      }
-      
-      throw new Error(err || response.statusText);
+      const err = await response.json().catch(() => ({}));
+      throw new Error(err.error || response.statusText);
     }
     
     const responseData = await response.json();
     agoraConvoTaskID = responseData.agent_id;
+    startAgentHeartbeat();
+    showAgentControls(true);
     conversationStartTime = new Date();
     
     console.log("Vet Convo AI started successfully!", responseData);
@@ -435,52 +346,50 @@ async function startVetConvoAI() {
 }
 
 /**
- * Build veterinary-specific system prompt
+ * Tell the server the agent is still in use so its reaper leaves it running
  */
-function buildVetSystemPrompt() {
-  const petType = petInfo?.typeName || 'pet';
-  const petName = petInfo?.name || 'your pet';
-  const petAge = petInfo?.age || 'unknown age';
-  
-  return `You are a friendly and professional veterinary AI triage assistant conducting a structured assessment for a ${petType} named ${petName} (age: ${petAge}).
-
-STRUCTURED TRIAGE PROTOCOL:
-You will ask these 5 key questions in order, one at a time, waiting for complete responses:
-
-1. "Let's start with some basic information. Can you tell me ${petName}'s breed and confirm their name for me?"
-2. "Is ${petName} spayed or neutered? This helps me understand certain health risks."
-3. "Does ${petName} have any existing medical conditions or chronic health issues I should know about?"
-4. "Is ${petName} currently taking any medications, supplements, or special treatments?"
-5. "Now, what is the main concern that brought you here today? Can you describe the specific symptoms or behaviors you've noticed with ${petName}?"
-
-CONVERSATION GUIDELINES:
-- Ask ONE question at a time and wait for the complete answer before proceeding
-- After each answer, briefly acknowledge ("Thank you, that's helpful") then move to the next question
-- Keep responses conversational and warm - pet owners are often worried
-- Use simple, clear language - avoid medical jargon
-- Keep responses concise (1-2 sentences max) for voice clarity  
-- Do NOT use markdown, emojis, or special formatting - this is voice-only
-- After all 5 questions, simply say "Thank you for providing that information about ${petName}. Goodbye!" and END the conversation immediately.
-
-IMPORTANT: Do NOT provide any summary, diagnosis, or triage recommendations after the 5 questions. Only say thank you, goodbye, and end the call.
+function startAgentHeartbeat() {
+  stopAgentHeartbeat();
+  agentHeartbeat = setInterval(() => {
+    if (!agoraConvoTaskID) return;
+    fetch(`/api/convo-ai/agents/${agoraConvoTaskID}/heartbeat`, { method: "POST" })
+      .catch(error => console.warn("Agent heartbeat failed:", error));
+  }, AGENT_HEARTBEAT_MS);
+}
 
-Remember: Be empathetic, professional, and focus on gathering clear information through the structured questions. After question 5, only say goodbye - no medical advice or analysis.`;
+function stopAgentHeartbeat() {
+  clearInterval(agentHeartbeat);
+  agentHeartbeat = null;
 }
 
 /**
- * Build greeting message based on pet info
+ * POST to one of the running agent's live controls (interrupt, speak, update)
  */
-function buildGreetingMessage() {
-  const petName = petInfo?.name || 'your pet';
-  const petType = petInfo?.typeName || 'pet';
-  
-  return `Hello! I'm your AI veterinary triage assistant. I'm here to help assess your ${petType}'s health concerns. I'll ask you 5 important questions to better understand the situation. Let's start with some basic information. Can you tell me your pet's breed and confirm their name for me?`;
+async function controlAgent(action, body = {}) {
+  if (!agoraConvoTaskID) {
+    throw new Error("The AI assistant isn't in the call");
+  }
+  const res = await fetch(`/api/convo-ai/agents/${agoraConvoTaskID}/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+function showAgentControls(visible) {
+  document.getElementById('agent-controls').hidden = !visible;
+  document.getElementById('supervisor-panel').hidden = !(visible && supervisingVet);
 }
 
 /**
  * Stop Agora Conversational AI
  */
 async function stopConvoAI() {
+  stopAgentHeartbeat();
+  showAgentControls(false);
   try {
     if (!agoraConvoTaskID) {
       console.log("No active agent to stop");
@@ -629,54 +538,94 @@ async function playWelcomeSequence() {
 }
 
 /**
- * OpenAI TTS-based questioning sequence
+ * Fetch the triage questionnaire as asked for this pet
+ */
+async function loadQuestionnaire() {
+  const params = new URLSearchParams({
+    petName: petInfo?.name || '',
+    petType: petInfo?.typeName || '',
+    petAge: petInfo?.age || '',
+    species: petInfo?.type || ''
+  });
+  const response = await fetch(`/api/questionnaires/${TRIAGE_QUESTIONNAIRE}?${params}`);
+  if (!response.ok) {
+    throw new Error('Could not load the triage questionnaire');
+  }
+  return response.json();
+}
+
+/**
+ * Whether a follow-up question's condition holds: the answer to the earlier
+ * question mentions one of the words, matched at the start of a word
+ */
+function followUpApplies(when, answers) {
+  const answer = answers[when.question] || '';
+  return when.mentions.some(mention => {
+    const escaped = mention.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}`, 'i').test(answer);
+  });
+}
+
+/**
+ * One answer slot per questionnaire question, in order. Follow-ups that
+ * didn't apply are kept as skipped so every booking has the same slots.
+ */
+function buildAnswerSlots(questions, responses) {
+  return questions.map(q => {
+    const answer = responses.find(r => r.questionId === q.id);
+    return {
+      questionId: q.id,
+      question: q.text,
+      followUp: Boolean(q.when),
+      skipped: !answer,
+      response: answer ? answer.response : '',
+      timestamp: answer ? answer.timestamp : null,
+      answeredAt: answer ? answer.answeredAt : null
+    };
+  });
+}
+
+/**
+ * OpenAI TTS-based questioning sequence, driven by the triage questionnaire
  */
 async function startOpenAIQuestioningSequence() {
-  const questions = [
-    "Hello! I'm your AI veterinary triage assistant. I'll ask you 5 important questions about your pet to better understand their health concerns.",
-    "Question 1: What is your pet's name and breed?",
-    "Question 2: Is your pet spayed or neutered?", 
-    "Question 3: Does your pet have any existing medical conditions?",
-    "Question 4: Is your pet currently taking any medications or supplements?",
-    "Question 5: What is the main issue you are concerned about with your pet? Can you describe the symptoms?"
-  ];
-  
-  const responses = [];
+  const questionnaire = await loadQuestionnaire();
+  const mainQuestions = questionnaire.questions.filter(q => !q.when).length;
+  const answered = {}; // questionId -> response, for follow-up conditions
+  let questionNumber = 0;
+
+  showToast('Welcome! Starting triage assessment...');
+  updateAudioIndicator('speaking');
+  await playOpenAITTS(questionnaire.intro);
+  await new Promise(resolve => setTimeout(resolve, 2000));
   
-  for (let i = 0; i < questions.length; i++) {
-    const questionNumber = i;
-    const question = questions[i];
+  for (const question of questionnaire.questions) {
+    if (emergency) break;
+    if (question.when && !followUpApplies(question.when, answered)) {
+      continue;
+    }
     
     try {
       // Update UI
-      if (i === 0) {
-        showToast('Welcome! Starting triage assessment...');
+      if (question.when) {
+        showToast('Follow-up question');
       } else {
-        showToast(`Question ${i} of 5`);
+        questionNumber++;
+        showToast(`Question ${questionNumber} of ${mainQuestions}`);
       }
       
       // Play question using OpenAI TTS
       updateAudioIndicator('speaking');
-      await playOpenAITTS(question);
-      
-      if (i === 0) {
-        // Just introduction, short pause
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        continue;
-      }
+      await playOpenAITTS(question.text);
       
       // Wait for voice response
       await new Promise(resolve => setTimeout(resolve, 1000));
       updateAudioIndicator('listening');
       showToast(`Listening for your answer...`);
       
-      // Listen for response (simplified - just wait for reasonable time)
-      const response = await waitForUserResponse(questionNumber);
-      responses.push({
-        question: question,
-        timestamp: new Date().toISOString(),
-        response: response
-      });
+      // Listen for the spoken answer via the agent's transcription
+      const answer = await waitForUserResponse(question.id, question.text);
+      answered[question.id] = answer.response;
       
       // Brief acknowledgment
       updateAudioIndicator('speaking');
@@ -684,7 +633,7 @@ async function startOpenAIQuestioningSequence() {
       await new Promise(resolve => setTimeout(resolve, 1000));
       
     } catch (error) {
-      console.error(`Error with question ${questionNumber}:`, error);
+      console.error(`Error with question ${question.id}:`, error);
     }
   }
   
@@ -692,24 +641,29 @@ async function startOpenAIQuestioningSequence() {
   updateAudioIndicator('speaking');
   await playOpenAITTS("Thank you for providing that information. Let me analyze your responses and create a triage summary for you.");
   
-  // Generate triage summary
+  // Generate triage summary from the captured answers
+  const responses = triageTranscript.getAnswers();
   const triageSummary = await generateTriageSummary(responses);
   
-  // Store responses and summary
+  // Store responses, transcript and summary
   sessionStorage.setItem('vetai_triage_responses', JSON.stringify(responses));
+  sessionStorage.setItem('vetai_triage_transcript', JSON.stringify(triageTranscript.getTurns()));
   sessionStorage.setItem('vetai_triage_summary', JSON.stringify(triageSummary));
+  await saveTriageToBooking(triageSummary, buildAnswerSlots(questionnaire.questions, responses));
   
   // Speak the summary
   await playOpenAITTS(triageSummary.spokenSummary);
   
   updateAudioIndicator('listening');
-  showToast('Triage assessment complete! You can continue the conversation or end the session.');
+  if (!emergency) {
+    showToast('Triage assessment complete! You can continue the conversation or end the session.');
+  }
   
   // Update UI with summary
   displayTriageSummary(triageSummary);
   
   updateAudioIndicator('listening');
-  showToast('Triage complete! You can now ask additional questions.');
+  showToast(emergency ? 'Please get emergency care for your pet now.' : 'Triage complete! You can now ask additional questions.');
 }
 
 /**
@@ -717,7 +671,8 @@ async function startOpenAIQuestioningSequence() {
  */
 async function playOpenAITTS(text) {
   try {
-    if (!text || text.trim().length === 0) {
+    // Nothing more is said once an emergency has been detected
+    if (!text || text.trim().length === 0 || emergency) {
       return;
     }
     
@@ -742,16 +697,30 @@ async function playOpenAITTS(text) {
     const audioBlob = await response.blob();
     const audioUrl = URL.createObjectURL(audioBlob);
     
+    if (emergency) {
+      URL.revokeObjectURL(audioUrl);
+      return;
+    }
+    
     return new Promise((resolve, reject) => {
       const audio = new Audio(audioUrl);
-      
-      audio.onended = () => {
+      const finish = () => {
+        currentTTS = null;
         URL.revokeObjectURL(audioUrl);
         resolve();
       };
+      currentTTS = {
+        stop: () => {
+          audio.pause();
+          finish();
+        }
+      };
+      
+      audio.onended = finish;
       
       audio.onerror = (error) => {
         console.error('Audio playback error:', error);
+        currentTTS = null;
         URL.revokeObjectURL(audioUrl);
         reject(error);
       };
@@ -764,72 +733,79 @@ async function playOpenAITTS(text) {
     
   } catch (error) {
     console.error('OpenAI TTS error:', error);
+    if (emergency) return;
     // Fallback to browser TTS
     return playTTSMessage(text);
   }
 }
 
 /**
- * Wait for user response with timeout
+ * Cut off the questionnaire voice mid-sentence
  */
-async function waitForUserResponse(questionNumber) {
-  return new Promise((resolve) => {
-    let responseReceived = false;
-    
-    // Simple timeout-based approach
-    const timeout = setTimeout(() => {
-      if (!responseReceived) {
-        responseReceived = true;
-        resolve(`Response received for question ${questionNumber}`);
-      }
-    }, 15000); // 15 second timeout per question
-    
-    // If we have audio track, try to detect speech
-    if (localTracks.audioTrack) {
-      try {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const mediaStreamTrack = localTracks.audioTrack.getMediaStreamTrack();
-        const source = audioContext.createMediaStreamSource(new MediaStream([mediaStreamTrack]));
-        const analyser = audioContext.createAnalyser();
-        analyser.fftSize = 256;
-        source.connect(analyser);
-        
-        const bufferLength = analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        let voiceDetected = false;
-        let silenceCount = 0;
-        
-        const checkAudio = () => {
-          if (responseReceived) return;
-          
-          analyser.getByteFrequencyData(dataArray);
-          const average = dataArray.reduce((sum, value) => sum + value, 0) / bufferLength;
-          
-          if (average > 25) { // Voice threshold
-            voiceDetected = true;
-            silenceCount = 0;
-            showToast('Voice detected! Continue speaking...');
-          } else if (voiceDetected) {
-            silenceCount++;
-            if (silenceCount > 50) { // ~5 seconds of silence
-              responseReceived = true;
-              clearTimeout(timeout);
-              audioContext.close();
-              resolve(`Voice response completed for question ${questionNumber}`);
-              return;
-            }
-          }
-          
-          requestAnimationFrame(checkAudio);
-        };
-        
-        checkAudio();
-        
-      } catch (error) {
-        console.error('Audio monitoring error:', error);
-      }
-    }
-  });
+function stopSpeaking() {
+  if (currentTTS) currentTTS.stop();
+  if (window.speechSynthesis) speechSynthesis.cancel();
+}
+
+/**
+ * Check one of the owner's final turns for red-flag symptoms. The server
+ * escalates the booking; this page stops the triage and shows the banner.
+ */
+async function checkForRedFlags(text) {
+  if (emergency || !text || !text.trim()) return;
+  try {
+    const res = await fetch('/api/red-flags', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: text.slice(0, 2000),
+        bookingId: sessionStorage.getItem('vetai_active_booking') || undefined
+      })
+    });
+    if (!res.ok) throw new Error(`Red-flag check failed (${res.status})`);
+    const { redFlags, escalated } = await res.json();
+    if (redFlags.length) await escalateEmergency(redFlags, escalated);
+  } catch (error) {
+    console.error('Red-flag check error:', error);
+  }
+}
+
+/**
+ * Stop the AI triage and tell the owner to get emergency care now
+ */
+async function escalateEmergency(redFlags, escalated) {
+  if (emergency) return;
+  emergency = redFlags;
+  stopSpeaking();
+  
+  document.getElementById('emergency-flags').textContent = redFlags.map(f => f.label.toLowerCase()).join(', ');
+  document.getElementById('emergency-pet').textContent = petInfo?.name || 'your pet';
+  document.getElementById('emergency-escalated').hidden = !escalated;
+  const banner = document.getElementById('emergency-banner');
+  banner.hidden = false;
+  banner.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  document.getElementById('triage-status').textContent = 'Triage stopped: a possible emergency was mentioned.';
+  updateAudioIndicator('listening');
+  
+  // Silence the assistant and take it out of the call so it stops asking questions
+  try {
+    await controlAgent('interrupt');
+  } catch (error) {
+    console.error("Interrupt failed:", error);
+  }
+  await stopConvoAI();
+}
+
+/**
+ * Wait for the owner's spoken answer, captured from the agent's transcription
+ */
+async function waitForUserResponse(questionId, question) {
+  triageTranscript.askQuestion(questionId, question);
+  const answer = await triageTranscript.waitForAnswer({ timeoutMs: 20000 });
+  if (answer.turns.length) {
+    showToast('Answer recorded');
+  }
+  return answer;
 }
 
 /**
@@ -882,20 +858,16 @@ async function playTTSMessage(text) {
  */
 async function generateTriageSummary(responses) {
   try {
-    // Extract answers from responses
-    const answers = responses.map(r => r.response || 'No response provided').join(' | ');
+    // Pair each question with its answer
+    const answers = responses
+      .map((r, i) => `${i + 1}. ${r.question}\n   Answer: ${r.response || 'No response provided'}`)
+      .join('\n');
     
     // Create prompt for AI analysis
     const analysisPrompt = `As a veterinary AI triage assistant, analyze the following pet owner responses to create a comprehensive triage summary:
 
-Pet Owner's Responses to 5 Key Questions:
-1. Pet's name and breed
-2. Spay/neuter status  
-3. Existing medical conditions
-4. Current medications/supplements
-5. Main concern and symptoms
-
-Responses: ${answers}
+Pet Owner's Responses to the Triage Questions:
+${answers}
 
 Create a structured triage assessment with:
 
@@ -924,7 +896,8 @@ Minor concerns, routine questions as LOW urgency.`;
       },
       body: JSON.stringify({
         prompt: analysisPrompt,
-        responses: responses
+        responses: responses,
+        petInfo: petInfo
       })
     });
 
@@ -959,6 +932,31 @@ Minor concerns, routine questions as LOW urgency.`;
   }
 }
 
+/**
+ * Attach the triage summary and the questionnaire's answer slots to the
+ * active booking
+ */
+async function saveTriageToBooking(summary, answerSlots) {
+  const bookingId = sessionStorage.getItem('vetai_active_booking');
+  if (!bookingId) return;
+  try {
+    await VetBookings.update(bookingId, b => ({
+      status: 'triaged',
+      triageSummary: [
+        `Urgency: ${summary.urgencyLevel} - ${summary.urgencyReason}`,
+        ...(summary.keyFindings || [])
+      ],
+      // Orders the vet queue (scripts/lib/call-priority.js)
+      triageUrgency: { level: summary.urgencyLevel, reason: summary.urgencyReason },
+      questionnaire: TRIAGE_QUESTIONNAIRE,
+      triageResponses: answerSlots,
+      petInfo: b.petInfo || petInfo
+    }));
+  } catch (error) {
+    console.error('Failed to save triage to booking:', error);
+  }
+}
+
 /**
  * Display triage summary in the UI
  */
@@ -1077,6 +1075,8 @@ async function endConversation() {
     // Store session data for summary page
     const sessionData = {
       petInfo: petInfo,
+      responses: triageTranscript.getAnswers(),
+      transcript: triageTranscript.getTurns(),
       startTime: conversationStartTime?.toISOString(),
       endTime: new Date().toISOString(),
       duration: conversationStartTime 
@@ -1106,7 +1106,7 @@ async function endConversation() {
 }
 
 /**
- * Generate mock summary data (since AI transcript isn't captured)
+ * Generate mock summary data (used when no triage summary was produced)
  */
 function generateMockSummary() {
   const petName = petInfo?.name || 'Your pet';
@@ -1139,8 +1139,7 @@ async function initConversation() {
   // Build pet info from booking/session; do not redirect
   try {
     const bookingId = sessionStorage.getItem('vetai_active_booking');
-    const bookings = JSON.parse(localStorage.getItem('vetai_bookings') || '[]');
-    const booking = bookings.find(b => b.id === bookingId);
+    const booking = await VetBookings.get(bookingId);
     const storedPet = sessionStorage.getItem('vetai_pet_info');
     petInfo = booking?.petInfo || (storedPet ? JSON.parse(storedPet) : null) || { emoji: '🐾', name: 'Your Pet', typeName: 'Pet', age: 'Age not specified' };
   } catch (e) {
@@ -1228,10 +1227,71 @@ document.getElementById('confirm-end').addEventListener('click', () => {
   endConversation();
 });
 
-// Handle page unload
-window.addEventListener('beforeunload', async (e) => {
+// Escalate as soon as the owner mentions a red-flag symptom
+const checkedTurns = new WeakSet();
+triageTranscript.onTurn(turn => {
+  if (turn.role !== 'user' || !turn.final || checkedTurns.has(turn)) return;
+  checkedTurns.add(turn);
+  checkForRedFlags(turn.text);
+});
+
+// Live agent controls
+document.getElementById('interrupt-agent').addEventListener('click', async () => {
+  try {
+    await controlAgent('interrupt');
+  } catch (error) {
+    console.error("Interrupt failed:", error);
+    showToast(error.message);
+  }
+});
+
+document.getElementById('supervisor-update').addEventListener('click', async () => {
+  const instruction = document.getElementById('supervisor-instruction').value.trim();
+  const voice = document.getElementById('supervisor-voice').value.trim();
+  if (!instruction && !voice) {
+    showToast("Enter an instruction or a voice");
+    return;
+  }
+  try {
+    await controlAgent('update', { instruction: instruction || undefined, voice: voice || undefined });
+    document.getElementById('supervisor-instruction').value = '';
+    showToast("AI assistant updated");
+  } catch (error) {
+    console.error("Agent update failed:", error);
+    showToast(`Update failed: ${error.message}`);
+  }
+});
+
+document.getElementById('supervisor-speak').addEventListener('click', async () => {
+  const text = document.getElementById('supervisor-instruction').value.trim();
+  if (!text) {
+    showToast("Enter what the assistant should say");
+    return;
+  }
+  try {
+    await controlAgent('speak', { text: text.slice(0, 512) });
+    document.getElementById('supervisor-instruction').value = '';
+  } catch (error) {
+    console.error("Agent speak failed:", error);
+    showToast(`Could not speak: ${error.message}`);
+  }
+});
+
+// Vets watching a triage get the supervisor panel
+VetAuth.me()
+  .then(vet => {
+    supervisingVet = vet;
+    showAgentControls(Boolean(agoraConvoTaskID));
+  })
+  .catch(() => {});
+
+// Handle page unload. Browsers don't wait for async handlers here, but they
+// do deliver beacons; the server's reaper stops anything that still slips by.
+window.addEventListener('pagehide', () => {
   if (agoraConvoTaskID) {
-    await stopConvoAI();
+    stopAgentHeartbeat();
+    navigator.sendBeacon(`/api/convo-ai/agents/${agoraConvoTaskID}/leave`);
+    agoraConvoTaskID = "";
   }
 });
 
@@ -0,0 +1,71 @@
+/**
+ * VetAI Triage - SOAP note API client
+ * A consultation's clinical note: the draft the vet edits section by section
+ * and the versions they have signed off
+ */
+
+const VetSoapNotes = (() => {
+  const BASE_URL = '/api/soap-notes';
+  const SECTIONS = [
+    { key: 'subjective', label: 'Subjective', hint: 'History and presenting complaint from the owner' },
+    { key: 'objective', label: 'Objective', hint: 'Observations and findings during the call' },
+    { key: 'assessment', label: 'Assessment', hint: 'Assessment and differential diagnoses' },
+    { key: 'plan', label: 'Plan', hint: 'Treatment, medication, follow-up and advice' }
+  ];
+
+  async function request(url, options = {}) {
+    const res = await fetch(url, {
+      credentials: 'same-origin',
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body.error || res.statusText);
+      err.status = res.status;
+      err.body = body;
+      throw err;
+    }
+    return body;
+  }
+
+  const noteUrl = bookingId => `${BASE_URL}/${encodeURIComponent(bookingId)}`;
+
+  /**
+   * { draft, versions } for a booking; draft is null once signed off
+   */
+  async function get(bookingId) {
+    return (await request(noteUrl(bookingId))).soapNote;
+  }
+
+  /**
+   * Generate a fresh draft from the call transcript and triage summary.
+   * A draft a vet has edited is only replaced with { overwrite: true };
+   * otherwise this rejects with status 409 (code DRAFT_EDITED).
+   */
+  async function draft(bookingId, { overwrite = false } = {}) {
+    const data = await request(`${noteUrl(bookingId)}/draft`, {
+      method: 'POST',
+      body: JSON.stringify({ overwrite })
+    });
+    return data.soapNote;
+  }
+
+  async function saveSection(bookingId, section, text) {
+    const data = await request(`${noteUrl(bookingId)}/sections/${encodeURIComponent(section)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ text })
+    });
+    return data.soapNote;
+  }
+
+  /**
+   * Sign the draft off and send it to the owner. Resolves to
+   * { soapNote, version }.
+   */
+  async function sign(bookingId) {
+    return request(`${noteUrl(bookingId)}/sign`, { method: 'POST' });
+  }
+
+  return { SECTIONS, get, draft, saveSection, sign };
+})();
@@ -0,0 +1,144 @@
+/**
+ * VetAI Triage - Transcript capture
+ * Reassembles the Conversational AI agent's transcription stream messages
+ * into turns and slots the owner's answers under the question being asked
+ */
+
+const VetTranscript = (() => {
+  const decoder = new TextDecoder();
+
+  function decodeBase64(data) {
+    const binary = atob(data);
+    return decoder.decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  }
+
+  /**
+   * Create a collector for one triage session
+   */
+  function createCollector() {
+    const chunks = new Map(); // message_id -> { total, parts }
+    const turns = [];
+    const answers = [];
+    const listeners = [];
+    let openQuestion = null;
+
+    /**
+     * Handle an RTC `stream-message` from the agent. Each message arrives as
+     * one or more "message_id|part_idx|part_sum|base64" chunks.
+     */
+    function handleStreamMessage(uid, payload) {
+      const raw = typeof payload === 'string' ? payload : decoder.decode(payload);
+      const [messageId, partIdx, partSum, data] = raw.split('|');
+      if (!messageId || data === undefined) return;
+
+      const entry = chunks.get(messageId) || { total: Number(partSum), parts: [] };
+      entry.parts[Number(partIdx) - 1] = data;
+      chunks.set(messageId, entry);
+      if (entry.parts.filter(p => p !== undefined).length < entry.total) return;
+      chunks.delete(messageId);
+
+      try {
+        handleMessage(JSON.parse(decodeBase64(entry.parts.join(''))));
+      } catch (e) {
+        console.warn('Could not decode agent stream message', e);
+      }
+    }
+
+    function handleMessage(msg) {
+      const role = msg.object === 'user.transcription' ? 'user'
+        : msg.object === 'assistant.transcription' ? 'assistant'
+        : null;
+      if (!role || !msg.text) return;
+
+      // turn_status: 0 = in progress, 1 = finished, 2 = interrupted
+      const final = role === 'user' ? Boolean(msg.final) : msg.turn_status !== 0;
+      const now = new Date().toISOString();
+      let turn = turns.find(t => t.role === role && t.turnId === msg.turn_id && !t.final);
+      if (!turn) {
+        turn = { role, turnId: msg.turn_id, text: '', final: false, startedAt: now };
+        turns.push(turn);
+      }
+      turn.text = msg.text;
+      turn.final = final;
+      turn.updatedAt = now;
+      if (final) turn.endedAt = now;
+
+      if (role === 'user' && final && openQuestion && !openQuestion.turns.includes(turn)) {
+        openQuestion.turns.push(turn);
+        openQuestion.response = openQuestion.turns.map(t => t.text).join(' ');
+        openQuestion.answeredAt = now;
+      }
+
+      listeners.forEach(fn => fn(turn));
+    }
+
+    /**
+     * Subscribe to turn updates (interim and final)
+     */
+    function onTurn(fn) {
+      listeners.push(fn);
+    }
+
+    /**
+     * Open an answer slot; final user turns are collected into it until the
+     * next question is asked
+     */
+    function askQuestion(questionId, question) {
+      openQuestion = {
+        questionId,
+        question,
+        askedAt: new Date().toISOString(),
+        answeredAt: null,
+        response: '',
+        turns: []
+      };
+      answers.push(openQuestion);
+      return openQuestion;
+    }
+
+    /**
+     * Resolve with the open answer slot once the owner has said something and
+     * then stayed quiet for `settleMs`, or when `timeoutMs` runs out
+     */
+    function waitForAnswer({ timeoutMs = 20000, settleMs = 2500 } = {}) {
+      const slot = openQuestion;
+      return new Promise(resolve => {
+        let settleTimer = null;
+        const finish = () => {
+          clearTimeout(settleTimer);
+          clearTimeout(timeout);
+          listeners.splice(listeners.indexOf(onUserTurn), 1);
+          resolve(slot);
+        };
+        const onUserTurn = turn => {
+          if (turn.role !== 'user' || openQuestion !== slot) return;
+          clearTimeout(settleTimer);
+          if (slot.turns.length) settleTimer = setTimeout(finish, settleMs);
+        };
+        const timeout = setTimeout(finish, timeoutMs);
+        listeners.push(onUserTurn);
+      });
+    }
+
+    /**
+     * Answers in the shape expected by generateTriageSummary()
+     */
+    function getAnswers() {
+      return answers.map(a => ({
+        questionId: a.questionId,
+        question: a.question,
+        timestamp: a.askedAt,
+        answeredAt: a.answeredAt,
+        response: a.response || 'No response provided'
+      }));
+    }
+
+    function getTurns() {
+      return turns.filter(t => t.final).map(t => ({ ...t }));
+    }
+
+    return { handleStreamMessage, onTurn, askQuestion, waitForAnswer, getAnswers, getTurns };
+  }
+
+  return { createCollector };
+})();
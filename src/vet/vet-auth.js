@@ -0,0 +1,61 @@
+/**
+ * VetAI Triage - Vet authentication client
+ * The session itself is an HttpOnly cookie set by the server; pages only ask
+ * who is signed in.
+ */
+
+const VetAuth = (() => {
+  const BASE_URL = '/api/auth';
+  const LOGIN_PAGE = '/vet/vet-login.html';
+
+  async function request(path, options = {}) {
+    const res = await fetch(`${BASE_URL}${path}`, {
+      credentials: 'same-origin',
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body.error || res.statusText);
+      err.status = res.status;
+      throw err;
+    }
+    return body;
+  }
+
+  /**
+   * Sign in, resolving to the vet's profile ({ username, name, role })
+   */
+  async function login(username, password) {
+    return request('/login', { method: 'POST', body: JSON.stringify({ username, password }) });
+  }
+
+  async function logout() {
+    await request('/logout', { method: 'POST' }).catch(() => {});
+    window.location.href = LOGIN_PAGE;
+  }
+
+  /**
+   * Current vet, or null when not signed in
+   */
+  async function me() {
+    try {
+      return await request('/me');
+    } catch (err) {
+      if (err.status === 401) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Resolve to the current vet, sending the browser to the login page if the
+   * session has gone
+   */
+  async function requireVet() {
+    const vet = await me();
+    if (!vet) window.location.href = LOGIN_PAGE;
+    return vet;
+  }
+
+  return { login, logout, me, requireVet, LOGIN_PAGE };
+})();
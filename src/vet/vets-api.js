@@ -0,0 +1,74 @@
+/**
+ * VetAI Triage - Vet roster API client
+ * Vets, their free slots, and each vet's own availability settings
+ */
+
+const VetRoster = (() => {
+  const BASE_URL = '/api/vets';
+
+  async function request(url, options = {}) {
+    const res = await fetch(url, {
+      credentials: 'same-origin',
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body.error || res.statusText);
+      err.status = res.status;
+      err.body = body;
+      throw err;
+    }
+    return body;
+  }
+
+  async function list() {
+    const data = await request(BASE_URL);
+    return data.vets || [];
+  }
+
+  /**
+   * A vet with their weekly hours and blackout dates, or null if not on the
+   * roster
+   */
+  async function get(vetId) {
+    try {
+      return await request(`${BASE_URL}/${encodeURIComponent(vetId)}`);
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Free slots from `from` (YYYY-MM-DD in the vet's time zone) for `days`
+   * days, as [{ start, date, time }] with `start` in UTC
+   */
+  async function slots(vetId, { from, days = 1 } = {}) {
+    const params = new URLSearchParams({ days: String(days) });
+    if (from) params.set('from', from);
+    const data = await request(`${BASE_URL}/${encodeURIComponent(vetId)}/slots?${params}`);
+    return data.slots || [];
+  }
+
+  /**
+   * Save the signed-in vet's availability. Rejects with `err.body.errors`
+   * listing any invalid fields.
+   */
+  async function saveAvailability(vetId, availability) {
+    return request(`${BASE_URL}/${encodeURIComponent(vetId)}/availability`, {
+      method: 'PUT',
+      body: JSON.stringify(availability)
+    });
+  }
+
+  /**
+   * The signed-in vet's bookings feed: { url, webcalUrl } to subscribe to in a
+   * calendar app
+   */
+  async function calendarFeed(vetId) {
+    return request(`${BASE_URL}/${encodeURIComponent(vetId)}/calendar-feed`);
+  }
+
+  return { list, get, slots, saveAvailability, calendarFeed };
+})();
@@ -0,0 +1,158 @@
+// Tests for the live agent control routes, with a fake Agora client that
+// records what it was asked to do.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createAgentControlRouter } = require("../scripts/routes/agent-control");
+const { createAgentSessionRegistry } = require("../scripts/lib/agent-sessions");
+const { createAgentProfiles } = require("../scripts/lib/agent-profiles");
+
+describe("agent control routes", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+  let registry;
+  const agoraCalls = [];
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    registry = createAgentSessionRegistry({
+      file: path.join(dataDir, "agent-sessions.json"),
+    });
+    registry.register({
+      agentId: "a1",
+      channel: "room",
+      profile: "vet-triage",
+      owner: "anonymous",
+      systemMessages: [{ role: "system", content: "Ask five questions." }],
+    });
+
+    const record =
+      (method) =>
+      async (...args) => {
+        agoraCalls.push([method, ...args]);
+        return {};
+      };
+    const app = express();
+    app.use(express.json());
+    app.use(
+      "/agents",
+      createAgentControlRouter({
+        agora: {
+          interrupt: record("interrupt"),
+          speak: record("speak"),
+          update: record("update"),
+        },
+        agentSessions: registry,
+        agentProfiles: createAgentProfiles(),
+        // Signed in when the test sends an X-Vet header
+        requireVet: (req, res, next) => {
+          if (!req.get("X-Vet")) return res.status(401).json({});
+          req.vet = { username: req.get("X-Vet") };
+          next();
+        },
+        env: { TTS_MINIMAX_KEY: "key", TTS_MINIMAX_GROUPID: "group" },
+      }),
+    );
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function post(route, body, vet) {
+    const headers = { "Content-Type": "application/json" };
+    if (vet) headers["X-Vet"] = vet;
+    return fetch(`${baseUrl}/agents/${route}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body || {}),
+    });
+  }
+
+  it("lets anyone on the call interrupt the agent", async () => {
+    const res = await post("a1/interrupt");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(agoraCalls.pop(), ["interrupt", "a1"]);
+  });
+
+  it("keeps speak and update for vets", async () => {
+    assert.strictEqual((await post("a1/speak", { text: "Hi" })).status, 401);
+    assert.strictEqual(
+      (await post("a1/update", { instruction: "Hi" })).status,
+      401,
+    );
+  });
+
+  it("makes the agent speak", async () => {
+    const res = await post("a1/speak", { text: " Please hold on. " }, "dr");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(agoraCalls.pop(), [
+      "speak",
+      "a1",
+      { text: "Please hold on.", priority: "INTERRUPT", interruptable: true },
+    ]);
+
+    const tooLong = await post("a1/speak", { text: "x".repeat(513) }, "dr");
+    assert.strictEqual(tooLong.status, 400);
+  });
+
+  it("adds a vet's instruction to the running prompt", async () => {
+    const res = await post(
+      "a1/update",
+      { instruction: "Ask about vomiting" },
+      "dr",
+    );
+    assert.strictEqual(res.status, 200);
+
+    const [method, agentId, properties] = agoraCalls.pop();
+    assert.strictEqual(method, "update");
+    assert.strictEqual(agentId, "a1");
+    assert.deepStrictEqual(
+      properties.llm.system_messages.map((m) => m.content),
+      [
+        "Ask five questions.",
+        "Instruction from the supervising veterinarian: Ask about vomiting",
+      ],
+    );
+    assert.strictEqual(
+      registry.get("a1").systemMessages.length,
+      2,
+      "later updates build on this one",
+    );
+  });
+
+  it("changes the voice within the profile's TTS vendor", async () => {
+    const res = await post(
+      "a1/update",
+      { voice: "English_Trustworth_Man" },
+      "dr",
+    );
+    assert.strictEqual(res.status, 200);
+    const [, , properties] = agoraCalls.pop();
+    assert.strictEqual(properties.tts.vendor, "minimax");
+    assert.strictEqual(
+      properties.tts.params.voice_setting.voice_id,
+      "English_Trustworth_Man",
+    );
+    assert.strictEqual(properties.llm, undefined);
+  });
+
+  it("rejects updates for unknown agents and empty updates", async () => {
+    assert.strictEqual(
+      (await post("nope/update", { instruction: "Hi" }, "dr")).status,
+      404,
+    );
+    assert.strictEqual((await post("a1/update", {}, "dr")).status, 400);
+  });
+});
@@ -0,0 +1,177 @@
+// Tests for agent profiles: validating profile files at startup and merging a
+// profile with the request's variables and the built-in defaults into an
+// Agora join request.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  AGENT_UID,
+  AVATAR_UID,
+  createAgentProfiles,
+} = require("../scripts/lib/agent-profiles");
+
+const ENV = {
+  GROQ_KEY: "gsk-test",
+  TTS_OPENAI_KEY: "sk-tts",
+  AVATAR_AKOOL_KEY: "akool-key",
+};
+
+function profile(overrides = {}) {
+  return {
+    idle_timeout: 30,
+    llm: {
+      vendor: "groq",
+      system_prompt: ["You help {{ownerName}}.", "Pet: {{petName}}."],
+      greeting: "Hi {{ownerName}}!",
+    },
+    tts: { vendor: "openai", voice: "coral" },
+    silence_config: { timeout_ms: 10000 },
+    variables: { ownerName: "there", petName: "your pet" },
+    ...overrides,
+  };
+}
+
+describe("agent profiles", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function load(files) {
+    const profileDir = fs.mkdtempSync(path.join(dir, "profiles-"));
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(
+        path.join(profileDir, `${name}.json`),
+        typeof content === "string" ? content : JSON.stringify(content),
+      );
+    }
+    return createAgentProfiles({ dir: profileDir });
+  }
+
+  it("loads valid profiles named after their files", () => {
+    const profiles = load({ helper: profile({ description: "Helps" }) });
+    assert.deepStrictEqual(profiles.list(), [
+      { name: "helper", description: "Helps" },
+    ]);
+    assert.strictEqual(profiles.get("helper").idle_timeout, 30);
+    assert.strictEqual(profiles.get("toString"), null);
+  });
+
+  it("refuses to start with every problem in every file listed", () => {
+    assert.throws(
+      () =>
+        load({
+          broken: "{ not json",
+          schema: profile({ idle_timeout: -1, extra: true }),
+          vendor: profile({
+            llm: { vendor: "openai", url: "http://x", system_prompt: "Hi" },
+            tts: { vendor: "openai", voice: "coral", pitch: 3 },
+          }),
+          questions: profile({ questionnaire: "nope" }),
+        }),
+      (err) => {
+        assert.strictEqual(err.code, "INVALID_PROFILE");
+        for (const problem of [
+          /broken\.json: .*JSON/,
+          /schema\.json: \$\.idle_timeout: must be >= 0/,
+          /schema\.json: \$\.extra: unknown property/,
+          /vendor\.json: \$\.llm\.url: not supported by openai/,
+          /vendor\.json: \$\.tts\.pitch: unknown property/,
+          /questions\.json: \$\.questionnaire: unknown questionnaire nope/,
+        ]) {
+          assert.match(err.message, problem);
+        }
+        return true;
+      },
+    );
+  });
+
+  it("merges the profile with declared variables and the defaults", () => {
+    const profiles = load({ helper: profile() });
+    const { name, properties } = profiles.buildJoinRequest("helper", {
+      channel: "triage-1",
+      uid: 42,
+      variables: {
+        ownerName: "  Sam\n  Lee ",
+        petName: "",
+        secret: "injected",
+      },
+      env: ENV,
+    });
+
+    assert.strictEqual(name, "triage-1");
+    assert.deepStrictEqual(properties.remote_rtc_uids, ["42"]);
+    assert.strictEqual(properties.agent_rtc_uid, AGENT_UID);
+    // Unset sections get the defaults; set ones are merged over them
+    assert.deepStrictEqual(properties.asr, { language: "en-US" });
+    assert.deepStrictEqual(properties.parameters, {
+      silence_config: { action: "think", timeout_ms: 10000 },
+    });
+    // Undeclared variables are dropped and empty ones use the default
+    assert.strictEqual(
+      properties.llm.system_messages[0].content,
+      "You help Sam Lee.\nPet: your pet.",
+    );
+    assert.strictEqual(properties.llm.greeting_message, "Hi Sam Lee!");
+    assert.strictEqual(properties.llm.api_key, "gsk-test");
+    assert.strictEqual(properties.tts.params.api_key, "sk-tts");
+    assert.strictEqual(properties.avatar.enable, false);
+    assert.strictEqual("token" in properties, false);
+  });
+
+  it("lets profile settings override the defaults", () => {
+    const profiles = load({
+      avatar: profile({
+        asr: { language: "de-DE" },
+        silence_config: { timeout_ms: 5000, action: "speak", content: "Hi?" },
+        avatar: { vendor: "akool", avatar_id: "dvp_Sean" },
+        transcript: true,
+        llm: { vendor: "groq", system_prompt: "Hi", max_idle_time: 20 },
+      }),
+    });
+    const { properties } = profiles.buildJoinRequest("avatar", {
+      channel: "c",
+      createToken: (uid) => `token-${uid}`,
+      env: ENV,
+    });
+
+    assert.deepStrictEqual(properties.remote_rtc_uids, ["*"]);
+    assert.deepStrictEqual(properties.asr, { language: "de-DE" });
+    assert.deepStrictEqual(properties.parameters.silence_config, {
+      action: "speak",
+      timeout_ms: 5000,
+      content: "Hi?",
+    });
+    assert.strictEqual(properties.parameters.data_channel, "datastream");
+    assert.strictEqual(properties.llm.max_idle_time, 20);
+    assert.strictEqual(properties.token, `token-${AGENT_UID}`);
+    assert.deepStrictEqual(properties.avatar.params, {
+      api_key: "akool-key",
+      agora_uid: AVATAR_UID,
+      agora_token: `token-${AVATAR_UID}`,
+      avatar_id: "dvp_Sean",
+    });
+  });
+
+  it("rejects unknown profiles and missing vendor keys", () => {
+    const profiles = load({ helper: profile() });
+    assert.throws(
+      () => profiles.buildJoinRequest("nope", { channel: "c", env: ENV }),
+      { code: "UNKNOWN_PROFILE" },
+    );
+    assert.throws(
+      () =>
+        profiles.buildJoinRequest("helper", {
+          channel: "c",
+          env: { GROQ_KEY: "gsk-test" },
+        }),
+      { code: "MISSING_SECRET", message: /TTS_OPENAI_KEY/ },
+    );
+  });
+});
@@ -0,0 +1,121 @@
+// Tests for the agent session registry and its reaper, with fake Agora calls
+// and a controllable clock.
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAgentSessionRegistry } = require("../scripts/lib/agent-sessions");
+
+describe("agent session registry", () => {
+  let dataDir;
+  let clock;
+  let channels;
+  let stopped;
+  let registry;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    clock = 0;
+    channels = {};
+    stopped = [];
+    registry = createAgentSessionRegistry({
+      file: path.join(dataDir, "agent-sessions.json"),
+      stopAgent: async (agentId) => {
+        if (agentId === "gone") {
+          const err = new Error("Not found");
+          err.code = "AGORA_NOT_FOUND";
+          throw err;
+        }
+        stopped.push(agentId);
+      },
+      channelUsers: async (channel) => channels[channel] || [],
+      ignoreUids: ["10001"],
+      emptyMs: 60000,
+      idleMs: 600000,
+      now: () => clock,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("stops agents whose channel stays empty past the threshold", async () => {
+    registry.register({ agentId: "a1", channel: "room", owner: "anonymous" });
+    channels.room = [10001];
+
+    assert.deepStrictEqual(await registry.reap(), []);
+    clock += 61000;
+    const reaped = await registry.reap();
+
+    assert.deepStrictEqual(
+      reaped.map((a) => a.agentId),
+      ["a1"],
+    );
+    assert.deepStrictEqual(stopped, ["a1"]);
+    assert.deepStrictEqual(registry.list(), []);
+  });
+
+  it("keeps agents while someone is in the channel", async () => {
+    registry.register({ agentId: "a1", channel: "room", owner: "anonymous" });
+    channels.room = [10001, 0];
+
+    await registry.reap();
+    clock += 120000;
+    await registry.reap();
+
+    assert.deepStrictEqual(stopped, []);
+    assert.strictEqual(registry.list().length, 1);
+  });
+
+  it("stops agents with no activity past the idle threshold", async () => {
+    registry.register({ agentId: "a1", channel: "room", owner: "anonymous" });
+    registry.register({ agentId: "a2", channel: "other", owner: "anonymous" });
+    channels.room = [0];
+    channels.other = [0];
+
+    clock += 500000;
+    registry.touch("a2");
+    clock += 200000;
+    await registry.reap();
+
+    assert.deepStrictEqual(stopped, ["a1"]);
+    assert.deepStrictEqual(
+      registry.list().map((a) => a.agentId),
+      ["a2"],
+    );
+  });
+
+  it("forgets agents Agora no longer knows about", async () => {
+    registry.register({ agentId: "gone", channel: "room", owner: "anonymous" });
+    await registry.stop("gone", "test");
+    assert.strictEqual(registry.get("gone"), null);
+  });
+
+  it("batches activity writes instead of rewriting the file on every touch", async () => {
+    const file = path.join(dataDir, "batched.json");
+    const batched = createAgentSessionRegistry({ file, touchPersistMs: 20 });
+    batched.register({ agentId: "a1", channel: "room", owner: "anonymous" });
+    const written = () =>
+      JSON.parse(fs.readFileSync(file, "utf-8")).agents[0].lastActivityAt;
+    const registeredAt = written();
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    for (let i = 0; i < 5; i++) batched.touch("a1");
+    assert.strictEqual(written(), registeredAt);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(written(), batched.get("a1").lastActivityAt);
+    assert.notStrictEqual(written(), registeredAt);
+  });
+
+  it("remembers agents across restarts", () => {
+    registry.register({ agentId: "a1", channel: "room", owner: "vet:admin" });
+    const reloaded = createAgentSessionRegistry({
+      file: path.join(dataDir, "agent-sessions.json"),
+    });
+    assert.strictEqual(reloaded.get("a1").owner, "vet:admin");
+  });
+});
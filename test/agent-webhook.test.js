@@ -0,0 +1,254 @@
+// Integration tests for the Conversational AI notification webhook.
+// Boots the real app with a webhook secret and posts signed notices for an
+// agent whose channel is a booking ID.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { createAgentWebhookRouter } = require("../scripts/routes/agent-events");
+const { createAgentEventStore } = require("../scripts/lib/agent-event-store");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+
+const SECRET = "webhook-test-secret";
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    ),
+  );
+}
+
+describe("convo AI webhook", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+  let booking;
+  let notice = 0;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    Object.assign(process.env, {
+      DATA_DIR: dataDir,
+      VET_ADMIN_PASSWORD: "test-password",
+      SESSION_SECRET: "test-secret",
+      AGORA_WEBHOOK_SECRET: SECRET,
+    });
+
+    const app = require("../scripts/server");
+    server = http.createServer(app);
+    baseUrl = await listen(server);
+
+    const res = await fetch(`${baseUrl}/api/bookings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      // An on-demand call with a vet from config/vet-roster.json
+      body: JSON.stringify({
+        vetId: "aria-chen",
+        vetName: "Dr. Aria Chen",
+        availability: "now",
+      }),
+    });
+    booking = await res.json();
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function notify(eventType, payload, { sign = "v2", noticeId } = {}) {
+    const body = JSON.stringify({
+      noticeId: noticeId || `notice-${++notice}`,
+      productId: 17,
+      eventType,
+      notifyMs: Date.now(),
+      payload: { agent_id: "agent-1", channel: booking.id, ...payload },
+    });
+    const headers = { "Content-Type": "application/json" };
+    if (sign === "v2") {
+      headers["Agora-Signature-V2"] = crypto
+        .createHmac("sha256", SECRET)
+        .update(body)
+        .digest("hex");
+    } else if (sign === "v1") {
+      headers["Agora-Signature"] = crypto
+        .createHmac("sha1", SECRET)
+        .update(body)
+        .digest("hex");
+    } else if (sign) {
+      headers["Agora-Signature-V2"] = sign;
+    }
+    return fetch(`${baseUrl}/api/convo-ai/webhook`, {
+      method: "POST",
+      headers,
+      body,
+    });
+  }
+
+  async function getBooking() {
+    const res = await fetch(`${baseUrl}/api/bookings/${booking.id}`);
+    return res.json();
+  }
+
+  it("rejects unsigned and wrongly signed notifications", async () => {
+    assert.strictEqual((await notify(101, {}, { sign: false })).status, 401);
+    assert.strictEqual(
+      (await notify(101, {}, { sign: "0".repeat(64) })).status,
+      401,
+    );
+    assert.strictEqual((await getBooking()).agentActivity, undefined);
+  });
+
+  it("maps agent events onto the booking for the channel", async () => {
+    assert.strictEqual((await notify(101, {})).status, 200);
+    assert.strictEqual((await getBooking()).agentActivity.status, "joined");
+
+    await notify(
+      111,
+      { module: "tts", code: 401, message: "bad key" },
+      { sign: "v1" },
+    );
+    await notify(103, {
+      contents: [
+        { role: "assistant", content: "Hi, what's wrong with Max?" },
+        { role: "user", content: "He is limping" },
+      ],
+    });
+    await notify(102, {
+      start_ts: 1000,
+      stop_ts: 1125,
+      message: "idle timeout",
+    });
+
+    const activity = (await getBooking()).agentActivity;
+    assert.strictEqual(activity.agentId, "agent-1");
+    assert.strictEqual(activity.status, "left");
+    assert.strictEqual(activity.durationSec, 125);
+    assert.strictEqual(activity.turns, 2);
+    assert.strictEqual(activity.errors, 1);
+    assert.strictEqual(activity.lastError.module, "tts");
+  });
+
+  it("ignores redelivered notices", async () => {
+    const first = await notify(110, {}, { noticeId: "repeat" });
+    const again = await notify(110, {}, { noticeId: "repeat" });
+    assert.deepStrictEqual(await first.json(), { received: true });
+    assert.deepStrictEqual(await again.json(), {
+      received: true,
+      duplicate: true,
+    });
+  });
+
+  it("lists the stored events for a booking", async () => {
+    const res = await fetch(
+      `${baseUrl}/api/agent-events?bookingId=${booking.id}`,
+    );
+    const { events } = await res.json();
+    assert.deepStrictEqual(
+      events.map((e) => e.type),
+      [
+        "agent.joined",
+        "agent.error",
+        "agent.history",
+        "agent.left",
+        "agent.metrics",
+      ],
+    );
+
+    const all = await fetch(`${baseUrl}/api/agent-events`);
+    assert.strictEqual(all.status, 401, "the full log is for vets only");
+  });
+
+  it("only starts agents for vets or in the owner's booking channel", async () => {
+    const start = (body) =>
+      fetch(`${baseUrl}/api/convo-ai/start`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile: "vet-triage", uid: 1, ...body }),
+      });
+    assert.strictEqual((await start({ channel: "vet-triage" })).status, 401);
+    assert.strictEqual(
+      (await start({ channel: "someone-else", bookingId: booking.id })).status,
+      401,
+    );
+    assert.strictEqual(
+      (await start({ channel: "triage-x", bookingId: "x" })).status,
+      401,
+    );
+    // Let through, then stopped by the vendor keys the tests don't set
+    const own = await start({
+      channel: `triage-${booking.id}`,
+      bookingId: booking.id,
+    });
+    assert.notStrictEqual(own.status, 401);
+    assert.match((await own.json()).error, /misconfigured/);
+  });
+
+  it("survives a malformed session cookie", async () => {
+    const res = await fetch(`${baseUrl}/api/convo-ai/cleanup/some-channel`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Cookie: "vetai_session=%E0",
+      },
+      body: "{}",
+    });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await getBooking()).id, booking.id);
+  });
+});
+
+describe("convo AI webhook without a secret", () => {
+  let dataDir;
+  const servers = [];
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => {
+    servers.forEach((server) => server.close());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function webhook(options) {
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
+    app.use(
+      "/webhook",
+      createAgentWebhookRouter({
+        store: createAgentEventStore({
+          file: path.join(dataDir, `events-${servers.length}.json`),
+        }),
+        bookingStore: createBookingStore({
+          file: path.join(dataDir, "bookings.json"),
+        }),
+        ...options,
+      }),
+    );
+    const server = http.createServer(app);
+    servers.push(server);
+    const url = `${await listen(server)}/webhook`;
+    return fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        noticeId: "n1",
+        eventType: 101,
+        payload: { agent_id: "agent-1", channel: "room" },
+      }),
+    });
+  }
+
+  it("refuses unsigned notifications unless explicitly allowed", async () => {
+    assert.strictEqual((await webhook({})).status, 503);
+    assert.strictEqual((await webhook({ allowUnsigned: true })).status, 200);
+  });
+});
@@ -0,0 +1,185 @@
+// Tests for the Agora REST client against a fake Agora server that replies
+// from a script of canned responses.
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createAgoraClient } = require("../scripts/lib/agora-client");
+
+describe("agora client", () => {
+  let server;
+  let apiBase;
+  let replies;
+  let calls;
+  let waits;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        calls.push({ method: req.method, url: req.url, body });
+        const reply = replies.shift() || { status: 200, body: {} };
+        if (reply.hang) return;
+        res.writeHead(reply.status, {
+          "Content-Type": "application/json",
+          ...reply.headers,
+        });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    apiBase = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    replies = [];
+    calls = [];
+    waits = [];
+  });
+
+  function client(options = {}) {
+    return createAgoraClient({
+      env: {},
+      appId: "app",
+      restKey: "key",
+      restSecret: "secret",
+      apiBase,
+      retries: 2,
+      wait: async (ms) => waits.push(ms),
+      ...options,
+    });
+  }
+
+  it("retries 5xx and 429 responses with backoff", async () => {
+    replies = [
+      { status: 503, body: {} },
+      { status: 429, body: {}, headers: { "Retry-After": "2" } },
+      { status: 200, body: { agent_id: "a1", status: "RUNNING" } },
+    ];
+    const data = await client().getAgent("a1");
+
+    assert.strictEqual(data.agent_id, "a1");
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(waits.length, 2);
+    assert.strictEqual(waits[1], 2000, "honours Retry-After");
+  });
+
+  it("gives up after the configured retries with a typed error", async () => {
+    replies = [503, 503, 503].map((status) => ({ status, body: {} }));
+    await assert.rejects(client().getAgent("a1"), {
+      code: "AGORA_UNAVAILABLE",
+      status: 502,
+      agoraStatus: 503,
+    });
+    assert.strictEqual(calls.length, 3);
+  });
+
+  it("does not retry a POST Agora may already have acted on", async () => {
+    replies = [{ status: 503, body: {} }];
+    await assert.rejects(client().join({ name: "triage" }), {
+      code: "AGORA_UNAVAILABLE",
+    });
+    assert.strictEqual(calls.length, 1);
+
+    replies = [{ hang: true }];
+    await assert.rejects(client({ timeoutMs: 100 }).leave("a1"), {
+      code: "AGORA_TIMEOUT",
+    });
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(waits.length, 0);
+  });
+
+  it("retries a POST that was rate limited or never reached Agora", async () => {
+    replies = [
+      { status: 429, body: {} },
+      { status: 200, body: { agent_id: "a1" } },
+    ];
+    assert.strictEqual((await client().join({})).agent_id, "a1");
+    assert.strictEqual(calls.length, 2);
+
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+    await assert.rejects(
+      client({ apiBase: `http://127.0.0.1:${port}` }).leave("a1"),
+      { code: "AGORA_UNREACHABLE" },
+    );
+    assert.strictEqual(waits.length, 3, "one wait per retry");
+  });
+
+  it("does not retry client errors", async () => {
+    replies = [{ status: 404, body: { detail: "agent not found" } }];
+    await assert.rejects(client().leave("a1"), {
+      code: "AGORA_NOT_FOUND",
+      status: 404,
+      message: "Stop agent: agent not found",
+    });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it("times out requests Agora doesn't answer", async () => {
+    replies = [{ hang: true }];
+    await assert.rejects(
+      client({ timeoutMs: 100, retries: 0 }).getAgent("a1"),
+      { code: "AGORA_TIMEOUT", status: 504 },
+    );
+  });
+
+  it("replaces a conflicting agent when starting", async () => {
+    replies = [
+      { status: 409, body: { detail: "task conflict", agent_id: "old" } },
+      { status: 200, body: {} },
+      { status: 200, body: { agent_id: "new" } },
+    ];
+    const replaced = [];
+    const data = await client().startAgent(
+      { name: "room", properties: { channel: "room" } },
+      { onReplaced: (id) => replaced.push(id) },
+    );
+
+    assert.strictEqual(data.agent_id, "new");
+    assert.deepStrictEqual(replaced, ["old"]);
+    assert.deepStrictEqual(
+      calls.map((c) => c.url),
+      [
+        "/api/conversational-ai-agent/v2/projects/app/join",
+        "/api/conversational-ai-agent/v2/projects/app/agents/old/leave",
+        "/api/conversational-ai-agent/v2/projects/app/join",
+      ],
+    );
+  });
+
+  it("leaves a conflicting agent alone unless allowed to replace it", async () => {
+    replies = [
+      { status: 409, body: { detail: "task conflict", agent_id: "x" } },
+    ];
+    const replaced = [];
+    await assert.rejects(
+      client().startAgent(
+        { name: "room", properties: { channel: "room" } },
+        {
+          canReplace: (id) => id !== "x",
+          onReplaced: (id) => replaced.push(id),
+        },
+      ),
+      { code: "AGORA_CONFLICT" },
+    );
+    assert.deepStrictEqual(replaced, []);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it("reports missing credentials without calling Agora", async () => {
+    await assert.rejects(client({ restSecret: "" }).getAgent("a1"), {
+      code: "AGORA_NOT_CONFIGURED",
+      status: 500,
+    });
+    assert.strictEqual(calls.length, 0);
+  });
+});
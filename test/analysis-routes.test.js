@@ -0,0 +1,184 @@
+// Integration tests for the triage and call analysis routes.
+// Boots the real app on a random port with a fake Chat Completions and
+// transcription server standing in for the LLM and a local speech-to-text
+// engine, and no vendor keys configured.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    ),
+  );
+}
+
+describe("analysis routes", () => {
+  let app;
+  let server;
+  let llmServer;
+  let baseUrl;
+  let dataDir;
+  let llmReply = "{}";
+
+  before(async () => {
+    llmServer = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        if (req.url === "/v1/audio/transcriptions") {
+          return res.end(
+            JSON.stringify({
+              text: "Owner: She has been scratching.",
+              segments: [
+                {
+                  start: 0,
+                  end: 2.4,
+                  text: " Owner: She has been scratching.",
+                },
+              ],
+            }),
+          );
+        }
+        res.end(
+          JSON.stringify({ choices: [{ message: { content: llmReply } }] }),
+        );
+      });
+    });
+    const llmUrl = await listen(llmServer);
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    Object.assign(process.env, {
+      DATA_DIR: dataDir,
+      VET_ADMIN_PASSWORD: "test-password",
+      SESSION_SECRET: "test-secret",
+      // No triage LLM key: /api/analyze-triage uses the rule-based fallback
+      GROQ_KEY: "",
+      GROQ_API_KEY: "",
+      TRIAGE_LLM_VENDOR: "groq",
+      TRIAGE_LLM_KEY: "",
+      OPENAI_KEY: "",
+      OPENAI_API_KEY: "",
+      CALL_ANALYSIS_LLM_VENDOR: "openai-compatible",
+      CALL_ANALYSIS_LLM_URL: `${llmUrl}/v1/chat/completions`,
+      STT_VENDOR: "",
+      STT_URL: `${llmUrl}/v1/audio/transcriptions`,
+    });
+
+    app = require("../scripts/server");
+    server = http.createServer(app);
+    baseUrl = await listen(server);
+  });
+
+  after(() => {
+    server.close();
+    llmServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function post(route, body) {
+    return fetch(`${baseUrl}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("registers every route on a fresh server", async () => {
+    for (const route of [
+      "/api/analyze-call",
+      "/api/transcribe-call",
+      "/api/analyze-triage",
+    ]) {
+      const res = await post(route, {});
+      assert.strictEqual(res.status, 400, `${route} should validate its body`);
+    }
+  });
+
+  it("registers each route once, however many requests are made", async () => {
+    await post("/api/analyze-triage", { responses: [] });
+    await post("/api/analyze-triage", { responses: [] });
+
+    const routes = [];
+    const collect = (stack) =>
+      stack.forEach((layer) => {
+        if (layer.route) routes.push(layer.route.path);
+        if (layer.handle && layer.handle.stack) collect(layer.handle.stack);
+      });
+    collect(app._router.stack);
+
+    for (const route of [
+      "/analyze-triage",
+      "/transcribe-call",
+      "/analyze-call",
+    ]) {
+      assert.strictEqual(
+        routes.filter((p) => p === route).length,
+        1,
+        `${route} should be registered exactly once`,
+      );
+    }
+  });
+
+  it("analyzes triage answers with the rule-based fallback", async () => {
+    const res = await post("/api/analyze-triage", {
+      responses: [
+        {
+          question: "What is the main concern?",
+          response: "She had a seizure this morning",
+        },
+      ],
+      petInfo: { name: "Max" },
+    });
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.source, "rules");
+    assert.strictEqual(body.urgencyLevel, "High");
+  });
+
+  it("rejects triage answers that aren't question/response objects", async () => {
+    for (const responses of [
+      [null],
+      ["She is limping"],
+      [{ question: "Eating?", response: { text: "No" } }],
+    ]) {
+      const res = await post("/api/analyze-triage", { responses });
+      assert.strictEqual(res.status, 400);
+      assert.match((await res.json()).error, /^responses\[0\]/);
+    }
+  });
+
+  it("analyzes a call transcript through the configured LLM", async () => {
+    llmReply = JSON.stringify({
+      callSummary: "Checked ears",
+      urgencyLevel: "Low",
+    });
+    const res = await post("/api/analyze-call", {
+      transcript: "Vet: Her ears look a little red.",
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), {
+      callSummary: "Checked ears",
+      urgencyLevel: "Low",
+    });
+  });
+
+  it("accepts call recordings larger than the default body limit", async () => {
+    const res = await post("/api/transcribe-call", {
+      audioBase64: Buffer.alloc(512 * 1024).toString("base64"),
+    });
+    // Reaches the handler and the local engine instead of failing with 413
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.transcript, "Owner: She has been scratching.");
+    assert.strictEqual(body.wordCount, 5);
+    assert.deepStrictEqual(body.segments, [
+      { start: 0, end: 2.4, text: "Owner: She has been scratching." },
+    ]);
+  });
+});
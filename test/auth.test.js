@@ -0,0 +1,171 @@
+// Tests for vet sign-in: the login/logout routes, the signed session cookie,
+// requireVet, and the booking changes only a signed-in vet may make.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createVetAccounts } = require("../scripts/lib/vet-accounts");
+const {
+  createSessionManager,
+  parseCookies,
+  COOKIE_NAME,
+} = require("../scripts/lib/sessions");
+const { createAuthRouter } = require("../scripts/routes/auth");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createBookingsRouter } = require("../scripts/routes/bookings");
+
+describe("vet auth", () => {
+  let dataDir;
+  let server;
+  let baseUrl;
+  let store;
+  const accounts = {};
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    Object.assign(
+      accounts,
+      createVetAccounts({ file: path.join(dataDir, "vets.json") }),
+    );
+    await accounts.add({
+      username: "drsmith",
+      name: "Dr. Smith",
+      password: "correct horse",
+    });
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+
+    const sessions = createSessionManager({ secret: "test-secret" });
+    const app = express();
+    app.use(express.json());
+    app.use("/auth", createAuthRouter({ accounts, sessions }));
+    app.use(
+      "/bookings",
+      createBookingsRouter(store, { readVet: sessions.read }),
+    );
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function login(username, password) {
+    return fetch(`${baseUrl}/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+  }
+
+  async function sessionCookie() {
+    const res = await login("drsmith", "correct horse");
+    return res.headers.get("set-cookie").split(";")[0];
+  }
+
+  const me = (cookie) =>
+    fetch(`${baseUrl}/auth/me`, { headers: cookie ? { Cookie: cookie } : {} });
+
+  it("signs in with the right password and sets a signed HttpOnly cookie", async () => {
+    const res = await login("drsmith", "correct horse");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), {
+      username: "drsmith",
+      name: "Dr. Smith",
+      role: "vet",
+    });
+    const setCookie = res.headers.get("set-cookie");
+    assert.match(setCookie, new RegExp(`^${COOKIE_NAME}=[\\w-]+\\.[\\w-]+;`));
+    assert.match(setCookie, /HttpOnly/);
+
+    const cookie = setCookie.split(";")[0];
+    assert.strictEqual((await (await me(cookie)).json()).username, "drsmith");
+  });
+
+  it("refuses bad credentials and missing fields", async () => {
+    assert.strictEqual((await login("drsmith", "wrong")).status, 401);
+    assert.strictEqual((await login("nobody", "correct horse")).status, 401);
+    assert.strictEqual((await login("drsmith", "")).status, 400);
+  });
+
+  it("answers 500 when the account store fails", async () => {
+    const authenticate = accounts.authenticate;
+    accounts.authenticate = async () => {
+      throw new Error("disk gone");
+    };
+    try {
+      const res = await login("drsmith", "correct horse");
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual((await res.json()).error, "Login failed");
+    } finally {
+      accounts.authenticate = authenticate;
+    }
+  });
+
+  it("requires a valid, untampered session cookie", async () => {
+    assert.strictEqual((await me()).status, 401);
+
+    const cookie = await sessionCookie();
+    const [id, signature] = cookie.split("=")[1].split(".");
+    const forged = `${COOKIE_NAME}=${id}.${signature.slice(1)}x`;
+    assert.strictEqual((await me(forged)).status, 401);
+    const unsigned = `${COOKIE_NAME}=${id}`;
+    assert.strictEqual((await me(unsigned)).status, 401);
+  });
+
+  it("treats a malformed cookie as signed out", async () => {
+    assert.strictEqual((await me(`${COOKIE_NAME}=%E0`)).status, 401);
+    assert.deepStrictEqual(parseCookies(`a=%E0; ${COOKIE_NAME}=x%2Ey`), {
+      [COOKIE_NAME]: "x.y",
+    });
+  });
+
+  it("ends the session on logout", async () => {
+    const cookie = await sessionCookie();
+    const res = await fetch(`${baseUrl}/auth/logout`, {
+      method: "POST",
+      headers: { Cookie: cookie },
+    });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get("set-cookie"), new RegExp(`${COOKIE_NAME}=;`));
+    assert.strictEqual((await me(cookie)).status, 401);
+  });
+
+  it("only lets a signed-in vet make vet-only booking changes", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    const patch = (body, cookie) =>
+      fetch(`${baseUrl}/bookings/${booking.id}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          ...(cookie ? { Cookie: cookie } : {}),
+        },
+        body: JSON.stringify(body),
+      });
+
+    assert.strictEqual(
+      (await patch({ status: "accepted", version: 1 })).status,
+      401,
+    );
+    assert.strictEqual(
+      (await patch({ consultSummary: "All fine", version: 1 })).status,
+      401,
+    );
+    // Owners still record their triage
+    assert.strictEqual(
+      (await patch({ status: "triaged", notes: "Limping", version: 1 })).status,
+      200,
+    );
+
+    const cookie = await sessionCookie();
+    const accepted = await patch({ status: "accepted", version: 2 }, cookie);
+    assert.strictEqual(accepted.status, 200);
+    assert.strictEqual((await accepted.json()).status, "accepted");
+  });
+});
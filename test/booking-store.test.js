@@ -0,0 +1,134 @@
+// Tests for the booking store's optimistic concurrency and field checks, and
+// the bookings router's version handling.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createBookingsRouter } = require("../scripts/routes/bookings");
+
+describe("booking store", () => {
+  let dataDir;
+  let store;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+    const app = express();
+    app.use(express.json());
+    app.use("/bookings", createBookingsRouter(store));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/bookings`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("rejects an update made against an old version", () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    assert.strictEqual(booking.version, 1);
+
+    const updated = store.update(booking.id, { notes: "Limping" }, 1);
+    assert.strictEqual(updated.version, 2);
+
+    assert.throws(
+      () => store.update(booking.id, { notes: "Coughing" }, 1),
+      (err) => {
+        assert.strictEqual(err.code, "VERSION_CONFLICT");
+        assert.strictEqual(err.current.version, 2);
+        assert.strictEqual(err.current.notes, "Limping");
+        return true;
+      },
+    );
+    assert.strictEqual(store.get(booking.id).notes, "Limping");
+
+    // Kept across a restart
+    const reloaded = createBookingStore({
+      file: path.join(dataDir, "bookings.json"),
+    });
+    assert.strictEqual(reloaded.get(booking.id).version, 2);
+  });
+
+  it("stores the triage summary as lines whichever shape it is sent in", () => {
+    const booking = store.create({
+      vetId: "dr-a",
+      vetName: "Dr. A",
+      triageSummary: {
+        urgencyLevel: "High",
+        urgencyReason: "Breathing fast",
+        keyFindings: ["Panting at rest", 42, null],
+        responses: [{ question: "q", response: "a" }],
+      },
+    });
+    assert.deepStrictEqual(booking.triageSummary, [
+      "Urgency: High - Breathing fast",
+      "Panting at rest",
+      "42",
+    ]);
+    assert.throws(() => store.update(booking.id, { triageSummary: "oops" }), {
+      code: "INVALID_BOOKING",
+      message: /triageSummary must be/,
+    });
+    assert.strictEqual(store.get(booking.id).triageSummary.length, 3);
+  });
+
+  it("gives bookings unguessable ids", () => {
+    const { id } = store.create({ vetId: "dr-a" });
+    assert.match(
+      id,
+      /^booking-[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+    );
+    assert.notStrictEqual(store.create({ vetId: "dr-a" }).id, id);
+  });
+
+  it("rejects malformed fields", () => {
+    assert.throws(() => store.create({ vetId: "dr-a", notes: { text: "x" } }), {
+      code: "INVALID_BOOKING",
+      message: /notes must be text/,
+    });
+    assert.throws(
+      () => store.create({ vetId: "dr-a", availability: "tomorrow" }),
+      { code: "INVALID_BOOKING" },
+    );
+    const booking = store.create({ vetId: "dr-a" });
+    assert.throws(() => store.update(booking.id, { petInfo: "Rex" }), {
+      code: "INVALID_BOOKING",
+    });
+    assert.throws(() => store.update(booking.id, { status: "done" }), {
+      code: "INVALID_BOOKING",
+    });
+  });
+
+  it("needs the version on PATCH and answers 409 with the current booking", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    const patch = (body, headers = {}) =>
+      fetch(`${baseUrl}/${booking.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+
+    assert.strictEqual((await patch({ notes: "x" })).status, 428);
+
+    const ok = await patch({ notes: "Limping" }, { "If-Match": '"1"' });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(ok.headers.get("etag"), '"2"');
+
+    const stale = await patch({ notes: "Coughing", version: 1 });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual((await stale.json()).booking.notes, "Limping");
+
+    const invalid = await patch({ notes: 5, version: 2 });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).code, "INVALID_BOOKING");
+  });
+});
@@ -0,0 +1,306 @@
+// Tests for resumable call audio uploads and the background transcription
+// job, with a fake transcriber.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createCallAudioRouter } = require("../scripts/routes/call-audio");
+const { createCallAudioUploads } = require("../scripts/lib/call-audio-uploads");
+const {
+  createTranscriptionJobs,
+} = require("../scripts/lib/transcription-jobs");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+describe("call audio uploads", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+  let store;
+  let jobs;
+  let booking;
+  const transcribed = [];
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+    booking = store.create({ vetId: "dr-a" });
+    const uploads = createCallAudioUploads({
+      file: path.join(dataDir, "call-audio-uploads.json"),
+      dir: path.join(dataDir, "call-audio"),
+    });
+    jobs = createTranscriptionJobs({
+      file: path.join(dataDir, "transcription-jobs.json"),
+      uploads,
+      bookingStore: store,
+      transcribe: async ({ file }) => {
+        transcribed.push(fs.readFileSync(file));
+        return {
+          transcript: "Rex looks well.",
+          wordCount: 3,
+          segments: [{ start: 0.5, end: 2, text: "Rex looks well." }],
+        };
+      },
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(
+      "/call-audio",
+      createCallAudioRouter({ uploads, jobs, bookingStore: store }),
+    );
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/call-audio`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function declare(audio) {
+    return fetch(`${baseUrl}/uploads`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        bookingId: booking.id,
+        contentType: "audio/webm;codecs=opus",
+        size: audio.length,
+        sha256: sha256(audio),
+        speaker: "vet",
+        callStartedAt: "2026-03-02T10:00:00.000Z",
+        offsetMs: 2000,
+      }),
+    });
+  }
+
+  function putChunk(uploadId, offset, chunk, checksum = sha256(chunk)) {
+    return fetch(`${baseUrl}/uploads/${uploadId}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "X-Upload-Offset": String(offset),
+        "X-Chunk-SHA256": checksum,
+      },
+      body: chunk,
+    });
+  }
+
+  it("resumes a chunked upload and transcribes it in the background", async () => {
+    const audio = crypto.randomBytes(300 * 1024);
+    const created = await declare(audio);
+    assert.strictEqual(created.status, 201);
+    const { upload } = await created.json();
+
+    const first = audio.subarray(0, 100 * 1024);
+    assert.strictEqual((await putChunk(upload.id, 0, first)).status, 200);
+
+    // Resent after a dropped connection: the server says where it is
+    const again = await putChunk(upload.id, 0, first);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual((await again.json()).offset, first.length);
+
+    const rest = audio.subarray(first.length);
+    const corrupted = await putChunk(
+      upload.id,
+      first.length,
+      rest,
+      sha256("x"),
+    );
+    assert.strictEqual(corrupted.status, 400);
+    assert.strictEqual((await corrupted.json()).code, "CHECKSUM_MISMATCH");
+
+    const early = await fetch(`${baseUrl}/uploads/${upload.id}/complete`, {
+      method: "POST",
+    });
+    assert.strictEqual(early.status, 409);
+
+    assert.strictEqual(
+      (await putChunk(upload.id, first.length, rest)).status,
+      200,
+    );
+    const completed = await fetch(`${baseUrl}/uploads/${upload.id}/complete`, {
+      method: "POST",
+    });
+    assert.strictEqual(completed.status, 202);
+    const { job } = await completed.json();
+    assert.strictEqual(job.bookingId, booking.id);
+
+    await jobs.tick();
+    const polled = await (await fetch(`${baseUrl}/jobs/${job.id}`)).json();
+    assert.strictEqual(polled.job.status, "done");
+    assert.strictEqual(polled.job.progress, 1);
+    assert.ok(transcribed[0].equals(audio), "assembled file matches");
+    assert.deepStrictEqual(store.get(booking.id).transcript, [
+      "Vet: Rex looks well.",
+    ]);
+    // Timed from the start of the call, played from the start of the upload
+    assert.deepStrictEqual(store.get(booking.id).conversation, [
+      {
+        speaker: "vet",
+        start: 2.5,
+        end: 4,
+        text: "Rex looks well.",
+        callStartedAt: "2026-03-02T10:00:00.000Z",
+        uploadId: upload.id,
+        audioStart: 0.5,
+      },
+    ]);
+
+    const seek = await fetch(`${baseUrl}/uploads/${upload.id}/audio`, {
+      headers: { Range: "bytes=1024-2047" },
+    });
+    assert.strictEqual(seek.status, 206);
+    assert.strictEqual(seek.headers.get("content-type"), "audio/webm");
+    assert.ok(
+      Buffer.from(await seek.arrayBuffer()).equals(audio.subarray(1024, 2048)),
+    );
+  });
+
+  it("rejects an assembled file that doesn't match its checksum", async () => {
+    const audio = crypto.randomBytes(1024);
+    const { upload } = await (
+      await fetch(`${baseUrl}/uploads`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          bookingId: booking.id,
+          contentType: "audio/webm",
+          size: audio.length,
+          sha256: sha256("something else"),
+        }),
+      })
+    ).json();
+    await putChunk(upload.id, 0, audio);
+
+    const res = await fetch(`${baseUrl}/uploads/${upload.id}/complete`, {
+      method: "POST",
+    });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(await res.json(), {
+      error: "The uploaded file does not match its checksum; upload it again",
+      code: "CHECKSUM_MISMATCH",
+      offset: 0,
+    });
+  });
+
+  it("uploads one recording per booking at a time", async () => {
+    const other = store.create({ vetId: "dr-a" });
+    const declareFor = (audio) =>
+      fetch(`${baseUrl}/uploads`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          bookingId: other.id,
+          contentType: "audio/webm",
+          size: audio.length,
+          sha256: sha256(audio),
+        }),
+      });
+    const first = crypto.randomBytes(1024);
+    const created = await declareFor(first);
+    assert.strictEqual(created.status, 201);
+    const { upload } = await created.json();
+
+    // Declaring the same file again resumes it
+    const again = await declareFor(first);
+    assert.strictEqual((await again.json()).upload.id, upload.id);
+
+    const second = await declareFor(crypto.randomBytes(2048));
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual((await second.json()).code, "UPLOAD_IN_PROGRESS");
+
+    await putChunk(upload.id, 0, first);
+    await fetch(`${baseUrl}/uploads/${upload.id}/complete`, { method: "POST" });
+    assert.strictEqual(
+      (await declareFor(crypto.randomBytes(2048))).status,
+      201,
+    );
+  });
+
+  it("caps the bytes all unfinished uploads may reserve", () => {
+    const uploads = createCallAudioUploads({
+      file: path.join(dataDir, "capped-uploads.json"),
+      dir: path.join(dataDir, "capped"),
+      maxPendingBytes: 3000,
+    });
+    const declareFor = (bookingId, size) =>
+      uploads.create({
+        bookingId,
+        contentType: "audio/webm",
+        size,
+        sha256: sha256(bookingId),
+      });
+
+    declareFor("booking-a", 2000);
+    assert.throws(() => declareFor("booking-b", 1500), {
+      code: "PENDING_UPLOADS_FULL",
+    });
+    declareFor("booking-b", 1000);
+  });
+});
+
+describe("transcription jobs", () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it("saves a transcript in one write and only once across retries", async () => {
+    const store = createBookingStore({
+      file: path.join(dataDir, "bookings.json"),
+    });
+    const booking = store.create({ vetId: "dr-a" });
+    const { version } = booking;
+    const upload = {
+      id: "upload-1",
+      bookingId: booking.id,
+      speaker: "owner",
+      fileName: "call.webm",
+      contentType: "audio/webm",
+    };
+    let clock = Date.parse("2026-03-02T10:00:00.000Z");
+    let published = 0;
+    const jobs = createTranscriptionJobs({
+      file: path.join(dataDir, "transcription-jobs.json"),
+      uploads: { get: () => upload, filePath: () => "unused" },
+      bookingStore: store,
+      // The first publish fails after the booking was saved
+      events: {
+        publish: () => {
+          published += 1;
+          if (published === 1) throw new Error("subscriber crashed");
+        },
+      },
+      transcribe: async () => ({
+        transcript: "He has been limping.",
+        wordCount: 4,
+        segments: [{ start: 0, end: 1.5, text: "He has been limping." }],
+      }),
+      now: () => clock,
+    });
+
+    const job = jobs.enqueue(upload);
+    await jobs.tick();
+    assert.strictEqual(jobs.get(job.id).status, "queued");
+    assert.strictEqual(store.get(booking.id).version, version + 1);
+
+    clock += 60 * 1000;
+    await jobs.tick();
+    assert.strictEqual(jobs.get(job.id).status, "done");
+    const saved = store.get(booking.id);
+    assert.deepStrictEqual(saved.transcript, ["Owner: He has been limping."]);
+    assert.strictEqual(saved.conversation.length, 1);
+    assert.strictEqual(saved.version, version + 1);
+  });
+});
@@ -0,0 +1,115 @@
+// Tests for the vet queue's priority scoring.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  parseAgeYears,
+  scoreCall,
+  prioritize,
+  bookingToCall,
+} = require("../scripts/lib/call-priority");
+
+const NOW = Date.parse("2026-01-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+describe("call priority", () => {
+  it("reads the ages owners type in", () => {
+    assert.strictEqual(parseAgeYears("3 years"), 3);
+    assert.strictEqual(parseAgeYears("6 months"), 0.5);
+    assert.strictEqual(parseAgeYears("2"), 2);
+    assert.strictEqual(parseAgeYears("Not specified"), null);
+  });
+
+  it("explains the score with its factors", () => {
+    const priority = scoreCall(
+      {
+        urgencyLevel: "high",
+        waitingSince: minutesAgo(10),
+        petInfo: { type: "rabbit", typeName: "Rabbit", age: "11 years" },
+      },
+      { now: NOW },
+    );
+    assert.strictEqual(priority.urgencyLevel, "High");
+    assert.strictEqual(priority.score, 60 + 5 + 10 + 10);
+    assert.strictEqual(
+      priority.reason,
+      "High urgency (+60), Waiting 10 min (+5), Rabbit (hides illness) (+10), Senior (+10)",
+    );
+  });
+
+  it("lets low-urgency calls overtake newer urgent ones as they wait", () => {
+    const calls = [
+      { id: "high", urgencyLevel: "High", waitingSince: minutesAgo(1) },
+      { id: "low", urgencyLevel: "Low", waitingSince: minutesAgo(30) },
+    ];
+    const order = (c) =>
+      prioritize(c, (call) => call, { now: NOW }).map((call) => call.id);
+
+    assert.deepStrictEqual(order(calls), ["high", "low"]);
+    calls[1].waitingSince = minutesAgo(120);
+    assert.deepStrictEqual(order(calls), ["low", "high"]);
+  });
+
+  it("puts escalated bookings first and reads older triage summaries", () => {
+    const bookings = [
+      {
+        id: "triaged",
+        createdAt: minutesAgo(20),
+        triageSummary: ["Urgency: High - Breathing problems"],
+      },
+      {
+        id: "emergency",
+        createdAt: minutesAgo(2),
+        triageUrgency: { level: "Medium" },
+        emergency: { flags: [{ id: "seizure", label: "Seizures" }] },
+      },
+      { id: "new", createdAt: minutesAgo(40) },
+    ];
+    const sorted = prioritize(bookings, bookingToCall, { now: NOW });
+
+    assert.deepStrictEqual(
+      sorted.map((b) => b.id),
+      ["emergency", "triaged", "new"],
+    );
+    assert.strictEqual(sorted[1].priority.urgencyLevel, "High");
+    assert.match(sorted[0].priority.reason, /Emergency: Seizures \(\+120\)/);
+  });
+
+  it("reads the urgency from a triage summary object", () => {
+    const call = bookingToCall({
+      createdAt: minutesAgo(5),
+      triageSummary: { urgencyLevel: "Medium", keyFindings: ["Limping"] },
+    });
+    assert.strictEqual(call.urgencyLevel, "Medium");
+  });
+
+  it("keeps emergencies ahead of scheduled bookings made long ago", () => {
+    const bookings = [
+      {
+        id: "scheduled",
+        createdAt: minutesAgo(3 * 24 * 60),
+        slotStart: minutesAgo(5),
+        triageUrgency: { level: "High" },
+      },
+      {
+        id: "overdue",
+        createdAt: minutesAgo(3 * 24 * 60),
+        triageUrgency: { level: "High" },
+      },
+      {
+        id: "emergency",
+        createdAt: minutesAgo(1),
+        triageUrgency: { level: "Low" },
+        emergency: { flags: [{ id: "bleeding", label: "Bleeding" }] },
+      },
+    ];
+    const sorted = prioritize(bookings, bookingToCall, { now: NOW });
+
+    assert.deepStrictEqual(
+      sorted.map((b) => b.id),
+      ["emergency", "overdue", "scheduled"],
+    );
+    assert.match(sorted[2].priority.reason, /Waiting 5 min \(\+3\)/);
+    assert.match(sorted[1].priority.reason, /Waiting 4320 min \(\+60\)/);
+  });
+});
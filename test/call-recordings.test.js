@@ -0,0 +1,176 @@
+// Tests for server-side call recording: the booking lifecycle drives a fake
+// Agora Cloud Recording client, and the result is kept on the booking.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createCallRecorder,
+  recordingStorageFromEnv,
+} = require("../scripts/lib/call-recordings");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createEventHub } = require("../scripts/lib/event-hub");
+
+describe("call recorder", () => {
+  let dataDir;
+  let store;
+  let events;
+  let recorder;
+  let stopListening;
+  let stopError = null;
+  // While set, startRecording waits for it
+  let startGate = null;
+  const calls = [];
+  const published = [];
+
+  const storage = recordingStorageFromEnv({
+    RECORDING_BUCKET: "calls",
+    RECORDING_ACCESS_KEY: "minio",
+    RECORDING_SECRET_KEY: "minio-secret",
+    RECORDING_ENDPOINT: "https://minio.example:9000",
+  });
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+    events = createEventHub();
+    events.subscribe((event) => published.push(event.type));
+    recorder = createCallRecorder({
+      agora: {
+        isConfigured: () => true,
+        acquireRecording: async (args) => {
+          calls.push(["acquire", args]);
+          return `resource-${calls.length}`;
+        },
+        startRecording: async (args) => {
+          calls.push(["start", args]);
+          await startGate;
+          return { resourceId: args.resourceId, sid: "sid-1" };
+        },
+        stopRecording: async (args) => {
+          calls.push(["stop", args]);
+          if (stopError) throw stopError;
+          return {
+            serverResponse: {
+              fileList: [{ fileName: "recordings/a/sid-1.m3u8", uid: "0" }],
+            },
+          };
+        },
+      },
+      bookingStore: store,
+      events,
+      storage,
+      createToken: (channel, uid) => `token-${channel}-${uid}`,
+    });
+    stopListening = recorder.listen();
+  });
+
+  after(() => {
+    stopListening();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Status changes published the way the bookings router does
+  function setStatus(booking, status) {
+    const previousStatus = booking.status;
+    const updated = store.update(booking.id, { status });
+    events.publish(`booking.${status}`, { booking: updated, previousStatus });
+    return updated;
+  }
+
+  async function settle() {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  it("records a call while the booking is calling", async () => {
+    const booking = store.create({ vetId: "dr-a" });
+    setStatus(booking, "calling");
+    await settle();
+
+    const [acquire, start] = calls;
+    assert.deepStrictEqual(acquire, [
+      "acquire",
+      { channel: booking.id, uid: "30000" },
+    ]);
+    assert.strictEqual(start[1].mode, "mix");
+    assert.strictEqual(
+      start[1].clientRequest.token,
+      `token-${booking.id}-30000`,
+    );
+    const { storageConfig } = start[1].clientRequest;
+    assert.strictEqual(storageConfig.vendor, 11);
+    assert.deepStrictEqual(storageConfig.extensionParams, {
+      endpoint: "https://minio.example:9000",
+    });
+    assert.ok(
+      storageConfig.fileNamePrefix.every((p) => /^[A-Za-z0-9]+$/.test(p)),
+    );
+
+    let { recording } = store.get(booking.id);
+    assert.strictEqual(recording.status, "recording");
+    assert.strictEqual(recording.sid, "sid-1");
+    assert.ok(published.includes("booking.recording"));
+
+    setStatus(store.get(booking.id), "awaiting-summary");
+    await settle();
+    recording = store.get(booking.id).recording;
+    assert.strictEqual(recording.status, "stopped");
+    assert.deepStrictEqual(
+      recording.files.map((f) => f.fileName),
+      ["recordings/a/sid-1.m3u8"],
+    );
+  });
+
+  it("stops a recording that was still starting when the call ended", async () => {
+    let release;
+    startGate = new Promise((resolve) => (release = resolve));
+    const booking = store.create({ vetId: "dr-a" });
+    setStatus(booking, "calling");
+    await settle();
+    setStatus(store.get(booking.id), "awaiting-summary");
+    await settle();
+    assert.strictEqual(store.get(booking.id).recording.status, "acquired");
+
+    const stopsBefore = calls.filter(([name]) => name === "stop").length;
+    startGate = null;
+    release();
+    for (let i = 0; i < 5; i++) await settle();
+    assert.strictEqual(store.get(booking.id).recording.status, "stopped");
+    assert.strictEqual(
+      calls.filter(([name]) => name === "stop").length,
+      stopsBefore + 1,
+    );
+  });
+
+  it("counts a recorder that already left as stopped", async () => {
+    const booking = store.create({ vetId: "dr-a" });
+    await recorder.start(booking.id);
+
+    stopError = Object.assign(new Error("Stop recording: not found"), {
+      code: "AGORA_NOT_FOUND",
+    });
+    const recording = await recorder.stop(booking.id);
+    stopError = null;
+    assert.strictEqual(recording.status, "stopped");
+    assert.strictEqual(recording.error, null);
+  });
+
+  it("needs a bucket and keys before recording", async () => {
+    assert.strictEqual(recordingStorageFromEnv({}), null);
+    assert.throws(
+      () => recordingStorageFromEnv({ RECORDING_BUCKET: "calls" }),
+      { code: "RECORDING_CONFIG" },
+    );
+
+    const off = createCallRecorder({
+      agora: { isConfigured: () => true },
+      bookingStore: store,
+      storage: null,
+    });
+    await assert.rejects(off.start("booking-1"), {
+      code: "RECORDING_NOT_CONFIGURED",
+    });
+  });
+});
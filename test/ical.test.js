@@ -0,0 +1,131 @@
+// Tests for the iCalendar export of bookings and the per-vet feed.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  bookingToEvent,
+  buildCalendar,
+  escapeText,
+  foldLine,
+} = require("../scripts/lib/ical");
+const { createVetRoster } = require("../scripts/lib/vet-roster");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createVetsRouter } = require("../scripts/routes/vets");
+
+const BOOKING = {
+  id: "booking-1",
+  vetId: "dr-a",
+  vetName: "Dr. A",
+  status: "accepted",
+  version: 3,
+  slotStart: "2026-01-05T14:00:00.000Z",
+  createdAt: "2026-01-01T10:00:00.000Z",
+  updatedAt: "2026-01-02T10:00:00.000Z",
+  notes: "Itchy ears, scratching; worse at night",
+  petInfo: { name: "Rex", typeName: "Dog", age: "3 years" },
+};
+
+describe("ical", () => {
+  it("escapes text and folds long lines at 75 octets", () => {
+    assert.strictEqual(escapeText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+
+    const folded = foldLine(`SUMMARY:${"é".repeat(60)}`);
+    const lines = folded.split("\r\n");
+    assert.ok(lines.every((l) => Buffer.byteLength(l) <= 75));
+    assert.ok(lines.slice(1).every((l) => l.startsWith(" ")));
+    assert.strictEqual(
+      lines.map((l, i) => (i ? l.slice(1) : l)).join(""),
+      `SUMMARY:${"é".repeat(60)}`,
+    );
+  });
+
+  it("turns a booking into a calendar event", () => {
+    const ics = buildCalendar({
+      events: [
+        bookingToEvent(BOOKING, {
+          joinUrl: "https://vet.example/join",
+          durationMinutes: 45,
+        }),
+      ],
+    });
+    const unfolded = ics.replace(/\r\n /g, "");
+
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(ics), "lines end with CRLF");
+    assert.match(unfolded, /\r\nUID:booking-1@vetai-triage\r\n/);
+    assert.match(unfolded, /\r\nSEQUENCE:3\r\n/);
+    assert.match(unfolded, /\r\nDTSTART:20260105T140000Z\r\n/);
+    assert.match(unfolded, /\r\nDTEND:20260105T144500Z\r\n/);
+    assert.match(unfolded, /\r\nSUMMARY:Vet consultation: Rex with Dr\. A\r\n/);
+    assert.match(unfolded, /Notes: Itchy ears\\, scratching\\; worse at night/);
+    assert.match(unfolded, /\r\nURL:https:\/\/vet\.example\/join\r\n/);
+    assert.match(unfolded, /\r\nSTATUS:CONFIRMED\r\n/);
+  });
+});
+
+describe("vet calendar feed", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    const bookingStore = createBookingStore({
+      file: path.join(dataDir, "bookings.json"),
+    });
+    bookingStore.create({ vetId: "dr-a", vetName: "Dr. A", notes: "Limping" });
+    bookingStore.create({ vetId: "dr-b", vetName: "Dr. B" });
+
+    const app = express();
+    app.use(
+      "/vets",
+      createVetsRouter({
+        roster: createVetRoster({ file: path.join(dataDir, "roster.json") }),
+        bookingStore,
+        feedSecret: "test-secret",
+        requireVet: (req, res, next) => {
+          req.vet = { username: req.get("X-Vet"), role: "vet" };
+          next();
+        },
+      }),
+    );
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("serves a vet's bookings to whoever has their feed URL", async () => {
+    const other = await fetch(`${baseUrl}/vets/dr-a/calendar-feed`, {
+      headers: { "X-Vet": "dr-b" },
+    });
+    assert.strictEqual(other.status, 403);
+
+    const { url, webcalUrl } = await (
+      await fetch(`${baseUrl}/vets/dr-a/calendar-feed`, {
+        headers: { "X-Vet": "dr-a" },
+      })
+    ).json();
+    assert.ok(webcalUrl.startsWith("webcal://"));
+
+    const feed = await fetch(url);
+    assert.strictEqual(feed.status, 200);
+    assert.match(feed.headers.get("content-type"), /^text\/calendar/);
+    const ics = await feed.text();
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 1);
+    assert.match(ics, /Notes: Limping/);
+    assert.match(ics, /STATUS:TENTATIVE/);
+
+    const forged = await fetch(url.replace("dr-a", "dr-b"));
+    assert.strictEqual(forged.status, 403);
+  });
+});
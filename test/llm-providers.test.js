@@ -0,0 +1,196 @@
+// Tests for the LLM vendors: config from the environment, key lookup, the
+// agent join block, and chatCompletion against a fake Chat Completions server.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+  validateLlmConfig,
+  hasLlmCredentials,
+  resolveLlm,
+  buildAgentLlmBlock,
+  chatCompletion,
+  llmConfigFromEnv,
+} = require("../scripts/lib/llm-providers");
+
+describe("LLM vendors", () => {
+  it("reads a config from prefixed environment variables", () => {
+    assert.deepStrictEqual(
+      llmConfigFromEnv("TRIAGE_LLM", {
+        TRIAGE_LLM_VENDOR: "openai",
+        TRIAGE_LLM_MODEL: "gpt-4o",
+        TRIAGE_LLM_KEY: "sk-triage",
+        TRIAGE_LLM_TEMPERATURE: "0",
+        TRIAGE_LLM_TIMEOUT_MS: "5000",
+      }),
+      {
+        vendor: "openai",
+        model: "gpt-4o",
+        apiKey: "sk-triage",
+        temperature: 0,
+        timeoutMs: 5000,
+      },
+    );
+    // A URL alone means an openai-compatible server; nothing set means Groq
+    assert.strictEqual(
+      llmConfigFromEnv("X", { X_URL: "http://ollama:11434/v1" }).vendor,
+      "openai-compatible",
+    );
+    assert.deepStrictEqual(llmConfigFromEnv("X", {}), {
+      vendor: "groq",
+      timeoutMs: 20000,
+    });
+  });
+
+  it("validates vendors and vendor-specific options", () => {
+    assert.deepStrictEqual(
+      validateLlmConfig({ vendor: "bedrock", region: "eu-west-1" }),
+      [],
+    );
+    assert.deepStrictEqual(
+      validateLlmConfig({ vendor: "openai", url: "http://x" }),
+      ["$.llm.url: not supported by openai"],
+    );
+    assert.match(
+      validateLlmConfig({ vendor: "claude" })[0],
+      /^\$\.llm\.vendor: must be one of groq, openai, bedrock, openai-compatible/,
+    );
+    assert.throws(
+      () => resolveLlm({ vendor: "claude" }, {}),
+      /Unknown LLM vendor/,
+    );
+  });
+
+  it("finds keys in the config or the vendor's environment variables", () => {
+    assert.strictEqual(hasLlmCredentials({ vendor: "groq" }, {}), false);
+    assert.strictEqual(
+      hasLlmCredentials({ vendor: "groq" }, { GROQ_API_KEY: "gsk" }),
+      true,
+    );
+    assert.strictEqual(
+      hasLlmCredentials({ vendor: "openai", apiKey: "sk" }, {}),
+      true,
+    );
+    // The key is optional for self-hosted servers
+    assert.strictEqual(
+      hasLlmCredentials({ vendor: "openai-compatible" }, {}),
+      true,
+    );
+    assert.throws(() => resolveLlm({ vendor: "openai" }, {}), {
+      code: "MISSING_SECRET",
+      message: /OPENAI_KEY is not set/,
+    });
+  });
+
+  it("builds the agent join block with the vendor's URL and defaults", () => {
+    assert.deepStrictEqual(
+      buildAgentLlmBlock(
+        { vendor: "bedrock", region: "eu-central-1", max_tokens: 512 },
+        { LLM_AWS_BEDROCK_KEY: "br-key" },
+      ),
+      {
+        url: "https://bedrock-runtime.eu-central-1.amazonaws.com/openai/v1/chat/completions",
+        api_key: "br-key",
+        params: { model: "openai.gpt-oss-120b-1:0", max_tokens: 512 },
+      },
+    );
+    assert.deepStrictEqual(
+      buildAgentLlmBlock({ vendor: "openai-compatible" }, {}),
+      {
+        url: "http://localhost:11434/v1/chat/completions",
+        api_key: "",
+        params: { model: "llama3.1" },
+      },
+    );
+  });
+
+  describe("chatCompletion", () => {
+    let server;
+    let url;
+    let requests = [];
+    let reply;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", (c) => chunks.push(c));
+        req.on("end", () => {
+          requests.push({ req, body: JSON.parse(Buffer.concat(chunks)) });
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify(reply));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+    });
+
+    after(() => server.close());
+
+    const messages = [{ role: "user", content: "Is chocolate toxic to dogs?" }];
+
+    it("posts the messages and returns the reply text", async () => {
+      requests = [];
+      reply = { choices: [{ message: { content: "Yes." } }] };
+      const content = await chatCompletion(
+        { vendor: "openai-compatible", url, apiKey: "local-key", model: "m" },
+        { messages, temperature: 0.2, maxTokens: 100, json: true },
+        {},
+      );
+      assert.strictEqual(content, "Yes.");
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(
+        requests[0].req.headers.authorization,
+        "Bearer local-key",
+      );
+      assert.deepStrictEqual(requests[0].body, {
+        model: "m",
+        messages,
+        temperature: 0.2,
+        max_tokens: 100,
+        response_format: { type: "json_object" },
+      });
+    });
+
+    it("lets the config's settings win and sends no key when there is none", async () => {
+      requests = [];
+      reply = { choices: [{ message: { content: "Yes." } }] };
+      await chatCompletion(
+        {
+          vendor: "openai-compatible",
+          url,
+          temperature: 0,
+          max_tokens: 50,
+        },
+        { messages, temperature: 0.7, maxTokens: 1000 },
+        {},
+      );
+      const { req, body } = requests[0];
+      assert.strictEqual(req.headers.authorization, undefined);
+      assert.strictEqual(body.model, "llama3.1");
+      assert.strictEqual(body.temperature, 0);
+      assert.strictEqual(body.max_tokens, 50);
+      assert.strictEqual("response_format" in body, false);
+    });
+
+    it("returns an empty string when the reply has no choices", async () => {
+      reply = { choices: [] };
+      assert.strictEqual(
+        await chatCompletion(
+          { vendor: "openai-compatible", url },
+          { messages },
+          {},
+        ),
+        "",
+      );
+    });
+
+    it("fails before sending when the vendor's key is missing", async () => {
+      requests = [];
+      await assert.rejects(
+        chatCompletion({ vendor: "groq" }, { messages }, {}),
+        { code: "MISSING_SECRET" },
+      );
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+});
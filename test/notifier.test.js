@@ -0,0 +1,264 @@
+// Tests for owner notifications: templates, the job scheduler and the SMTP
+// transport against a fake mail server.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createNotifier } = require("../scripts/lib/notifier");
+const {
+  createNotificationTemplates,
+} = require("../scripts/lib/notification-templates");
+const { createSmtpTransport } = require("../scripts/lib/notify-transports");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createEventHub } = require("../scripts/lib/event-hub");
+
+const templates = createNotificationTemplates();
+
+describe("notification templates", () => {
+  it("renders in the owner's language, falling back to English", () => {
+    const es = templates.render("vet-accepted", "es-MX", {
+      vetName: "Dra. Ruiz",
+    });
+    assert.strictEqual(es.language, "es");
+    assert.strictEqual(es.subject, "Dra. Ruiz ha aceptado tu consulta");
+    assert.match(es.text, /la consulta de tu mascota/);
+
+    assert.strictEqual(templates.render("reminder", "fr-FR").language, "en");
+  });
+});
+
+describe("notifier", () => {
+  let dataDir;
+  let store;
+  let events;
+  let notifier;
+  let clock;
+  const sent = [];
+  let webhookUp = false;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+    events = createEventHub();
+    clock = Date.parse("2026-03-02T12:00:00Z");
+    notifier = createNotifier({
+      file: path.join(dataDir, "notifications.json"),
+      templates,
+      bookingStore: store,
+      baseUrl: "https://vet.example",
+      pollMs: 60 * 60 * 1000,
+      now: () => clock,
+      transports: [
+        {
+          name: "record",
+          send: async (message) => sent.push(message),
+        },
+        {
+          name: "webhook",
+          send: async () => {
+            if (!webhookUp) throw new Error("connection refused");
+          },
+        },
+      ],
+    });
+    notifier.start(events);
+  });
+
+  after(() => {
+    notifier.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function book(data) {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A", ...data });
+    events.publish("booking.created", { booking });
+    return booking;
+  }
+
+  it("confirms a booking and reminds the owner before it starts", async () => {
+    const booking = book({
+      slotStart: "2026-03-02T14:00:00.000Z",
+      petInfo: { name: "Rex" },
+      contact: { email: "owner@example.com", language: "en-US" },
+    });
+    await notifier.tick();
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].type, "booking-confirmed");
+    assert.strictEqual(sent[0].to, "owner@example.com");
+    assert.match(sent[0].text, /Rex with Dr\. A is booked for Monday, March 2/);
+    assert.match(
+      sent[0].text,
+      new RegExp(`https://vet.example/api/bookings/${booking.id}/calendar.ics`),
+    );
+
+    clock = Date.parse("2026-03-02T13:44:00Z");
+    await notifier.tick();
+    assert.strictEqual(sent.length, 1, "not due before T-15 minutes");
+
+    clock = Date.parse("2026-03-02T13:45:00Z");
+    await notifier.tick();
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[1].type, "reminder");
+  });
+
+  it("retries only the transports that failed", async () => {
+    const booking = book({});
+    events.publish("booking.accepted", { booking });
+    await notifier.tick();
+
+    const job = notifier
+      .list({ bookingId: booking.id })
+      .find((j) => j.type === "vet-accepted");
+    assert.strictEqual(job.status, "scheduled");
+    assert.deepStrictEqual(job.delivered, ["record"]);
+    assert.match(job.error, /webhook: connection refused/);
+
+    const recorded = sent.length;
+    webhookUp = true;
+    clock += 60 * 1000;
+    await notifier.tick();
+    assert.strictEqual(
+      notifier.list({ bookingId: booking.id }).find((j) => j.id === job.id)
+        .status,
+      "sent",
+    );
+    assert.strictEqual(sent.length, recorded, "not recorded twice");
+  });
+
+  it("drops the reminder when the booking is cancelled", async () => {
+    const booking = book({ slotStart: "2026-03-03T09:00:00.000Z" });
+    await notifier.tick();
+    events.publish("booking.cancelled", { booking });
+
+    const reminder = notifier
+      .list({ bookingId: booking.id })
+      .find((j) => j.type === "reminder");
+    assert.strictEqual(reminder.status, "cancelled");
+  });
+});
+
+describe("smtp transport", () => {
+  let server;
+  let port;
+  const received = [];
+  const connections = [];
+
+  before(async () => {
+    // Just enough of an SMTP server: no STARTTLS, accepts everything but
+    // mail for bounce@example.com
+    server = net.createServer((socket) => {
+      let buffer = "";
+      let inData = false;
+      let data = "";
+      const commands = [];
+      connections.push(commands);
+      socket.write("220 fake ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf("\r\n")) !== -1) {
+          const line = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              received.push({ commands, data });
+              socket.write("250 queued\r\n");
+            } else {
+              data += `${line}\r\n`;
+            }
+            continue;
+          }
+          commands.push(line);
+          if (line.startsWith("EHLO")) {
+            socket.write("250-fake\r\n250 AUTH PLAIN\r\n");
+          } else if (line.startsWith("AUTH")) {
+            socket.write("235 ok\r\n");
+          } else if (line === "DATA") {
+            inData = true;
+            socket.write("354 go ahead\r\n");
+          } else if (line === "STARTTLS") {
+            socket.write("502 not implemented\r\n");
+          } else if (line.startsWith("RCPT TO:<bounce@")) {
+            socket.write("550 no such user\r\n");
+          } else if (line === "QUIT") {
+            socket.end("221 bye\r\n");
+          } else {
+            socket.write("250 ok\r\n");
+          }
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it("sends the owner a plain-text email", async () => {
+    const transport = createSmtpTransport({
+      host: "127.0.0.1",
+      port,
+      user: "paws",
+      pass: "secret",
+      allowInsecureAuth: true,
+      from: "Paws+ <no-reply@paws.example>",
+    });
+
+    assert.deepStrictEqual(await transport.send({ to: null }), {
+      skipped: true,
+    });
+    await transport.send({
+      to: "owner@example.com",
+      subject: "Tu consulta está reservada",
+      text: "Hola:\n\nHasta pronto.",
+    });
+
+    const [{ commands, data }] = received;
+    assert.deepStrictEqual(commands.slice(2, 5), [
+      "MAIL FROM:<no-reply@paws.example>",
+      "RCPT TO:<owner@example.com>",
+      "DATA",
+    ]);
+    assert.strictEqual(
+      commands[1],
+      `AUTH PLAIN ${Buffer.from("\0paws\0secret").toString("base64")}`,
+    );
+    const [headers, ...body] = data.split("\r\n\r\n");
+    assert.match(headers, /^Subject: =\?UTF-8\?[BQ]\?/im);
+    assert.match(headers, /^Content-Type: text\/plain; charset=utf-8/im);
+    assert.match(body.join("\r\n\r\n"), /^Hola:\r\n\r\nHasta pronto\./);
+  });
+
+  it("reports a refused message with the server's reply code", async () => {
+    const transport = createSmtpTransport({
+      host: "127.0.0.1",
+      port,
+      from: "no-reply@paws.example",
+    });
+    await assert.rejects(
+      transport.send({ to: "bounce@example.com", subject: "Hi", text: "Hi" }),
+      { code: "SMTP_REJECTED", smtpCode: 550 },
+    );
+  });
+
+  it("won't log in without TLS unless allowed", async () => {
+    const transport = createSmtpTransport({
+      host: "127.0.0.1",
+      port,
+      user: "paws",
+      pass: "secret",
+      from: "Paws+ <no-reply@paws.example>",
+    });
+    await assert.rejects(
+      transport.send({ to: "owner@example.com", subject: "Hi", text: "Hi" }),
+      { code: "SMTP_INSECURE_AUTH" },
+    );
+    const commands = connections.at(-1);
+    assert.ok(!commands.some((line) => line.startsWith("AUTH")));
+  });
+});
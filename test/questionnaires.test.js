@@ -0,0 +1,105 @@
+// Tests for questionnaire loading and for the agent prompt built from one.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createQuestionnaires } = require("../scripts/lib/questionnaires");
+const { createAgentProfiles } = require("../scripts/lib/agent-profiles");
+
+describe("questionnaires", () => {
+  let questionnaires;
+  let badDir;
+
+  before(() => {
+    questionnaires = createQuestionnaires();
+    badDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => {
+    fs.rmSync(badDir, { recursive: true, force: true });
+  });
+
+  it("asks species questions and wording only for that species", () => {
+    const dog = questionnaires.forPet("vet-triage", {
+      petName: "Rex",
+      petType: "Dog",
+    });
+    const fish = questionnaires.forPet("vet-triage", {
+      petName: "Nemo",
+      petType: "Fish",
+      species: "fish",
+    });
+
+    const ids = (q) => q.questions.map((question) => question.id);
+    assert.ok(ids(dog).includes("neutered"));
+    assert.ok(!ids(dog).includes("environment"));
+    assert.ok(!ids(fish).includes("neutered"));
+    assert.ok(ids(fish).includes("environment"));
+    assert.match(dog.questions[0].text, /Rex's breed/);
+    assert.match(fish.questions[0].text, /What kind of fish is Nemo/);
+  });
+
+  it("puts follow-ups under the question that triggers them", () => {
+    const prompt = questionnaires.buildPrompt("vet-triage", {
+      petName: "Rex",
+      species: "dog",
+    });
+    const lines = prompt.split("\n");
+
+    assert.match(lines[0], /^1\. "Let's start/);
+    const concern = lines.findIndex((l) => /main concern/.test(l));
+    assert.match(lines[concern], /^5\. /);
+    assert.match(
+      lines[concern + 1],
+      /Only if the answer to question 5 mentions "vomit".*How many times has Rex vomited/,
+    );
+  });
+
+  it("fills the vet-triage profile's prompt and greeting", () => {
+    const body = createAgentProfiles({ questionnaires }).buildJoinRequest(
+      "vet-triage",
+      {
+        channel: "room",
+        uid: 1,
+        variables: { petName: "Tom", petType: "Cat", species: "cat" },
+        env: {
+          GROQ_API_KEY: "key",
+          TTS_MINIMAX_KEY: "key",
+          TTS_MINIMAX_GROUPID: "group",
+        },
+      },
+    );
+    const { llm } = body.properties;
+
+    assert.match(llm.system_messages[0].content, /2\. "Is Tom spayed/);
+    assert.match(
+      llm.system_messages[0].content,
+      /information about Tom\. Goodbye/,
+    );
+    assert.match(llm.greeting_message, /Can you tell me Tom's breed/);
+  });
+
+  it("rejects follow-ups to questions that aren't asked before them", () => {
+    fs.writeFileSync(
+      path.join(badDir, "bad.json"),
+      JSON.stringify({
+        intro: "Hi",
+        closing: "Bye",
+        questions: [
+          {
+            id: "vomiting",
+            text: "How often?",
+            when: { question: "main_concern", mentions: ["vomit"] },
+          },
+          { id: "main_concern", text: "What's wrong?" },
+        ],
+      }),
+    );
+    assert.throws(() => createQuestionnaires({ dir: badDir }), {
+      code: "INVALID_QUESTIONNAIRE",
+      message: /main_concern is not an earlier question/,
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// Tests for live red-flag detection and booking escalation, with a real
+// booking store and an event hub that records what was published.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createRedFlagsRouter } = require("../scripts/routes/red-flags");
+const { detectRedFlags } = require("../scripts/lib/red-flags");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+
+describe("red-flag detection", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+  let bookingStore;
+  let booking;
+  const published = [];
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    bookingStore = createBookingStore({
+      file: path.join(dataDir, "bookings.json"),
+    });
+    booking = bookingStore.create({ vetId: "vet-1", vetName: "Dr. Test" });
+
+    const app = express();
+    app.use(express.json());
+    app.use(
+      "/red-flags",
+      createRedFlagsRouter({
+        bookingStore,
+        events: { publish: (type, data) => published.push({ type, data }) },
+        readVet: (req) => (req.get("X-Test-Vet") ? { username: "vet" } : null),
+      }),
+    );
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function check(body, headers = {}) {
+    const res = await fetch(`${baseUrl}/red-flags`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("leaves ordinary answers alone", async () => {
+    const { body } = await check({
+      text: "He has bad breath and is a bit itchy",
+      bookingId: booking.id,
+    });
+    assert.deepStrictEqual(body, { redFlags: [], escalated: false });
+    assert.strictEqual(bookingStore.get(booking.id).emergency, undefined);
+  });
+
+  it("ignores negated mentions and everyday wording", () => {
+    for (const text of [
+      "There's no blood in it",
+      "He's not bleeding",
+      "Nothing toxic that I know of",
+      "He's fit and healthy",
+      "She isn't having any trouble breathing",
+      "He hasn't had a seizure before",
+      "Without any convulsions",
+    ]) {
+      assert.deepStrictEqual(detectRedFlags(text), [], text);
+    }
+  });
+
+  it("still flags mentions that aren't negated", () => {
+    const ids = (text) => detectRedFlags(text).map((f) => f.id);
+    assert.deepStrictEqual(ids("He was having a fit"), ["seizure"]);
+    assert.deepStrictEqual(ids("I think she ate something toxic"), ["toxin"]);
+    assert.deepStrictEqual(ids("There's blood in his stool"), ["bleeding"]);
+    assert.deepStrictEqual(ids("It doesn't stop bleeding"), ["bleeding"]);
+    assert.deepStrictEqual(ids("He's no longer breathing"), ["breathing"]);
+    assert.deepStrictEqual(ids("No, but now she's struggling to breathe"), [
+      "breathing",
+    ]);
+    assert.deepStrictEqual(ids("He isn’t breathing"), ["breathing"]);
+  });
+
+  it("doesn't let an earlier negation hide a later symptom", () => {
+    const ids = (text) => detectRedFlags(text).map((f) => f.id);
+    assert.deepStrictEqual(ids("He is not eating and he is bleeding heavily"), [
+      "bleeding",
+    ]);
+    assert.deepStrictEqual(
+      ids("She has no appetite and had a seizure an hour ago"),
+      ["seizure"],
+    );
+    assert.deepStrictEqual(ids("He did not want to walk and then collapsed"), [
+      "collapse",
+    ]);
+    assert.deepStrictEqual(
+      ids("he hasnt eaten since he swallowed rat poison"),
+      ["toxin"],
+    );
+  });
+
+  it("escalates the booking on a red flag", async () => {
+    const { body } = await check({
+      text: "She's having trouble breathing and her gums look blue",
+      bookingId: booking.id,
+    });
+    assert.deepStrictEqual(body, {
+      redFlags: [{ id: "breathing", label: "Breathing difficulty" }],
+      escalated: true,
+    });
+
+    const { emergency } = bookingStore.get(booking.id);
+    assert.deepStrictEqual(
+      emergency.flags.map((f) => f.id),
+      ["breathing"],
+    );
+    assert.match(emergency.excerpt, /trouble breathing/);
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].type, "booking.emergency");
+  });
+
+  it("only publishes flags it hasn't seen for the booking", async () => {
+    await check({ text: "Still gasping", bookingId: booking.id });
+    assert.strictEqual(published.length, 1);
+
+    await check({
+      text: "I think he ate chocolate too",
+      bookingId: booking.id,
+    });
+    assert.strictEqual(published.length, 2);
+    assert.deepStrictEqual(
+      bookingStore.get(booking.id).emergency.flags.map((f) => f.id),
+      ["breathing", "toxin"],
+    );
+  });
+
+  it("detects without a booking and validates the text", async () => {
+    const { body } = await check({ text: "He had a seizure" });
+    assert.deepStrictEqual(body.redFlags, [
+      { id: "seizure", label: "Seizures" },
+    ]);
+    assert.strictEqual(body.escalated, false);
+
+    assert.strictEqual((await check({})).status, 400);
+    assert.strictEqual((await check({ text: "x".repeat(2001) })).status, 400);
+  });
+
+  it("only lets owners escalate bookings that exist and are still open", async () => {
+    const missing = await check({ text: "Gasping", bookingId: "booking-x" });
+    assert.strictEqual(missing.status, 404);
+
+    const closed = bookingStore.create({ vetId: "vet-1", vetName: "Dr. Test" });
+    bookingStore.update(closed.id, { status: "cancelled" });
+    const refused = await check({ text: "Gasping", bookingId: closed.id });
+    assert.strictEqual(refused.status, 409);
+    assert.strictEqual(bookingStore.get(closed.id).emergency, undefined);
+
+    const byVet = await check(
+      { text: "Gasping", bookingId: closed.id },
+      { "X-Test-Vet": "1" },
+    );
+    assert.strictEqual(byVet.body.escalated, true);
+  });
+});
@@ -0,0 +1,224 @@
+// Tests for SOAP note drafting, section editing and signed versions, with a
+// fake Chat Completions server standing in for the LLM.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createSoapNotes } = require("../scripts/lib/soap-notes");
+const { createSoapNotesRouter } = require("../scripts/routes/soap-notes");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    ),
+  );
+}
+
+describe("SOAP notes", () => {
+  let server;
+  let llmServer;
+  let baseUrl;
+  let dataDir;
+  let store;
+  let prompts = [];
+  const published = [];
+
+  before(async () => {
+    llmServer = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        prompts.push(JSON.parse(body).messages[0].content);
+        res.setHeader("Content-Type", "application/json");
+        const note = {
+          subjective: "Scratching her left ear for three days.",
+          objective: "Ear canal red on camera.",
+          assessment: "Likely otitis externa.",
+          plan: "Ear drops twice daily for a week.",
+        };
+        res.end(
+          JSON.stringify({
+            choices: [{ message: { content: JSON.stringify(note) } }],
+          }),
+        );
+      });
+    });
+    const llmUrl = await listen(llmServer);
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    store = createBookingStore({ file: path.join(dataDir, "bookings.json") });
+    const soapNotes = createSoapNotes({
+      bookingStore: store,
+      events: { publish: (type, data) => published.push({ type, data }) },
+      llm: {
+        vendor: "openai-compatible",
+        url: `${llmUrl}/v1/chat/completions`,
+      },
+      env: {},
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(
+      "/soap-notes",
+      (req, res, next) => {
+        req.vet = { username: "drsmith", name: "Dr. Smith", role: "vet" };
+        next();
+      },
+      createSoapNotesRouter({ soapNotes }),
+    );
+    server = http.createServer(app);
+    baseUrl = `${await listen(server)}/soap-notes`;
+  });
+
+  after(() => {
+    server.close();
+    llmServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function call(method, route, body) {
+    return fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  it("drafts from the call, edits a section and signs off versions", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    store.update(booking.id, {
+      status: "awaiting-summary",
+      triageSummary: ["Ear scratching"],
+    });
+    store.updateServerFields(booking.id, {
+      conversation: [
+        { speaker: "owner", start: 1, end: 3, text: "She keeps scratching." },
+      ],
+    });
+
+    const drafted = await call("POST", `/${booking.id}/draft`);
+    assert.strictEqual(drafted.status, 200);
+    const { soapNote } = await drafted.json();
+    assert.strictEqual(soapNote.draft.source, "ai");
+    assert.strictEqual(soapNote.draft.assessment, "Likely otitis externa.");
+    assert.match(prompts[0], /Owner: She keeps scratching\./);
+    assert.match(prompts[0], /Ear scratching/);
+
+    const edited = await call("PUT", `/${booking.id}/sections/plan`, {
+      text: "Ear drops twice daily for 10 days; recheck if no better.",
+    });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(
+      (await edited.json()).soapNote.draft.updatedBy,
+      "drsmith",
+    );
+
+    const signed = await (await call("POST", `/${booking.id}/sign`)).json();
+    assert.strictEqual(signed.version.version, 1);
+    assert.deepStrictEqual(signed.version.signedBy, {
+      username: "drsmith",
+      name: "Dr. Smith",
+    });
+    assert.strictEqual(signed.soapNote.draft, null);
+    const current = store.get(booking.id);
+    assert.strictEqual(current.status, "summary-ready");
+    assert.match(
+      current.consultSummary,
+      /^Subjective:\nScratching.*\n\nObjective:/,
+    );
+    assert.match(current.consultSummary, /recheck if no better\.$/);
+    assert.strictEqual(published.at(-1).type, "booking.summary-ready");
+
+    // Nothing left to sign until the note is amended
+    const again = await call("POST", `/${booking.id}/sign`);
+    assert.strictEqual(again.status, 409);
+
+    const amended = await (
+      await call("PUT", `/${booking.id}/sections/assessment`, {
+        text: "Otitis externa, likely yeast.",
+      })
+    ).json();
+    assert.strictEqual(amended.soapNote.draft.source, "amendment");
+    assert.strictEqual(amended.soapNote.draft.basedOn, 1);
+    assert.strictEqual(
+      amended.soapNote.draft.plan,
+      "Ear drops twice daily for 10 days; recheck if no better.",
+    );
+
+    await call("POST", `/${booking.id}/sign`);
+    const { soapNote: history } = await (
+      await call("GET", `/${booking.id}`)
+    ).json();
+    assert.deepStrictEqual(
+      history.versions.map((v) => [v.version, v.assessment]),
+      [
+        [1, "Likely otitis externa."],
+        [2, "Otitis externa, likely yeast."],
+      ],
+    );
+  });
+
+  it("won't replace a vet's edits unless asked to", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    await call("POST", `/${booking.id}/draft`);
+    await call("PUT", `/${booking.id}/sections/plan`, { text: "Rest." });
+
+    const refused = await call("POST", `/${booking.id}/draft`);
+    assert.strictEqual(refused.status, 409);
+    assert.strictEqual((await refused.json()).code, "DRAFT_EDITED");
+    assert.strictEqual(store.get(booking.id).soapNote.draft.plan, "Rest.");
+
+    const replaced = await call("POST", `/${booking.id}/draft`, {
+      overwrite: true,
+    });
+    assert.strictEqual(replaced.status, 200);
+    const { soapNote } = await replaced.json();
+    assert.strictEqual(
+      soapNote.draft.plan,
+      "Ear drops twice daily for a week.",
+    );
+    assert.strictEqual(soapNote.draft.updatedBy, null);
+  });
+
+  it("reads a triage summary stored as an object", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    // As bookings saved before the summary was normalised hold it
+    store.get(booking.id).triageSummary = {
+      urgencyLevel: "Medium",
+      urgencyReason: "Ear pain",
+      keyFindings: ["Head shaking"],
+    };
+    prompts = [];
+    const res = await call("POST", `/${booking.id}/draft`);
+    assert.strictEqual(res.status, 200);
+    assert.match(prompts[0], /Urgency: Medium - Ear pain\nHead shaking/);
+  });
+
+  it("signs off in a single booking write", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    await call("PUT", `/${booking.id}/sections/plan`, { text: "Rest." });
+    const before = store.get(booking.id).version;
+    await call("POST", `/${booking.id}/sign`);
+    const signed = store.get(booking.id);
+    assert.strictEqual(signed.version, before + 1);
+    assert.strictEqual(signed.status, "summary-ready");
+    assert.strictEqual(signed.soapNote.versions.length, 1);
+  });
+
+  it("rejects unknown sections and bookings", async () => {
+    const booking = store.create({ vetId: "dr-a", vetName: "Dr. A" });
+    const res = await call("PUT", `/${booking.id}/sections/diagnosis`, {
+      text: "x",
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, "UNKNOWN_SECTION");
+    assert.strictEqual((await call("GET", "/booking-missing")).status, 404);
+  });
+});
@@ -0,0 +1,130 @@
+// Tests for the speech-to-text vendors, against a fake server standing in for
+// each vendor's API.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+  transcribeAudio,
+  sttConfigFromEnv,
+} = require("../scripts/lib/stt-providers");
+
+describe("speech-to-text vendors", () => {
+  let server;
+  let baseUrl;
+  let requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        requests.push({ req, body: Buffer.concat(chunks) });
+        res.setHeader("Content-Type", "application/json");
+        if (req.url.startsWith("/v1/listen")) {
+          return res.end(
+            JSON.stringify({
+              results: {
+                channels: [
+                  { alternatives: [{ transcript: "Any vomiting? No." }] },
+                ],
+                utterances: [
+                  { start: 0.2, end: 1.1, transcript: "Any vomiting?" },
+                  { start: 1.5, end: 2, transcript: "No." },
+                ],
+              },
+            }),
+          );
+        }
+        res.end(
+          JSON.stringify({
+            text: "Any vomiting? No.",
+            segments: [{ start: 0.2, end: 2, text: " Any vomiting? No." }],
+          }),
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const audio = { buffer: Buffer.from("fake webm"), contentType: "audio/webm" };
+
+  it("sends OpenAI-protocol vendors a multipart upload", async () => {
+    requests = [];
+    const result = await transcribeAudio(
+      {
+        vendor: "groq",
+        language: "de",
+        url: `${baseUrl}/openai/v1/audio/transcriptions`,
+      },
+      audio,
+      { GROQ_KEY: "groq-key" },
+    );
+    assert.deepStrictEqual(result, {
+      transcript: "Any vomiting? No.",
+      wordCount: 3,
+      segments: [{ start: 0.2, end: 2, text: "Any vomiting? No." }],
+    });
+    const { req, body } = requests[0];
+    assert.strictEqual(req.headers.authorization, "Bearer groq-key");
+    const form = body.toString();
+    assert.match(form, /name="model"\r\n\r\nwhisper-large-v3-turbo\r\n/);
+    assert.match(form, /name="language"\r\n\r\nde\r\n/);
+    assert.match(form, /fake webm/);
+  });
+
+  it("sends Deepgram the raw audio and reads utterances", async () => {
+    requests = [];
+    const result = await transcribeAudio(
+      { vendor: "deepgram", language: "en", url: `${baseUrl}/v1/listen` },
+      audio,
+      { STT_DEEPGRAM_KEY: "dg-key" },
+    );
+    assert.deepStrictEqual(result.segments, [
+      { start: 0.2, end: 1.1, text: "Any vomiting?" },
+      { start: 1.5, end: 2, text: "No." },
+    ]);
+    assert.strictEqual(result.transcript, "Any vomiting? No.");
+    const { req, body } = requests[0];
+    assert.strictEqual(req.headers.authorization, "Token dg-key");
+    assert.strictEqual(req.headers["content-type"], "audio/webm");
+    const params = new URL(req.url, baseUrl).searchParams;
+    assert.strictEqual(params.get("model"), "nova-2");
+    assert.strictEqual(params.get("language"), "en");
+    assert.ok(body.equals(audio.buffer));
+  });
+
+  it("runs a local engine without a key", async () => {
+    requests = [];
+    const config = sttConfigFromEnv({
+      STT_URL: `${baseUrl}/v1/audio/transcriptions`,
+      STT_MODEL: "base.en",
+    });
+    assert.strictEqual(config.vendor, "local");
+    const result = await transcribeAudio(config, audio, {});
+    assert.strictEqual(result.transcript, "Any vomiting? No.");
+    assert.strictEqual(requests[0].req.headers.authorization, undefined);
+    assert.match(requests[0].body.toString(), /name="model"\r\n\r\nbase\.en/);
+  });
+
+  it("rejects missing keys, oversized recordings and unknown vendors", async () => {
+    await assert.rejects(transcribeAudio({ vendor: "openai" }, audio, {}), {
+      code: "MISSING_SECRET",
+      message: /OPENAI_KEY is not set/,
+    });
+    await assert.rejects(
+      transcribeAudio(
+        { vendor: "openai" },
+        { buffer: Buffer.alloc(26 * 1024 * 1024) },
+        { OPENAI_KEY: "key" },
+      ),
+      { code: "TRANSCRIPTION_TOO_LARGE" },
+    );
+    assert.throws(() => sttConfigFromEnv({ STT_VENDOR: "whisper" }), {
+      message: /STT_VENDOR must be one of openai, groq, deepgram, local/,
+    });
+  });
+});
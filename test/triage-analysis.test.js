@@ -0,0 +1,157 @@
+// Tests for the triage analysis: repairing and validating model replies,
+// re-asking the model, and the rule-based fallback. A fake Chat Completions
+// server stands in for the LLM.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+  analyzeTriage,
+  extractJson,
+  validateTriageResult,
+} = require("../scripts/lib/triage-analysis");
+
+const VALID = {
+  urgencyLevel: "Medium",
+  urgencyReason: "Vomiting for two days",
+  keyFindings: ["Vomiting since Monday"],
+  recommendations: ["See a vet within 48 hours"],
+  followUpActions: ["Offer small amounts of water"],
+  spokenSummary: "Max should see a vet in the next day or two.",
+};
+
+describe("triage reply validation", () => {
+  it("finds the JSON object in fenced or chatty replies", () => {
+    assert.deepStrictEqual(
+      extractJson('Sure! ```json\n{"urgencyLevel": "Low"}\n``` Hope it helps'),
+      { urgencyLevel: "Low" },
+    );
+    assert.strictEqual(extractJson("no json here"), null);
+    assert.strictEqual(extractJson('{"urgencyLevel": '), null);
+    assert.strictEqual(extractJson(undefined), null);
+  });
+
+  it("repairs casing, alternate field names and list formats", () => {
+    const { value, errors } = validateTriageResult({
+      urgency: "high",
+      keyFindings: "- Pale gums\n- Collapsed twice",
+      recommendations: "Go to an emergency clinic; Keep him warm",
+      followUpActions: "",
+      spokenSummary: "  Please get to a vet now.  ",
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value, {
+      urgencyLevel: "High",
+      urgencyReason: "",
+      keyFindings: ["Pale gums", "Collapsed twice"],
+      recommendations: ["Go to an emergency clinic", "Keep him warm"],
+      followUpActions: [],
+      spokenSummary: "Please get to a vet now.",
+    });
+  });
+
+  it("reports what it can't repair", () => {
+    assert.deepStrictEqual(validateTriageResult(["High"]).errors, [
+      "reply is not a JSON object",
+    ]);
+    assert.deepStrictEqual(
+      validateTriageResult({ urgencyLevel: "Critical" }).errors,
+      [
+        "urgencyLevel must be one of High, Medium, Low",
+        "keyFindings must not be empty",
+        "recommendations must not be empty",
+        "spokenSummary is required",
+      ],
+    );
+  });
+});
+
+describe("analyzeTriage", () => {
+  let server;
+  let config;
+  let replies = [];
+  let requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        requests.push(JSON.parse(Buffer.concat(chunks)));
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify({
+            choices: [{ message: { content: replies.shift() ?? "" } }],
+          }),
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    config = {
+      vendor: "openai-compatible",
+      url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+    };
+  });
+
+  after(() => server.close());
+
+  const input = {
+    prompt: "Assess this dog",
+    responses: [
+      { question: "What is the main concern?", response: "He keeps vomiting" },
+    ],
+    petInfo: { name: "Max" },
+  };
+
+  it("returns a valid model reply", async () => {
+    requests = [];
+    replies = [JSON.stringify(VALID)];
+    const result = await analyzeTriage(input, config);
+    assert.deepStrictEqual(result, { ...VALID, source: "llm" });
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(requests[0].response_format, {
+      type: "json_object",
+    });
+    assert.match(requests[0].messages[1].content, /A1: He keeps vomiting/);
+  });
+
+  it("re-asks the model with the validation errors", async () => {
+    requests = [];
+    replies = ['{"urgencyLevel": "Medium"}', JSON.stringify(VALID)];
+    const result = await analyzeTriage(input, config);
+    assert.strictEqual(result.source, "llm");
+    assert.strictEqual(requests.length, 2);
+    const retry = requests[1].messages.at(-1);
+    assert.strictEqual(retry.role, "user");
+    assert.match(retry.content, /keyFindings must not be empty/);
+  });
+
+  it("falls back to the rules when the model never gets it right", async () => {
+    requests = [];
+    replies = ["not json", '{"urgencyLevel": "Critical"}'];
+    const result = await analyzeTriage(input, config);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(result.source, "rules");
+    assert.strictEqual(result.urgencyLevel, "Medium");
+    assert.deepStrictEqual(result.keyFindings, ["He keeps vomiting"]);
+  });
+
+  it("uses the rules without calling a model when no key is set", async () => {
+    requests = [];
+    const result = await analyzeTriage(
+      {
+        responses: [
+          {
+            question: "Any breathing trouble?",
+            response: "He isn't breathing",
+          },
+        ],
+      },
+      { vendor: "bedrock" },
+    );
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(result.source, "rules");
+    assert.strictEqual(result.urgencyLevel, "High");
+    assert.match(result.spokenSummary, /your pet/);
+  });
+});
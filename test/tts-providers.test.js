@@ -0,0 +1,123 @@
+// Tests for the text-to-speech vendors: validating a profile's `tts` block and
+// building the join request's `tts` object from the environment.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  validateTtsConfig,
+  buildTtsBlock,
+} = require("../scripts/lib/tts-providers");
+
+describe("text-to-speech vendors", () => {
+  it("accepts each vendor's own settings", () => {
+    assert.deepStrictEqual(
+      validateTtsConfig({
+        vendor: "minimax",
+        voice: "English_Graceful_Lady",
+        pitch: -2,
+        sample_rate: 24000,
+      }),
+      [],
+    );
+    assert.deepStrictEqual(
+      validateTtsConfig({
+        vendor: "elevenlabs",
+        voice: "21m00Tcm4TlvDq8ikWAM",
+        stability: 0.5,
+      }),
+      [],
+    );
+  });
+
+  it("rejects an unknown vendor", () => {
+    assert.deepStrictEqual(validateTtsConfig({ vendor: "polly", voice: "x" }), [
+      "$.tts.vendor: must be one of minimax, openai, elevenlabs, microsoft, cartesia",
+    ]);
+    assert.match(
+      validateTtsConfig(undefined, "$.profiles.a.tts")[0],
+      /^\$\.profiles\.a\.tts\.vendor: must be one of/,
+    );
+    assert.throws(
+      () => buildTtsBlock({ vendor: "polly", voice: "x" }, {}),
+      /Unknown TTS vendor: polly/,
+    );
+  });
+
+  it("rejects settings the vendor doesn't support or allow", () => {
+    assert.deepStrictEqual(
+      validateTtsConfig({
+        vendor: "openai",
+        voice: "coral",
+        pitch: 2,
+        speed: 9,
+      }),
+      ["$.tts.pitch: unknown property", "$.tts.speed: must be <= 4"],
+    );
+    assert.deepStrictEqual(
+      validateTtsConfig({
+        vendor: "microsoft",
+        voice: "en-US-AvaNeural",
+        sample_rate: 44100,
+      }),
+      ["$.tts.sample_rate: must be one of 8000, 16000, 24000, 48000"],
+    );
+    assert.deepStrictEqual(validateTtsConfig({ vendor: "cartesia" }), [
+      "$.tts.voice: is required",
+    ]);
+  });
+
+  it("builds the join request's tts block with keys from the environment", () => {
+    const block = buildTtsBlock(
+      { vendor: "microsoft", voice: "en-US-AvaNeural", speed: 1.2 },
+      { TTS_MICROSOFT_KEY: "ms-key", TTS_MICROSOFT_REGION: "westeurope" },
+    );
+    assert.deepStrictEqual(block, {
+      vendor: "microsoft",
+      params: {
+        key: "ms-key",
+        region: "westeurope",
+        voice_name: "en-US-AvaNeural",
+        speed: 1.2,
+        sample_rate: 24000,
+      },
+      skip_patterns: [3, 4],
+    });
+  });
+
+  it("falls back to the shared OpenAI key and keeps custom skip patterns", () => {
+    const block = buildTtsBlock(
+      { vendor: "openai", voice: "coral", skip_patterns: [1] },
+      { OPENAI_KEY: "sk-shared" },
+    );
+    assert.strictEqual(block.params.api_key, "sk-shared");
+    assert.strictEqual(block.params.model, "gpt-4o-mini-tts");
+    assert.strictEqual("instructions" in block.params, false);
+    assert.deepStrictEqual(block.skip_patterns, [1]);
+
+    assert.strictEqual(
+      buildTtsBlock(
+        { vendor: "openai", voice: "coral" },
+        { TTS_OPENAI_KEY: "sk-tts", OPENAI_KEY: "sk-shared" },
+      ).params.api_key,
+      "sk-tts",
+    );
+  });
+
+  it("throws MISSING_SECRET naming the key that isn't set", () => {
+    assert.throws(
+      () =>
+        buildTtsBlock(
+          { vendor: "minimax", voice: "x" },
+          { TTS_MINIMAX_KEY: "k" },
+        ),
+      { code: "MISSING_SECRET", message: /TTS_MINIMAX_GROUPID is not set/ },
+    );
+    assert.throws(
+      () => buildTtsBlock({ vendor: "openai", voice: "coral" }, {}),
+      {
+        code: "MISSING_SECRET",
+        message: /TTS_OPENAI_KEY is not set/,
+      },
+    );
+  });
+});
@@ -0,0 +1,355 @@
+// Tests for vet availability: slot generation across time zones and the
+// booking routes refusing taken or unoffered slots.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createVetRoster } = require("../scripts/lib/vet-roster");
+const { createBookingStore } = require("../scripts/lib/booking-store");
+const { createBookingsRouter } = require("../scripts/routes/bookings");
+const { createVetsRouter } = require("../scripts/routes/vets");
+const { persistentSecret } = require("../scripts/lib/env");
+
+const EVERY_DAY = Object.fromEntries(
+  ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].map((day) => [
+    day,
+    [{ start: "00:00", end: "23:00" }],
+  ]),
+);
+
+function tempRoster(dataDir) {
+  const roster = createVetRoster({
+    file: path.join(dataDir, `roster-${Math.random()}.json`),
+  });
+  roster.setAvailability("dr-ny", {
+    name: "Dr. NY",
+    timeZone: "America/New_York",
+    slotMinutes: 30,
+    weeklyHours: { mon: [{ start: "09:00", end: "10:00" }] },
+  });
+  return roster;
+}
+
+describe("vet roster", () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("generates slots in the vet's time zone, through DST", () => {
+    const roster = tempRoster(dataDir);
+    const now = Date.parse("2026-01-01T00:00:00Z");
+
+    assert.deepStrictEqual(
+      roster.slots("dr-ny", { from: "2026-01-05", days: 1, now }),
+      [
+        {
+          start: "2026-01-05T14:00:00.000Z",
+          date: "2026-01-05",
+          time: "09:00",
+        },
+        {
+          start: "2026-01-05T14:30:00.000Z",
+          date: "2026-01-05",
+          time: "09:30",
+        },
+      ],
+    );
+    // Summer time: 09:00 in New York is an hour earlier in UTC
+    assert.strictEqual(
+      roster.slots("dr-ny", { from: "2026-07-06", days: 1, now })[0].start,
+      "2026-07-06T13:00:00.000Z",
+    );
+  });
+
+  it("leaves out blackout dates, taken and past slots", () => {
+    const roster = tempRoster(dataDir);
+    const now = Date.parse("2026-01-12T14:10:00Z");
+    roster.setAvailability("dr-ny", { blackoutDates: ["2026-01-05"] });
+
+    const week = (taken) =>
+      roster
+        .slots("dr-ny", { from: "2026-01-05", days: 15, now, taken })
+        .map((s) => s.start);
+    assert.deepStrictEqual(week(), [
+      "2026-01-12T14:30:00.000Z",
+      "2026-01-19T14:00:00.000Z",
+      "2026-01-19T14:30:00.000Z",
+    ]);
+    assert.deepStrictEqual(week(new Set(["2026-01-19T14:00:00.000Z"])), [
+      "2026-01-12T14:30:00.000Z",
+      "2026-01-19T14:30:00.000Z",
+    ]);
+  });
+
+  it("rejects invalid availability", () => {
+    const roster = tempRoster(dataDir);
+    assert.throws(
+      () =>
+        roster.setAvailability("dr-ny", {
+          timeZone: "Mars/Olympus",
+          slotMinutes: 5,
+          weeklyHours: { mon: [{ start: "17:00", end: "09:00" }] },
+          blackoutDates: ["next tuesday"],
+        }),
+      (err) => err.code === "INVALID_AVAILABILITY" && err.errors.length === 4,
+    );
+    assert.strictEqual(roster.get("dr-ny").slotMinutes, 30);
+  });
+});
+
+describe("booking roster slots", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+    const roster = createVetRoster({
+      file: path.join(dataDir, "vet-roster.json"),
+    });
+    roster.setAvailability("dr-utc", {
+      name: "Dr. UTC",
+      timeZone: "UTC",
+      slotMinutes: 60,
+      weeklyHours: EVERY_DAY,
+    });
+    const bookingStore = createBookingStore({
+      file: path.join(dataDir, "bookings.json"),
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use("/bookings", createBookingsRouter(bookingStore, { roster }));
+    app.use(
+      "/vets",
+      createVetsRouter({
+        roster,
+        bookingStore,
+        // Signed in when the test sends an X-Vet header
+        requireVet: (req, res, next) => {
+          if (!req.get("X-Vet")) return res.status(401).json({});
+          req.vet = {
+            username: req.get("X-Vet"),
+            name: `Dr. ${req.get("X-Vet")}`,
+            role: req.get("X-Vet") === "admin" ? "admin" : "vet",
+          };
+          next();
+        },
+      }),
+    );
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function request(method, route, body, vet) {
+    const headers = { "Content-Type": "application/json" };
+    if (vet) headers["X-Vet"] = vet;
+    return fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  async function freeSlots() {
+    const res = await request("GET", "/vets/dr-utc/slots?days=2");
+    return (await res.json()).slots.map((s) => s.start);
+  }
+
+  it("books a slot once", async () => {
+    const [slotStart] = await freeSlots();
+    const booking = {
+      vetId: "dr-utc",
+      vetName: "Dr. UTC",
+      availability: "later",
+      slotStart,
+    };
+
+    const first = await request("POST", "/bookings", booking);
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual((await first.json()).slotStart, slotStart);
+
+    const second = await request("POST", "/bookings", booking);
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual((await second.json()).code, "SLOT_TAKEN");
+    assert.ok(!(await freeSlots()).includes(slotStart));
+  });
+
+  it("refuses times the vet doesn't offer", async () => {
+    const [slotStart] = await freeSlots();
+    const offHour = new Date(Date.parse(slotStart) + 30 * 60000).toISOString();
+    const res = await request("POST", "/bookings", {
+      vetId: "dr-utc",
+      vetName: "Dr. UTC",
+      availability: "later",
+      slotStart: offHour,
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual((await res.json()).code, "SLOT_UNAVAILABLE");
+
+    const now = await request("POST", "/bookings", {
+      vetId: "dr-utc",
+      vetName: "Dr. UTC",
+      availability: "now",
+    });
+    assert.strictEqual((await now.json()).code, "VET_UNAVAILABLE");
+  });
+
+  it("refuses bookings with vets who aren't on the roster", async () => {
+    const res = await request("POST", "/bookings", {
+      vetId: "dr-nobody",
+      vetName: "Dr. Nobody",
+      availability: "later",
+      slotStart: (await freeSlots())[0],
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, "UNKNOWN_VET");
+  });
+
+  it("lets vets edit only their own availability", async () => {
+    const change = { acceptsNow: true };
+    assert.strictEqual(
+      (await request("PUT", "/vets/dr-utc/availability", change)).status,
+      401,
+    );
+    assert.strictEqual(
+      (await request("PUT", "/vets/dr-utc/availability", change, "other"))
+        .status,
+      403,
+    );
+
+    const bad = await request(
+      "PUT",
+      "/vets/dr-utc/availability",
+      { slotMinutes: 1000 },
+      "dr-utc",
+    );
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual((await bad.json()).errors.length, 1);
+
+    const ok = await request(
+      "PUT",
+      "/vets/dr-utc/availability",
+      change,
+      "dr-utc",
+    );
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual((await ok.json()).acceptsNow, true);
+  });
+
+  it("names an entry an admin adds for another vet after that vet", async () => {
+    const named = await request(
+      "PUT",
+      "/vets/dr-jones/availability",
+      { name: "Dr. Jones" },
+      "admin",
+    );
+    assert.strictEqual((await named.json()).name, "Dr. Jones");
+
+    const unnamed = await request(
+      "PUT",
+      "/vets/dr-lee/availability",
+      {},
+      "admin",
+    );
+    assert.strictEqual((await unnamed.json()).name, "dr-lee");
+
+    const own = await request("PUT", "/vets/dr-kim/availability", {}, "dr-kim");
+    assert.strictEqual((await own.json()).name, "Dr. dr-kim");
+  });
+});
+
+describe("calendar feed", () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "vetai-test-"));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // The vets router as server.js builds it on each start
+  async function start() {
+    const roster = tempRoster(dataDir);
+    const app = express();
+    app.use(
+      "/vets",
+      createVetsRouter({
+        roster,
+        bookingStore: createBookingStore({
+          file: path.join(dataDir, "bookings.json"),
+        }),
+        requireVet: (req, res, next) => {
+          req.vet = { username: "dr-ny", role: "vet" };
+          next();
+        },
+        feedSecret: persistentSecret(
+          {},
+          "CALENDAR_FEED_SECRET",
+          path.join(dataDir, "calendar-feed-secret"),
+        ),
+      }),
+    );
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return {
+      server,
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+    };
+  }
+
+  it("keeps feed URLs working after a restart", async () => {
+    const first = await start();
+    const { url } = await (
+      await fetch(`${first.baseUrl}/vets/dr-ny/calendar-feed`)
+    ).json();
+    const feedPath = new URL(url).pathname + new URL(url).search;
+    first.server.close();
+
+    const second = await start();
+    try {
+      const feed = await fetch(`${second.baseUrl}${feedPath}`);
+      assert.strictEqual(feed.status, 200);
+      assert.match(await feed.text(), /^BEGIN:VCALENDAR/);
+      const forged = feedPath.replace(/token=.*/, "token=x");
+      assert.strictEqual(
+        (await fetch(`${second.baseUrl}${forged}`)).status,
+        403,
+      );
+    } finally {
+      second.server.close();
+    }
+  });
+
+  it("prefers CALENDAR_FEED_SECRET when it is set", () => {
+    const file = path.join(dataDir, "unused-secret");
+    assert.strictEqual(
+      persistentSecret(
+        { CALENDAR_FEED_SECRET: "s3cret" },
+        "CALENDAR_FEED_SECRET",
+        file,
+      ),
+      "s3cret",
+    );
+    assert.ok(!fs.existsSync(file));
+  });
+});